@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { normalizeGrants } = require('./permissions');
+
+// API 密钥格式：afk_<ID>_<随机密钥>，ID 用于查找记录，只保存随机密钥的哈希
+const API_KEY_PATTERN = /^afk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+const API_KEY_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+// 最近使用时间的记录间隔（毫秒），避免每个请求都写文件
+const LAST_USED_INTERVAL = 60 * 1000;
+
+const store = createJsonStore('api-keys.json', () => ({ keys: {} }));
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+// 返回给接口的密钥信息，不包含密钥哈希
+function toPublicApiKey(apiKey) {
+  const { secretHash, ...rest } = apiKey;
+  return { ...rest, active: !getInactiveReason(apiKey) };
+}
+
+/**
+ * 判断密钥是否已失效
+ * @param {object} apiKey - 密钥记录
+ * @returns {string|null} 失效原因，有效时返回 null
+ */
+function getInactiveReason(apiKey) {
+  if (apiKey.revokedAt) {
+    return 'API 密钥已被撤销';
+  }
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt).getTime() < Date.now()) {
+    return 'API 密钥已过期';
+  }
+  return null;
+}
+
+/**
+ * 判断令牌是否是 API 密钥的格式（JWT 以 eyJ 开头，不会与之混淆）
+ * @param {string} token - 请求中的令牌
+ * @returns {boolean}
+ */
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith('afk_');
+}
+
+/**
+ * 创建 API 密钥，明文密钥只在创建和轮换时返回一次
+ * @param {object} options - { name, scopes（授权列表，格式同角色配置）, expiresIn（秒）, createdBy }
+ * @returns {Promise<{key: string, apiKey: object}>}
+ * @throws scopes 不合法时抛出错误
+ */
+async function createApiKey({ name, scopes, expiresIn, createdBy }) {
+  const grants = normalizeGrants(scopes, 'API 密钥');
+  const id = crypto.randomBytes(8).toString('hex');
+  const secret = generateSecret();
+  const apiKey = {
+    id,
+    name,
+    scopes: grants,
+    secretHash: hashSecret(secret),
+    expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null,
+    createdBy: createdBy || null,
+    createdAt: new Date().toISOString(),
+    rotatedAt: null,
+    revokedAt: null,
+    lastUsedAt: null,
+    lastUsedIp: null,
+  };
+  await store.update((data) => {
+    data.keys[id] = apiKey;
+  });
+  return { key: `afk_${id}_${secret}`, apiKey: toPublicApiKey(apiKey) };
+}
+
+/**
+ * 列出所有 API 密钥，最近创建的在前
+ * @returns {Promise<object[]>}
+ */
+async function listApiKeys() {
+  const { keys } = await store.read();
+  return Object.values(keys)
+    .map(toPublicApiKey)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * 轮换密钥：保留ID、名称和授权范围，生成新的随机密钥，旧密钥立即失效
+ * @param {string} id - 密钥ID
+ * @returns {Promise<{key: string, apiKey: object}|null>} 密钥不存在或已撤销时返回 null
+ */
+async function rotateApiKey(id) {
+  if (!API_KEY_ID_PATTERN.test(id || '')) return null;
+  const secret = generateSecret();
+  return store.update((data) => {
+    const apiKey = data.keys[id];
+    if (!apiKey || apiKey.revokedAt) return null;
+    apiKey.secretHash = hashSecret(secret);
+    apiKey.rotatedAt = new Date().toISOString();
+    return { key: `afk_${id}_${secret}`, apiKey: toPublicApiKey(apiKey) };
+  });
+}
+
+/**
+ * 撤销密钥，记录保留以便查看最近使用情况
+ * @param {string} id - 密钥ID
+ * @returns {Promise<object|null>} 被撤销的密钥，不存在时返回 null
+ */
+async function revokeApiKey(id) {
+  if (!API_KEY_ID_PATTERN.test(id || '')) return null;
+  return store.update((data) => {
+    const apiKey = data.keys[id];
+    if (!apiKey) return null;
+    apiKey.revokedAt = apiKey.revokedAt || new Date().toISOString();
+    return toPublicApiKey(apiKey);
+  });
+}
+
+/**
+ * 校验 API 密钥并记录最近使用时间
+ * @param {string} key - 请求中的明文密钥
+ * @param {string} ip - 请求来源IP
+ * @returns {Promise<object|null>} 密钥记录，无效、过期或已撤销时返回 null
+ */
+async function verifyApiKey(key, ip) {
+  const match = API_KEY_PATTERN.exec(key);
+  if (!match) return null;
+  const [, id, secret] = match;
+
+  const { keys } = await store.read();
+  const apiKey = keys[id];
+  if (!apiKey || getInactiveReason(apiKey)) return null;
+
+  const expected = Buffer.from(apiKey.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) return null;
+
+  const now = Date.now();
+  if (!apiKey.lastUsedAt || now - new Date(apiKey.lastUsedAt).getTime() >= LAST_USED_INTERVAL || apiKey.lastUsedIp !== ip) {
+    await store.update((data) => {
+      const current = data.keys[id];
+      if (!current) return;
+      current.lastUsedAt = new Date(now).toISOString();
+      current.lastUsedIp = ip || null;
+    });
+  }
+  return apiKey;
+}
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  verifyApiKey,
+};
@@ -0,0 +1,256 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { createGunzip } = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const tar = require('tar-stream');
+
+// 压缩包格式对应的文件头类型（由 fileType 检测）
+const archiveFormats = {
+  'application/zip': 'zip',
+  'application/gzip': 'tar.gz',
+  'application/x-tar': 'tar',
+};
+
+// tar 中每个条目的头部（含长文件名的扩展头）和填充的估算上限，用于限制解压出的总字节数
+const TAR_OVERHEAD_PER_ENTRY = 8 * 1024;
+
+// unix 文件类型位中的符号链接
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+
+/**
+ * 压缩包不能解压（格式错误、路径不安全、超出条目数或大小限制）
+ */
+class ArchiveError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * 根据文件头类型判断压缩包格式
+ * @param {string|null} detectedType - fileType 检测出的 MIME 类型
+ * @returns {string|null} zip、tar.gz、tar，不支持时返回 null
+ */
+function getArchiveFormat(detectedType) {
+  return archiveFormats[detectedType] || null;
+}
+
+/**
+ * 规范化压缩包中的条目路径，防止解压到目标目录之外（zip slip）
+ * @param {string} name - 条目路径
+ * @returns {string} 以 / 分隔的相对路径
+ * @throws {ArchiveError} 绝对路径、盘符或包含 .. 片段
+ */
+function normalizeEntryPath(name) {
+  const normalized = String(name).replace(/\\/g, '/');
+  const segments = normalized.split('/').filter((segment) => segment !== '' && segment !== '.');
+  if (
+    normalized.includes('\0') ||
+    normalized.startsWith('/') ||
+    /^[a-zA-Z]:/.test(normalized) ||
+    segments.includes('..')
+  ) {
+    throw new ArchiveError('压缩包中包含不安全的路径', 400, { entry: name });
+  }
+  return segments.join('/');
+}
+
+// macOS 打包时附带的资源目录，不属于压缩包的内容
+function isIgnoredEntry(entryPath) {
+  return entryPath === '' || entryPath.split('/')[0] === '__MACOSX';
+}
+
+/**
+ * 把条目内容写入暂存目录，实际写入的字节数计入总大小，不信任压缩包中声明的大小
+ */
+async function writeEntry(stream, stagingDir, entryPath, budget) {
+  const targetPath = path.join(stagingDir, ...entryPath.split('/'));
+  let size = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      budget.used += chunk.length;
+      if (budget.used > budget.maxTotalSize) {
+        return callback(new ArchiveError('解压后的总大小超过限制', 413, { limit: budget.maxTotalSize }));
+      }
+      callback(null, chunk);
+    },
+  });
+  try {
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await pipeline(stream, counter, createWriteStream(targetPath));
+  } catch (err) {
+    // 同一路径既是文件又是目录
+    if (err.code === 'EEXIST' || err.code === 'ENOTDIR' || err.code === 'EISDIR') {
+      throw new ArchiveError('压缩包中存在冲突的路径', 400, { entry: entryPath });
+    }
+    throw err;
+  }
+  return { path: entryPath, tempPath: targetPath, size };
+}
+
+function openZip(archivePath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(archivePath, { lazyEntries: true, autoClose: false, strictFileNames: false }, (err, zip) =>
+      err ? reject(err) : resolve(zip)
+    );
+  });
+}
+
+function readZipEntry(zip) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      zip.off('entry', onEntry);
+      zip.off('end', onEnd);
+      zip.off('error', onError);
+    };
+    const onEntry = (entry) => {
+      cleanup();
+      resolve(entry);
+    };
+    const onEnd = () => {
+      cleanup();
+      resolve(null);
+    };
+    const onError = (err) => {
+      cleanup();
+      // yauzl 在读取条目时已经拦截了不安全的路径，统一为同样的错误
+      const unsafe = /^(?:absolute path|invalid relative path|invalid characters in fileName): (.*)$/.exec(err.message);
+      reject(unsafe ? new ArchiveError('压缩包中包含不安全的路径', 400, { entry: unsafe[1] }) : err);
+    };
+    zip.on('entry', onEntry);
+    zip.on('end', onEnd);
+    zip.on('error', onError);
+    zip.readEntry();
+  });
+}
+
+function openZipEntryStream(zip, entry) {
+  return new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (err, stream) => (err ? reject(err) : resolve(stream)));
+  });
+}
+
+// zip 在中央目录中记录了全部条目，先检查条目数、路径和声明的大小，全部通过后再解压
+async function extractZip(archivePath, stagingDir, limits) {
+  const zip = await openZip(archivePath);
+  try {
+    if (zip.entryCount > limits.maxEntries) {
+      throw new ArchiveError('压缩包中的条目数超过限制', 413, { limit: limits.maxEntries });
+    }
+
+    const entries = [];
+    const skipped = [];
+    let declaredSize = 0;
+    for (let entry = await readZipEntry(zip); entry; entry = await readZipEntry(zip)) {
+      const entryPath = normalizeEntryPath(entry.fileName);
+      if (isIgnoredEntry(entryPath) || entry.fileName.endsWith('/')) continue;
+      if (((entry.externalFileAttributes >>> 16) & S_IFMT) === S_IFLNK) {
+        skipped.push({ path: entryPath, reason: '不支持符号链接' });
+        continue;
+      }
+      declaredSize += entry.uncompressedSize;
+      entries.push({ entry, entryPath });
+    }
+    if (declaredSize > limits.maxTotalSize) {
+      throw new ArchiveError('解压后的总大小超过限制', 413, { limit: limits.maxTotalSize });
+    }
+
+    const budget = { used: 0, maxTotalSize: limits.maxTotalSize };
+    const files = [];
+    for (const { entry, entryPath } of entries) {
+      files.push(await writeEntry(await openZipEntryStream(zip, entry), stagingDir, entryPath, budget));
+    }
+    return { files, skipped };
+  } finally {
+    zip.close();
+  }
+}
+
+// tar 没有目录，只能边读取边检查，超出限制时中止
+async function extractTar(archivePath, gzipped, stagingDir, limits) {
+  const source = createReadStream(archivePath);
+  const extract = tar.extract();
+  const maxStreamSize = limits.maxTotalSize + (limits.maxEntries + 1) * TAR_OVERHEAD_PER_ENTRY;
+  let streamSize = 0;
+  // 限制解压出的总字节数，防止只有填充数据的压缩包耗尽资源
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      streamSize += chunk.length;
+      if (streamSize > maxStreamSize) {
+        return callback(new ArchiveError('解压后的总大小超过限制', 413, { limit: limits.maxTotalSize }));
+      }
+      callback(null, chunk);
+    },
+  });
+  const streams = gzipped ? [source, createGunzip(), limiter] : [source, limiter];
+  for (const stream of streams) {
+    stream.on('error', (err) => extract.destroy(err));
+  }
+  streams.reduce((from, to) => from.pipe(to)).pipe(extract);
+
+  const budget = { used: 0, maxTotalSize: limits.maxTotalSize };
+  const files = [];
+  const skipped = [];
+  let entryCount = 0;
+  try {
+    for await (const entry of extract) {
+      entryCount++;
+      if (entryCount > limits.maxEntries) {
+        throw new ArchiveError('压缩包中的条目数超过限制', 413, { limit: limits.maxEntries });
+      }
+      const { name, type } = entry.header;
+      const entryPath = normalizeEntryPath(name);
+      if (type !== 'file' || isIgnoredEntry(entryPath)) {
+        if (type === 'symlink' || type === 'link') {
+          skipped.push({ path: entryPath, reason: '不支持链接' });
+        }
+        entry.resume();
+        continue;
+      }
+      files.push(await writeEntry(entry, stagingDir, entryPath, budget));
+    }
+  } finally {
+    source.destroy();
+  }
+  return { files, skipped };
+}
+
+/**
+ * 把压缩包解压到暂存目录，同一路径出现多次时以最后一次为准
+ * @param {string} archivePath - 压缩包路径
+ * @param {string} format - zip、tar.gz 或 tar
+ * @param {string} stagingDir - 暂存目录，由调用方负责删除
+ * @param {object} limits - { maxEntries, maxTotalSize }
+ * @returns {Promise<object>} { files: [{ path, tempPath, size }], skipped: [{ path, reason }] }
+ * @throws {ArchiveError} 格式错误、路径不安全或超出限制
+ */
+async function extractArchive(archivePath, format, stagingDir, limits) {
+  await fs.mkdir(stagingDir, { recursive: true });
+  let result;
+  try {
+    result =
+      format === 'zip'
+        ? await extractZip(archivePath, stagingDir, limits)
+        : await extractTar(archivePath, format === 'tar.gz', stagingDir, limits);
+  } catch (err) {
+    // 磁盘读写错误（带 syscall）原样抛出，其他错误来自解析压缩包
+    if (err instanceof ArchiveError || err.syscall) throw err;
+    throw new ArchiveError(`无法解析压缩包: ${err.message}`);
+  }
+  const files = new Map(result.files.map((file) => [file.path, file]));
+  return { files: [...files.values()], skipped: result.skipped };
+}
+
+module.exports = {
+  ArchiveError,
+  getArchiveFormat,
+  extractArchive,
+};
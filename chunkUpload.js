@@ -0,0 +1,120 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { logger } = require('./logger');
+const config = require('./config');
+
+// 分片上传暂存目录（位于临时目录下，不会出现在文件列表中）
+const chunkDir = path.join(config.tempDir, 'chunks');
+
+// 未完成的分片上传在最后一次收到数据后的保留时长（24小时）
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+// uploadId 只允许十六进制字符，防止被拼接成任意路径
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+function getSessionPaths(uploadId) {
+  return {
+    metaPath: path.join(chunkDir, `${uploadId}.json`),
+    partPath: path.join(chunkDir, `${uploadId}.part`),
+  };
+}
+
+/**
+ * 创建分片上传会话
+ * @param {object} info - 会话信息（filename、size、mimetype、category、namespace、userId）
+ * @returns {Promise<object>} 会话对象
+ */
+async function createSession(info) {
+  await fs.mkdir(chunkDir, { recursive: true });
+
+  const uploadId = crypto.randomBytes(16).toString('hex');
+  const { metaPath, partPath } = getSessionPaths(uploadId);
+  const session = {
+    uploadId,
+    ...info,
+    createdAt: new Date().toISOString(),
+  };
+
+  await fs.writeFile(partPath, '');
+  await fs.writeFile(metaPath, JSON.stringify(session));
+  return session;
+}
+
+/**
+ * 读取分片上传会话，附带当前已接收的字节偏移量和最后一次收到数据的时间（分片数据文件的修改时间）
+ * @param {string} uploadId - 上传ID
+ * @returns {Promise<object|null>} 会话对象，不存在时返回 null
+ */
+async function getSession(uploadId) {
+  if (!UPLOAD_ID_PATTERN.test(uploadId || '')) {
+    return null;
+  }
+
+  const { metaPath, partPath } = getSessionPaths(uploadId);
+  try {
+    const session = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+    const stats = await fs.stat(partPath);
+    return { ...session, offset: stats.size, updatedAt: stats.mtime.toISOString(), partPath };
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+/**
+ * 删除分片上传会话（包括已接收的数据）
+ * @param {string} uploadId - 上传ID
+ */
+async function removeSession(uploadId) {
+  const { metaPath, partPath } = getSessionPaths(uploadId);
+  await fs.rm(partPath, { force: true });
+  await fs.rm(metaPath, { force: true });
+}
+
+/**
+ * 完成上传后只删除会话描述文件，分片数据已被移动到最终位置
+ * @param {string} uploadId - 上传ID
+ */
+async function closeSession(uploadId) {
+  const { metaPath } = getSessionPaths(uploadId);
+  await fs.rm(metaPath, { force: true });
+}
+
+/**
+ * 清理超过保留时长没有收到新数据的分片上传，仍在上传的大文件不会因为创建时间早被清理
+ */
+async function cleanupExpiredSessions() {
+  let entries;
+  try {
+    entries = await fs.readdir(chunkDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  const now = Date.now();
+  for (const entry of entries) {
+    if (path.extname(entry) !== '.json') continue;
+    const uploadId = path.basename(entry, '.json');
+    try {
+      const session = await getSession(uploadId);
+      if (!session || now - new Date(session.updatedAt).getTime() > SESSION_TTL) {
+        await removeSession(uploadId);
+        logger.info('已清理过期的分片上传', { uploadId });
+      }
+    } catch (err) {
+      logger.warn('清理分片上传失败', { uploadId, error: err.message });
+    }
+  }
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  removeSession,
+  closeSession,
+  cleanupExpiredSessions,
+};
@@ -0,0 +1,414 @@
+const path = require('path');
+const fs = require('fs');
+const net = require('net');
+require('dotenv').config();
+const { defaultRoles, normalizeRoles } = require('./grants');
+
+/**
+ * 集中的服务配置
+ * 优先读取环境变量，其次读取配置文件（CONFIG_FILE 指定，默认为项目根目录下的 config.json，不存在时跳过），最后使用默认值
+ * 启动时校验所有配置，有任何一项无效都会抛出错误并列出全部问题，而不是带着错误的配置运行
+ */
+
+const rootDir = __dirname;
+
+// 配置文件中允许出现的键，拼错的键直接报错，避免配置被静默忽略
+const fileKeys = [
+  'port',
+  'publicBaseUrl',
+  'uploadDir',
+  'tempDir',
+  'avatarDir',
+  'dataDir',
+  'maxUploadSize',
+  'maxAvatarSize',
+  'maxExtractEntries',
+  'maxExtractSize',
+  'trashRetentionDays',
+  'corsOrigins',
+  'importAllowedHosts',
+  'webhookAllowedHosts',
+  'secretKey',
+  'tokenKeys',
+  'accessTokenTtl',
+  'refreshTokenDays',
+  'urlSigningSecret',
+  'roles',
+  'storageQuotas',
+  'rateLimits',
+  'storageDriver',
+  's3',
+];
+
+const storageDrivers = ['local', 's3'];
+
+// 速率限制：max 为窗口内允许的次数，windowMinutes 为窗口长度（分钟）
+const defaultRateLimits = {
+  avatar: { max: 5, windowMinutes: 60 }, // 头像上传，每IP每小时5次
+  share: { max: 20, windowMinutes: 15 }, // 分享链接访问失败
+  login: { max: 10, windowMinutes: 15 }, // 登录和刷新令牌失败
+};
+
+function readConfigFile(errors) {
+  const filePath = process.env.CONFIG_FILE
+    ? path.resolve(rootDir, process.env.CONFIG_FILE)
+    : path.join(rootDir, 'config.json');
+  if (!fs.existsSync(filePath)) {
+    if (process.env.CONFIG_FILE) {
+      errors.push(`CONFIG_FILE 指定的配置文件不存在: ${filePath}`);
+    }
+    return {};
+  }
+  try {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      errors.push(`配置文件必须是 JSON 对象: ${filePath}`);
+      return {};
+    }
+    const unknown = Object.keys(content).filter((key) => !fileKeys.includes(key));
+    if (unknown.length > 0) {
+      errors.push(`配置文件包含未知的配置项: ${unknown.join(', ')}`);
+    }
+    return content;
+  } catch (err) {
+    errors.push(`无法解析配置文件 ${filePath}: ${err.message}`);
+    return {};
+  }
+}
+
+function parseInteger(name, value, min, errors) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  if (String(value).trim() === '' || !Number.isInteger(number) || number < min) {
+    errors.push(`${name} 必须是不小于 ${min} 的整数，当前值: ${value}`);
+    return null;
+  }
+  return number;
+}
+
+function parsePublicBaseUrl(value, errors) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    errors.push(`PUBLIC_BASE_URL 不是有效的 URL: ${value}`);
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    errors.push(`PUBLIC_BASE_URL 只支持 http 或 https: ${value}`);
+    return null;
+  }
+  if (url.search || url.hash) {
+    errors.push(`PUBLIC_BASE_URL 不能包含查询参数或锚点: ${value}`);
+    return null;
+  }
+  // 统一以 / 结尾，拼接文件路径时不会缺少或多出分隔符
+  return url.href.endsWith('/') ? url.href : `${url.href}/`;
+}
+
+function parseCorsOrigins(value, errors) {
+  const origins = Array.isArray(value) ? value : String(value).split(',');
+  const result = origins.map((origin) => String(origin).trim()).filter(Boolean);
+  if (result.length === 0) {
+    errors.push('CORS_ORIGINS 不能为空，允许所有来源请使用 *');
+    return null;
+  }
+  if (result.includes('*')) {
+    return '*';
+  }
+  for (const origin of result) {
+    try {
+      const url = new URL(origin);
+      if (url.origin !== origin) throw new Error();
+    } catch (err) {
+      errors.push(`CORS_ORIGINS 中的来源格式应为 协议://域名[:端口]，当前值: ${origin}`);
+    }
+  }
+  return result;
+}
+
+// 主机名、IP 或 CIDR 地址段列表，逗号分隔（配置文件中为数组）
+function parseHostList(name, value, errors) {
+  const entries = (Array.isArray(value) ? value : String(value).split(','))
+    .map((entry) => String(entry).trim().toLowerCase())
+    .filter(Boolean);
+  for (const entry of entries) {
+    if (!entry.includes('/')) continue;
+    const [address, bits] = entry.split('/');
+    const family = net.isIP(address);
+    if (!family || !/^\d+$/.test(bits) || Number(bits) > (family === 6 ? 128 : 32)) {
+      errors.push(`${name} 中的地址段格式应为 IP/前缀长度，当前值: ${entry}`);
+    }
+  }
+  return entries;
+}
+
+// 环境变量中的 JSON 配置先解析，配置文件中直接是对象
+function parseJson(name, value, errors) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    errors.push(`${name} 不是有效的 JSON: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * JWT 签名密钥列表，格式为 kid:密钥,kid:密钥（配置文件中为 [{ kid, secret }]）
+ * 第一个用于签发新令牌，其余只用于验证旧令牌；未配置时使用 SECRET_KEY，kid 为 default
+ */
+function parseTokenKeys(value, secretKey, errors) {
+  if (value === undefined) {
+    return [{ kid: 'default', secret: secretKey }];
+  }
+  const items = Array.isArray(value)
+    ? value
+    : String(value).split(',').map((item) => {
+        const index = item.indexOf(':');
+        return index <= 0 ? {} : { kid: item.slice(0, index).trim(), secret: item.slice(index + 1).trim() };
+      });
+  const keys = [];
+  for (const item of items) {
+    if (!item || typeof item.kid !== 'string' || !item.kid || typeof item.secret !== 'string' || !item.secret) {
+      errors.push('TOKEN_KEYS 格式应为 kid:密钥,kid:密钥');
+      return null;
+    }
+    if (keys.some((key) => key.kid === item.kid)) {
+      errors.push(`TOKEN_KEYS 中的 kid 重复: ${item.kid}`);
+      return null;
+    }
+    keys.push({ kid: item.kid, secret: item.secret });
+  }
+  if (keys.length === 0) {
+    errors.push('TOKEN_KEYS 不能为空');
+    return null;
+  }
+  return keys;
+}
+
+// jsonwebtoken 的时间格式，如 900s、15m、1h
+function parseDuration(name, value, errors) {
+  const text = String(value).trim();
+  if (!/^\d+\s*(ms|s|m|h|d|w|y)$/.test(text) || Number.parseInt(text, 10) <= 0) {
+    errors.push(`${name} 的格式应为 数字+单位（ms、s、m、h、d、w、y），如 15m，当前值: ${value}`);
+    return null;
+  }
+  return text;
+}
+
+function parseRoles(value, errors) {
+  const roles = parseJson('ROLE_PERMISSIONS', value, errors);
+  if (roles === null) return null;
+  try {
+    return normalizeRoles(roles);
+  } catch (err) {
+    errors.push(`ROLE_PERMISSIONS 无效: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * 存储配额，单位为字节：
+ * { "defaultUser": 10737418240, "users": { "1": 53687091200 }, "namespaces": { "blog": 1073741824 } }
+ * namespaces 的键也可以是分类目录（如 images），对其下所有子目录生效；未配置的项不限制
+ */
+function parseStorageQuotas(value, errors) {
+  const quotas = parseJson('STORAGE_QUOTAS', value, errors);
+  if (quotas === null) return null;
+  if (typeof quotas !== 'object' || Array.isArray(quotas)) {
+    errors.push('STORAGE_QUOTAS 必须是 JSON 对象');
+    return null;
+  }
+  const unknown = Object.keys(quotas).filter((key) => !['defaultUser', 'users', 'namespaces'].includes(key));
+  if (unknown.length > 0) {
+    errors.push(`STORAGE_QUOTAS 包含未知的配置项: ${unknown.join(', ')}`);
+  }
+  const isLimit = (limit) => Number.isInteger(limit) && limit >= 0;
+  const defaultUser = quotas.defaultUser ?? null;
+  if (defaultUser !== null && !isLimit(defaultUser)) {
+    errors.push(`STORAGE_QUOTAS.defaultUser 必须是非负的字节数，当前值: ${defaultUser}`);
+  }
+  const result = { defaultUser, users: {}, namespaces: {} };
+  for (const group of ['users', 'namespaces']) {
+    const limits = quotas[group] ?? {};
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+      errors.push(`STORAGE_QUOTAS.${group} 必须是对象`);
+      continue;
+    }
+    for (const [key, limit] of Object.entries(limits)) {
+      if (!isLimit(limit)) {
+        errors.push(`STORAGE_QUOTAS.${group}.${key} 必须是非负的字节数，当前值: ${limit}`);
+        continue;
+      }
+      result[group][group === 'namespaces' ? key.split('/').filter(Boolean).join('/') : key] = limit;
+    }
+  }
+  return result;
+}
+
+// 环境变量格式为 次数/分钟，例如 AVATAR_RATE_LIMIT=5/60
+function parseRateLimit(name, envValue, fileValue, fallback, errors) {
+  let value = fileValue || fallback;
+  if (envValue !== undefined) {
+    const parts = envValue.split('/');
+    if (parts.length !== 2) {
+      errors.push(`${name} 的格式应为 次数/分钟（如 5/60），当前值: ${envValue}`);
+      return null;
+    }
+    value = { max: parts[0], windowMinutes: parts[1] };
+  }
+  const max = parseInteger(`${name} 的次数`, value.max, 1, errors);
+  const windowMinutes = parseInteger(`${name} 的时间窗口（分钟）`, value.windowMinutes, 1, errors);
+  if (max === null || windowMinutes === null) return null;
+  return { max, windowMs: windowMinutes * 60 * 1000 };
+}
+
+function parseBoolean(name, value, errors) {
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  errors.push(`${name} 必须是 true 或 false，当前值: ${value}`);
+  return null;
+}
+
+// S3 兼容存储的连接配置，环境变量优先于配置文件中的 s3 对象
+function parseS3Config(env, fileValue, errors) {
+  const file = fileValue || {};
+  const pick = (envName, fileKey) => env[envName] ?? file[fileKey];
+  const s3 = {
+    endpoint: pick('S3_ENDPOINT', 'endpoint') || null,
+    region: pick('S3_REGION', 'region') || 'us-east-1',
+    bucket: pick('S3_BUCKET', 'bucket') || null,
+    // 对象键的公共前缀，同一个存储桶可以供多个实例使用
+    prefix: String(pick('S3_PREFIX', 'prefix') || '').split('/').filter(Boolean).join('/'),
+    accessKeyId: pick('S3_ACCESS_KEY_ID', 'accessKeyId') || null,
+    secretAccessKey: pick('S3_SECRET_ACCESS_KEY', 'secretAccessKey') || null,
+    // MinIO 等自建服务通常只支持路径风格的地址，配置了 endpoint 时默认开启
+    forcePathStyle: null,
+  };
+  const forcePathStyle = pick('S3_FORCE_PATH_STYLE', 'forcePathStyle');
+  s3.forcePathStyle = forcePathStyle === undefined ? !!s3.endpoint : parseBoolean('S3_FORCE_PATH_STYLE', forcePathStyle, errors);
+
+  if (!s3.bucket) {
+    errors.push('使用 s3 存储驱动时必须配置 S3_BUCKET');
+  }
+  if (s3.endpoint) {
+    try {
+      const url = new URL(s3.endpoint);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error();
+    } catch (err) {
+      errors.push(`S3_ENDPOINT 不是有效的 http(s) 地址: ${s3.endpoint}`);
+    }
+  }
+  if (!s3.accessKeyId !== !s3.secretAccessKey) {
+    errors.push('S3_ACCESS_KEY_ID 和 S3_SECRET_ACCESS_KEY 必须同时配置，都不配置时使用 AWS 默认凭证链');
+  }
+  return s3;
+}
+
+function isInside(parent, child) {
+  const relative = path.relative(parent, child);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// 检查存储目录之间的关系，目录不存在时创建
+function checkStorageDirs(config, errors) {
+  const { uploadDir, tempDir, avatarDir, dataDir } = config;
+  const defaultTempDir = path.join(uploadDir, 'temp');
+  // 临时目录位于上传目录内时必须是 temp，否则会出现在文件列表中并能通过静态地址访问
+  if (isInside(uploadDir, tempDir) && tempDir !== defaultTempDir) {
+    errors.push(`TEMP_DIR 位于上传目录内时只能是 ${defaultTempDir}`);
+  }
+  // 头像需要通过静态地址访问，必须位于上传目录内
+  if (!isInside(uploadDir, avatarDir)) {
+    errors.push(`AVATAR_DIR 必须位于上传目录 ${uploadDir} 内`);
+  }
+  if (isInside(uploadDir, dataDir) || dataDir === uploadDir) {
+    errors.push('DATA_DIR 不能位于上传目录内，否则应用数据可以被直接下载');
+  }
+  if (errors.length > 0) return;
+
+  for (const dir of [uploadDir, tempDir, avatarDir, dataDir]) {
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+    } catch (err) {
+      errors.push(`无法创建目录 ${dir}: ${err.message}`);
+    }
+  }
+  if (errors.length > 0) return;
+
+  // 上传完成后文件从临时目录 rename 到上传目录，跨文件系统时会失败
+  if (fs.statSync(uploadDir).dev !== fs.statSync(tempDir).dev) {
+    errors.push('TEMP_DIR 必须与上传目录位于同一文件系统');
+  }
+}
+
+function loadConfig() {
+  const errors = [];
+  const file = readConfigFile(errors);
+  const env = process.env;
+  const pick = (envName, fileKey, fallback) => env[envName] ?? file[fileKey] ?? fallback;
+  const resolveDir = (value) => path.resolve(rootDir, String(value));
+
+  const port = parseInteger('PORT', pick('PORT', 'port', 4000), 1, errors);
+  const uploadDir = resolveDir(pick('UPLOAD_DIR', 'uploadDir', 'uploads'));
+  const secretKey = String(pick('SECRET_KEY', 'secretKey', 'your-default-secret-key-change-in-production'));
+  const config = {
+    port,
+    // 返回给客户端的文件地址的前缀，未配置时使用本机地址
+    publicBaseUrl: parsePublicBaseUrl(pick('PUBLIC_BASE_URL', 'publicBaseUrl', `http://localhost:${port || 4000}/`), errors),
+    uploadDir,
+    tempDir: resolveDir(pick('TEMP_DIR', 'tempDir', path.join(uploadDir, 'temp'))),
+    avatarDir: resolveDir(pick('AVATAR_DIR', 'avatarDir', path.join(uploadDir, 'blog', 'avatars'))),
+    dataDir: resolveDir(pick('DATA_DIR', 'dataDir', 'data')),
+    maxUploadSize: parseInteger('MAX_UPLOAD_SIZE', pick('MAX_UPLOAD_SIZE', 'maxUploadSize', 1024 * 1024 * 1024), 1, errors),
+    maxAvatarSize: parseInteger('MAX_AVATAR_SIZE', pick('MAX_AVATAR_SIZE', 'maxAvatarSize', 5 * 1024 * 1024), 1, errors),
+    // 解压上传的压缩包时允许的最大条目数和解压后的最大总字节数，防止压缩炸弹
+    maxExtractEntries: parseInteger('MAX_EXTRACT_ENTRIES', pick('MAX_EXTRACT_ENTRIES', 'maxExtractEntries', 1000), 1, errors),
+    maxExtractSize: parseInteger('MAX_EXTRACT_SIZE', pick('MAX_EXTRACT_SIZE', 'maxExtractSize', 1024 * 1024 * 1024), 1, errors),
+    // 回收站保留天数，0表示不自动清理
+    trashRetentionDays: parseInteger('TRASH_RETENTION_DAYS', pick('TRASH_RETENTION_DAYS', 'trashRetentionDays', 30), 0, errors),
+    corsOrigins: parseCorsOrigins(pick('CORS_ORIGINS', 'corsOrigins', '*'), errors),
+    // 从 URL 导入文件时允许访问的内网主机（默认禁止访问内网和本机地址）
+    importAllowedHosts: parseHostList('IMPORT_ALLOWED_HOSTS', pick('IMPORT_ALLOWED_HOSTS', 'importAllowedHosts', ''), errors),
+    // Webhook 允许投递到的内网主机（默认禁止投递到内网和本机地址）
+    webhookAllowedHosts: parseHostList('WEBHOOK_ALLOWED_HOSTS', pick('WEBHOOK_ALLOWED_HOSTS', 'webhookAllowedHosts', ''), errors),
+    // JWT 签名密钥，轮换时见 TOKEN_KEYS
+    secretKey,
+    tokenKeys: parseTokenKeys(pick('TOKEN_KEYS', 'tokenKeys'), secretKey, errors),
+    // 访问令牌有效期
+    accessTokenTtl: parseDuration('ACCESS_TOKEN_TTL', pick('ACCESS_TOKEN_TTL', 'accessTokenTtl', '15m'), errors),
+    // 刷新令牌有效期（天）
+    refreshTokenDays: parseInteger('REFRESH_TOKEN_DAYS', pick('REFRESH_TOKEN_DAYS', 'refreshTokenDays', 7), 1, errors),
+    // 签名链接的密钥，未单独配置时使用 JWT 密钥
+    urlSigningSecret: String(pick('URL_SIGNING_SECRET', 'urlSigningSecret', secretKey)),
+    // 角色权限，键为 JWT 中的 userType，格式见 grants.js 中的 defaultRoles
+    roles: parseRoles(pick('ROLE_PERMISSIONS', 'roles', defaultRoles), errors),
+    storageQuotas: parseStorageQuotas(pick('STORAGE_QUOTAS', 'storageQuotas', {}), errors),
+    rateLimits: {},
+    // 存储驱动：local 保存在上传目录中，s3 保存在 S3 兼容的对象存储中
+    storageDriver: pick('STORAGE_DRIVER', 'storageDriver', 'local'),
+    s3: null,
+  };
+  if (!storageDrivers.includes(config.storageDriver)) {
+    errors.push(`STORAGE_DRIVER 必须是 ${storageDrivers.join('、')} 之一，当前值: ${config.storageDriver}`);
+  } else if (config.storageDriver === 's3') {
+    config.s3 = Object.freeze(parseS3Config(env, file.s3, errors));
+  }
+
+  const fileRateLimits = file.rateLimits || {};
+  for (const [name, fallback] of Object.entries(defaultRateLimits)) {
+    const envName = `${name.toUpperCase()}_RATE_LIMIT`;
+    config.rateLimits[name] = parseRateLimit(envName, env[envName], fileRateLimits[name], fallback, errors);
+  }
+
+  if (errors.length === 0) {
+    checkStorageDirs(config, errors);
+  }
+  if (errors.length > 0) {
+    throw new Error(`配置无效:\n  - ${errors.join('\n  - ')}`);
+  }
+  return Object.freeze(config);
+}
+
+module.exports = loadConfig();
@@ -0,0 +1,179 @@
+const fs = require('fs').promises;
+
+// 检测文件类型需要读取的文件头字节数（tar 的标识位于第257字节）
+const HEAD_SIZE = 4100;
+
+/**
+ * 文件头签名表
+ * bytes 中的 null 表示该位置可以是任意字节；exts 是与该类型一致的扩展名
+ * dangerous 标记可执行内容，伪装成其他类型上传时会被拒绝
+ * weak 标记过短的签名，内容是文本时不使用，避免把普通文本误判为二进制格式
+ */
+const signatures = [
+  // 图片
+  { mime: 'image/jpeg', exts: ['.jpg', '.jpeg', '.jpe', '.jfif'], bytes: [0xff, 0xd8, 0xff] },
+  { mime: 'image/png', exts: ['.png', '.apng'], bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mime: 'image/gif', exts: ['.gif'], bytes: [0x47, 0x49, 0x46, 0x38, null, 0x61] },
+  { mime: 'image/webp', exts: ['.webp'], bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x45, 0x42, 0x50] },
+  { mime: 'image/avif', exts: ['.avif'], offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x61, 0x76, 0x69, null] },
+  { mime: 'image/bmp', exts: ['.bmp', '.dib'], bytes: [0x42, 0x4d], weak: true },
+  { mime: 'image/heic', exts: ['.heic', '.heif'], offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x68, 0x65, 0x69, null] },
+  { mime: 'image/heic', exts: ['.heic', '.heif'], offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x6d, 0x69, 0x66, 0x31] },
+  // 视频
+  { mime: 'video/quicktime', exts: ['.mov', '.qt'], offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x71, 0x74] },
+  { mime: 'video/mp4', exts: ['.mp4', '.m4v', '.m4a', '.3gp'], offset: 4, bytes: [0x66, 0x74, 0x79, 0x70] },
+  { mime: 'video/x-msvideo', exts: ['.avi'], bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x41, 0x56, 0x49, 0x20] },
+  { mime: 'video/x-matroska', exts: ['.mkv', '.webm', '.mka'], bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { mime: 'video/mpeg', exts: ['.mpeg', '.mpg'], bytes: [0x00, 0x00, 0x01, 0xba] },
+  // 音频
+  { mime: 'audio/wav', exts: ['.wav'], bytes: [0x52, 0x49, 0x46, 0x46, null, null, null, null, 0x57, 0x41, 0x56, 0x45] },
+  { mime: 'audio/ogg', exts: ['.ogg', '.oga', '.ogv', '.opus'], bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mime: 'audio/flac', exts: ['.flac'], bytes: [0x66, 0x4c, 0x61, 0x43] },
+  { mime: 'audio/mpeg', exts: ['.mp3'], bytes: [0x49, 0x44, 0x33] },
+  // 文档
+  { mime: 'application/pdf', exts: ['.pdf'], bytes: [0x25, 0x50, 0x44, 0x46] },
+  { mime: 'application/rtf', exts: ['.rtf'], bytes: [0x7b, 0x5c, 0x72, 0x74, 0x66] },
+  // 旧版 Office 文档使用的复合文档格式
+  { mime: 'application/x-cfb', exts: ['.doc', '.xls', '.ppt', '.msi'], bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] },
+  // 压缩包（新版 Office 和 OpenDocument 文档本质上也是 zip）
+  {
+    mime: 'application/zip',
+    exts: ['.zip', '.docx', '.xlsx', '.pptx', '.odt', '.ods', '.odp', '.jar', '.apk', '.epub'],
+    bytes: [0x50, 0x4b, 0x03, 0x04],
+  },
+  { mime: 'application/zip', exts: ['.zip'], bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { mime: 'application/x-rar-compressed', exts: ['.rar'], bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07] },
+  { mime: 'application/x-7z-compressed', exts: ['.7z'], bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { mime: 'application/gzip', exts: ['.gz', '.tgz'], bytes: [0x1f, 0x8b] },
+  { mime: 'application/x-tar', exts: ['.tar'], offset: 257, bytes: [0x75, 0x73, 0x74, 0x61, 0x72] },
+  // 字体
+  { mime: 'font/woff', exts: ['.woff'], bytes: [0x77, 0x4f, 0x46, 0x46] },
+  { mime: 'font/woff2', exts: ['.woff2'], bytes: [0x77, 0x4f, 0x46, 0x32] },
+  { mime: 'font/otf', exts: ['.otf'], bytes: [0x4f, 0x54, 0x54, 0x4f] },
+  { mime: 'font/ttf', exts: ['.ttf'], bytes: [0x00, 0x01, 0x00, 0x00, 0x00] },
+  // 可执行文件
+  { mime: 'application/x-msdownload', exts: ['.exe', '.dll', '.sys', '.scr', '.com'], bytes: [0x4d, 0x5a], dangerous: true, weak: true },
+  { mime: 'application/x-elf', exts: ['', '.so', '.elf', '.bin', '.o', '.run'], bytes: [0x7f, 0x45, 0x4c, 0x46], dangerous: true },
+  { mime: 'application/x-mach-binary', exts: ['', '.dylib', '.bundle', '.o'], bytes: [0xfe, 0xed, 0xfa, null], dangerous: true },
+  { mime: 'application/x-mach-binary', exts: ['', '.dylib', '.bundle', '.o'], bytes: [null, 0xfa, 0xed, 0xfe], dangerous: true },
+  { mime: 'application/x-mach-binary', exts: ['', '.dylib', '.class'], bytes: [0xca, 0xfe, 0xba, 0xbe], dangerous: true },
+];
+
+function matchSignature(buffer, signature) {
+  const offset = signature.offset || 0;
+  if (buffer.length < offset + signature.bytes.length) {
+    return false;
+  }
+  return signature.bytes.every(
+    (byte, index) => byte === null || buffer[offset + index] === byte
+  );
+}
+
+// 不含 NUL 且能按 UTF-8 解码的内容视为文本
+function isText(buffer) {
+  if (buffer.includes(0x00)) {
+    return false;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch {
+    // 文件头截断可能刚好切断一个多字节字符，去掉末尾几个字节再试一次
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer.subarray(0, Math.max(0, buffer.length - 3)));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+}
+
+function detectTextType(buffer) {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  const lower = text.toLowerCase();
+
+  if (text.startsWith('#!')) {
+    return { mime: 'text/x-shellscript', exts: ['.sh', '.bash', '.zsh', '.py', '.rb', '.pl', '.js', '.mjs', '.php'], text: true, dangerous: true };
+  }
+
+  // 跳过 XML 声明、注释和 DOCTYPE 后查看第一个元素
+  const firstElement = lower.replace(/^(\s*(<\?xml[\s\S]*?\?>|<!--[\s\S]*?-->|<!doctype\s+svg[\s\S]*?>))*\s*/, '');
+  if (firstElement.startsWith('<svg')) {
+    // SVG 中的脚本和事件属性会在同源下执行
+    const hasScript = /<script[\s>]|\son[a-z]+\s*=|javascript:/.test(lower);
+    return { mime: 'image/svg+xml', exts: ['.svg', '.svgz'], text: true, hasScript };
+  }
+
+  if (/^(<!doctype\s+html|<html[\s>]|<head[\s>]|<body[\s>]|<script[\s>]|<iframe[\s>])/.test(firstElement)) {
+    return { mime: 'text/html', exts: ['.html', '.htm', '.xhtml', '.shtml'], text: true, dangerous: true };
+  }
+
+  if (lower.startsWith('<?xml')) {
+    return { mime: 'text/xml', exts: ['.xml', '.xsl', '.xslt', '.rss', '.atom', '.plist'], text: true };
+  }
+
+  return { mime: 'text/plain', exts: [], text: true };
+}
+
+/**
+ * 根据文件头判断文件的真实类型
+ * @param {Buffer} buffer - 文件开头的字节
+ * @returns {object|null} { mime, exts, text, dangerous, hasScript }，无法识别时返回 null
+ */
+function detectFileType(buffer) {
+  if (!buffer || buffer.length === 0) {
+    return null;
+  }
+
+  const text = isText(buffer);
+  const signature = signatures.find(
+    (item) => !(item.weak && text) && matchSignature(buffer, item)
+  );
+  if (signature) {
+    return { mime: signature.mime, exts: signature.exts, text: false, dangerous: !!signature.dangerous };
+  }
+
+  // MP3 没有 ID3 标签时以帧同步字节开头
+  if (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    const isAdts = (buffer[1] & 0x06) === 0x00 && (buffer[1] & 0xf0) === 0xf0;
+    return isAdts
+      ? { mime: 'audio/aac', exts: ['.aac'], text: false }
+      : { mime: 'audio/mpeg', exts: ['.mp3'], text: false };
+  }
+
+  if (text) {
+    return detectTextType(buffer);
+  }
+
+  return null;
+}
+
+/**
+ * 读取文件开头用于类型检测的字节
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<Buffer>} 文件头
+ */
+async function readFileHead(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEAD_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, HEAD_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 检测磁盘上文件的真实类型
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<object|null>} 同 detectFileType
+ */
+async function detectFileTypeFromFile(filePath) {
+  return detectFileType(await readFileHead(filePath));
+}
+
+module.exports = {
+  detectFileType,
+  detectFileTypeFromFile,
+};
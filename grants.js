@@ -0,0 +1,69 @@
+// 权限：read 读取，upload 上传和修改（创建目录、重命名、移动、复制的目标），delete 删除，admin 管理（包含所有权限）
+const abilities = ['read', 'upload', 'delete', 'admin'];
+
+/**
+ * 默认角色配置，键为 JWT 中的 userType
+ * 每个角色是一组授权，namespaces 为空表示对整个上传目录有效，否则只对这些命名空间（含子目录）有效
+ */
+const defaultRoles = {
+  admin: [{ abilities: ['admin'] }],
+  editor: [{ abilities: ['read', 'upload', 'delete'] }],
+  viewer: [{ abilities: ['read'] }],
+  // 博客编辑：可以查看所有文件，只能在 blog/ 下上传和删除
+  blog: [{ abilities: ['read'] }, { abilities: ['upload', 'delete'], namespaces: ['blog'] }],
+};
+
+/**
+ * 校验并规范化一组授权，命名空间统一为不带首尾 / 的相对路径
+ * @param {object[]} grants - 授权列表，格式同 defaultRoles 中的角色
+ * @param {string} label - 出错时用于提示的名称（角色名、API 密钥等）
+ * @returns {object[]}
+ * @throws 格式不合法或包含未知权限时抛出错误
+ */
+function normalizeGrants(grants, label) {
+  if (!Array.isArray(grants)) {
+    throw new Error(`${label} 的授权必须是数组`);
+  }
+  return grants.map((grant) => {
+    if (!grant || typeof grant !== 'object' || !Array.isArray(grant.abilities)) {
+      throw new Error(`${label} 的每项授权都需要 abilities 数组`);
+    }
+    const unknown = grant.abilities.filter((ability) => !abilities.includes(ability));
+    if (unknown.length > 0) {
+      throw new Error(`${label} 包含未知权限: ${unknown.join(', ')}`);
+    }
+    if (grant.namespaces != null && !Array.isArray(grant.namespaces)) {
+      throw new Error(`${label} 的 namespaces 必须是数组`);
+    }
+    return {
+      abilities: grant.abilities,
+      namespaces: grant.namespaces
+        ? grant.namespaces.map((namespace) => String(namespace).split('/').filter(Boolean).join('/'))
+        : null,
+    };
+  });
+}
+
+/**
+ * 校验并规范化角色配置
+ * @param {object} roles - 角色名到授权列表的映射
+ * @returns {object}
+ * @throws 格式不合法时抛出错误
+ */
+function normalizeRoles(roles) {
+  if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+    throw new Error('角色配置必须是角色名到授权列表的对象');
+  }
+  const result = {};
+  for (const [role, grants] of Object.entries(roles)) {
+    result[role] = normalizeGrants(grants, `角色 ${role}`);
+  }
+  return result;
+}
+
+module.exports = {
+  abilities,
+  defaultRoles,
+  normalizeGrants,
+  normalizeRoles,
+};
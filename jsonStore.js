@@ -0,0 +1,54 @@
+const path = require('path');
+const fs = require('fs').promises;
+const config = require('./config');
+
+// 应用数据目录（与文件元数据索引相同）
+const dataDir = config.dataDir;
+
+/**
+ * 创建保存在 data 目录中的小型 JSON 存储，适合配置类数据（私有命名空间、分享链接等）
+ * 首次读取后缓存在内存中；修改串行执行，先写临时文件再替换，避免写入中途失败损坏文件
+ * @param {string} fileName - data 目录中的文件名
+ * @param {function} createDefault - 文件不存在时返回初始数据
+ * @returns {{read: function, update: function}}
+ */
+function createJsonStore(fileName, createDefault) {
+  const filePath = path.join(dataDir, fileName);
+  let data = null;
+  let writeQueue = Promise.resolve();
+
+  async function read() {
+    if (data) return data;
+    try {
+      data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      data = createDefault();
+    }
+    return data;
+  }
+
+  /**
+   * 修改数据并写回文件
+   * @param {function} mutator - 接收当前数据并直接修改，返回值作为 update 的结果
+   */
+  function update(mutator) {
+    const result = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        const current = await read();
+        const value = await mutator(current);
+        await fs.mkdir(dataDir, { recursive: true });
+        const tempFile = `${filePath}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(current, null, 2));
+        await fs.rename(tempFile, filePath);
+        return value;
+      });
+    writeQueue = result;
+    return result;
+  }
+
+  return { read, update };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,123 @@
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const config = require('./config');
+const objectStore = require('./objectStore');
+const trash = require('./trash');
+
+// 本地磁盘存储：文件保存在上传目录中，内容通过硬链接去重，删除时移入回收站
+const baseUploadDir = config.uploadDir;
+
+function toAbsolutePath(relativePath) {
+  return path.join(baseUploadDir, ...relativePath.split('/').filter(Boolean));
+}
+
+// 根目录下的临时目录和内部存储目录（.objects、.trash）不属于用户文件
+function isInternalRootEntry(relativeDir, name) {
+  return relativeDir === '' && (name === 'temp' || name.startsWith('.'));
+}
+
+function toStats(stats) {
+  return {
+    isFile: stats.isFile(),
+    isDirectory: stats.isDirectory(),
+    size: stats.size,
+    mtime: stats.mtime,
+    birthtime: stats.birthtime,
+  };
+}
+
+async function storeFile(tempPath, relativePath, { hash } = {}) {
+  const finalPath = toAbsolutePath(relativePath);
+  await fs.mkdir(path.dirname(finalPath), { recursive: true });
+  // 没有内容哈希的文件（如头像）不参与去重，直接移动
+  if (!hash) {
+    await fs.rename(tempPath, finalPath);
+    return { duplicate: false };
+  }
+  return objectStore.storeFile(tempPath, hash, finalPath);
+}
+
+async function stat(relativePath) {
+  try {
+    return toStats(await fs.stat(toAbsolutePath(relativePath)));
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+    throw err;
+  }
+}
+
+async function list(relativeDir) {
+  let items;
+  try {
+    items = await fs.readdir(toAbsolutePath(relativeDir), { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+    throw err;
+  }
+  return items.map((item) => ({ name: item.name, isDirectory: item.isDirectory(), stats: null }));
+}
+
+async function walk(relativeDir, visit) {
+  const items = await fs.readdir(toAbsolutePath(relativeDir), { withFileTypes: true });
+  for (const item of items) {
+    if (isInternalRootEntry(relativeDir, item.name)) continue;
+    const itemPath = relativeDir ? `${relativeDir}/${item.name}` : item.name;
+    // 跳过符号链接，只遍历真实的目录和文件
+    if (item.isDirectory()) {
+      await walk(itemPath, visit);
+    } else if (item.isFile()) {
+      await visit({ path: itemPath, name: item.name, stat: () => stat(itemPath) });
+    }
+  }
+}
+
+async function createDirectory(relativePath) {
+  await fs.mkdir(toAbsolutePath(relativePath), { recursive: true });
+}
+
+async function remove(relativePath, { deletedBy } = {}) {
+  // 移入回收站，彻底删除时才释放文件内容
+  const entry = await trash.moveToTrash(toAbsolutePath(relativePath), { deletedBy });
+  return { trashId: entry.id };
+}
+
+async function createReadStream(relativePath) {
+  // 先打开文件，文件不存在时在返回流之前就报错
+  const handle = await fs.open(toAbsolutePath(relativePath), 'r').catch((err) => {
+    if (err.code === 'ENOENT') err.status = 404;
+    throw err;
+  });
+  return handle.createReadStream();
+}
+
+function sendFile(req, res, relativePath, setHeaders) {
+  const filePath = toAbsolutePath(relativePath);
+  setHeaders(res, filePath);
+  return new Promise((resolve, reject) => {
+    res.sendFile(filePath, { lastModified: true }, (err) => (err ? reject(err) : resolve()));
+  });
+}
+
+function createStaticHandler({ setHeaders }) {
+  return express.static(baseUploadDir, {
+    maxAge: '7d', // 延长缓存时间至7天
+    etag: true, // 启用etag支持
+    lastModified: true, // 启用last-modified支持
+    index: false, // 禁用目录索引
+    setHeaders,
+  });
+}
+
+module.exports = {
+  name: 'local',
+  storeFile,
+  stat,
+  list,
+  walk,
+  createDirectory,
+  remove,
+  createReadStream,
+  sendFile,
+  createStaticHandler,
+};
@@ -0,0 +1,201 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { logger } = require('./logger');
+const config = require('./config');
+
+// 文件元数据存储：只追加的 JSON Lines 日志，每行一个操作，启动后在内存中重放
+const dataDir = config.dataDir;
+const metadataFile = path.join(dataDir, 'metadata.jsonl');
+
+// 日志行数超过记录数的两倍（且不少于1000行）时压缩为每条记录一行
+const COMPACT_MIN_LINES = 1000;
+
+let records = null;
+// 每个上传者的文件总大小，随记录的写入和删除增减，检查用户配额时不需要遍历所有记录
+const userUsage = new Map();
+let loading = null;
+let logLines = 0;
+// 所有写入串行执行，保证日志顺序与内存中的应用顺序一致
+let writeQueue = Promise.resolve();
+
+// 判断 key 是否是 prefix 本身或位于 prefix 目录下
+function isUnder(key, prefix) {
+  return key === prefix || key.startsWith(`${prefix}/`);
+}
+
+function addUserUsage(record, delta) {
+  if (!record.size) return;
+  userUsage.set(record.userId, (userUsage.get(record.userId) || 0) + delta * record.size);
+}
+
+function setRecord(key, record) {
+  if (records.has(key)) addUserUsage(records.get(key), -1);
+  records.set(key, record);
+  addUserUsage(record, 1);
+}
+
+function deleteRecord(key) {
+  addUserUsage(records.get(key), -1);
+  records.delete(key);
+}
+
+function applyOperation(op) {
+  switch (op.op) {
+    case 'put':
+      setRecord(op.path, op.record);
+      break;
+    case 'remove':
+      for (const key of [...records.keys()]) {
+        if (isUnder(key, op.path)) deleteRecord(key);
+      }
+      break;
+    case 'move':
+    case 'copy':
+      for (const [key, record] of [...records.entries()]) {
+        if (!isUnder(key, op.from)) continue;
+        if (op.op === 'move') deleteRecord(key);
+        setRecord(op.to + key.slice(op.from.length), { ...record, updatedAt: op.at });
+      }
+      break;
+    default:
+      logger.warn('忽略未知的元数据操作', { op: op.op });
+  }
+}
+
+async function load() {
+  if (records) return records;
+  if (!loading) {
+    loading = (async () => {
+      records = new Map();
+      let content = '';
+      try {
+        content = await fs.readFile(metadataFile, 'utf8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+
+      for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          applyOperation(JSON.parse(line));
+          logLines++;
+        } catch (err) {
+          // 进程在写入中途退出可能留下不完整的最后一行
+          logger.warn('跳过无法解析的元数据记录', { error: err.message });
+        }
+      }
+      logger.info('文件元数据加载完成', { records: records.size, lines: logLines });
+      return records;
+    })();
+  }
+  return loading;
+}
+
+// 把当前内存状态重写为每条记录一行，先写临时文件再替换，避免中途失败损坏日志
+async function compact() {
+  const tempFile = `${metadataFile}.tmp`;
+  const lines = [...records.entries()].map(([key, record]) =>
+    JSON.stringify({ op: 'put', path: key, record })
+  );
+  await fs.writeFile(tempFile, lines.length ? `${lines.join('\n')}\n` : '');
+  await fs.rename(tempFile, metadataFile);
+  logLines = lines.length;
+  logger.info('文件元数据日志压缩完成', { records: records.size });
+}
+
+async function append(op) {
+  await load();
+  applyOperation(op);
+
+  writeQueue = writeQueue
+    .catch(() => {})
+    .then(async () => {
+      await fs.mkdir(dataDir, { recursive: true });
+      await fs.appendFile(metadataFile, `${JSON.stringify(op)}\n`);
+      logLines++;
+      if (logLines >= COMPACT_MIN_LINES && logLines > records.size * 2) {
+        await compact();
+      }
+    });
+  return writeQueue;
+}
+
+/**
+ * 写入（或覆盖）文件的元数据
+ * @param {string} filePath - 相对于上传目录的路径
+ * @param {object} record - 元数据（originalName、mimetype、detectedType、size、hash、userId、userType）
+ */
+async function putFileMetadata(filePath, record) {
+  const now = new Date().toISOString();
+  await append({
+    op: 'put',
+    path: filePath,
+    record: { ...record, createdAt: record.createdAt || now, updatedAt: now },
+  });
+}
+
+/**
+ * 删除文件的元数据，路径是目录时同时删除其中所有文件的元数据
+ * @param {string} filePath - 相对于上传目录的路径
+ */
+async function removeFileMetadata(filePath) {
+  await append({ op: 'remove', path: filePath });
+}
+
+/**
+ * 文件或目录移动后同步移动元数据
+ * @param {string} from - 原相对路径
+ * @param {string} to - 新相对路径
+ */
+async function moveFileMetadata(from, to) {
+  await append({ op: 'move', from, to, at: new Date().toISOString() });
+}
+
+/**
+ * 文件或目录复制后同步复制元数据
+ * @param {string} from - 源相对路径
+ * @param {string} to - 目标相对路径
+ */
+async function copyFileMetadata(from, to) {
+  await append({ op: 'copy', from, to, at: new Date().toISOString() });
+}
+
+/**
+ * 读取文件的元数据
+ * @param {string} filePath - 相对于上传目录的路径
+ * @returns {Promise<object|null>} 元数据，没有记录时返回 null
+ */
+async function getFileMetadata(filePath) {
+  await load();
+  const record = records.get(filePath);
+  return record ? { path: filePath, ...record } : null;
+}
+
+/**
+ * 读取所有文件的元数据
+ * @returns {Promise<object[]>} 元数据列表（包含 path）
+ */
+async function listFileMetadata() {
+  await load();
+  return [...records.entries()].map(([key, record]) => ({ path: key, ...record }));
+}
+
+/**
+ * 统计用户上传的文件总大小（按元数据中的上传者累计）
+ * @param {string} userId - 上传者
+ * @returns {Promise<number>} 字节数
+ */
+async function getUserUsage(userId) {
+  await load();
+  return userUsage.get(userId) || 0;
+}
+
+module.exports = {
+  putFileMetadata,
+  removeFileMetadata,
+  moveFileMetadata,
+  copyFileMetadata,
+  getFileMetadata,
+  listFileMetadata,
+  getUserUsage,
+};
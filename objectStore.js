@@ -0,0 +1,199 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { logger } = require('./logger');
+const config = require('./config');
+
+// 内容寻址存储目录：每份内容只保存一次，文件名为内容的 SHA-256
+// 上传目录中的文件都是指向这里的硬链接，链接计数即引用计数
+const objectDir = path.join(config.uploadDir, '.objects');
+
+function getObjectPath(hash) {
+  return path.join(objectDir, hash.substring(0, 2), hash);
+}
+
+// 同一份内容的存入和回收串行执行，避免回收在 storeFile 判断内容已存在之后、创建引用之前删除内容
+const objectLocks = new Map();
+
+function withObjectLock(hash, task) {
+  const previous = objectLocks.get(hash) || Promise.resolve();
+  const result = previous.catch(() => {}).then(task);
+  objectLocks.set(hash, result);
+  // 队列中没有后续任务时删除，避免 Map 无限增长
+  result.catch(() => {}).then(() => {
+    if (objectLocks.get(hash) === result) objectLocks.delete(hash);
+  });
+  return result;
+}
+
+/**
+ * 创建一边写入一边计算 SHA-256 的 multer 存储引擎
+ * 参数与 multer.diskStorage 相同，上传完成后 req.file.hash 为文件内容的哈希值
+ * @param {object} options - destination 和 filename 回调
+ */
+function createHashingStorage({ destination, filename }) {
+  return {
+    _handleFile(req, file, cb) {
+      destination(req, file, (err, dest) => {
+        if (err) return cb(err);
+        filename(req, file, (err, name) => {
+          if (err) return cb(err);
+
+          const filePath = path.join(dest, name);
+          const hash = crypto.createHash('sha256');
+          const hasher = new Transform({
+            transform(chunk, encoding, callback) {
+              hash.update(chunk);
+              callback(null, chunk);
+            },
+          });
+          const outStream = createWriteStream(filePath);
+
+          pipeline(file.stream, hasher, outStream)
+            .then(() =>
+              cb(null, {
+                destination: dest,
+                filename: name,
+                path: filePath,
+                size: outStream.bytesWritten,
+                hash: hash.digest('hex'),
+              })
+            )
+            .catch(cb);
+        });
+      });
+    },
+    _removeFile(req, file, cb) {
+      fs.rm(file.path, { force: true }).then(() => cb(null), cb);
+    },
+  };
+}
+
+/**
+ * 计算文件内容的 SHA-256（用于不经过 multer 的上传，例如分片上传）
+ * @param {string} filePath - 文件路径
+ * @returns {Promise<string>} 十六进制哈希值
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  await pipeline(createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * 把临时文件存入内容寻址存储，并在目标位置创建指向它的引用
+ * 相同内容已存在时直接复用，临时文件会被删除
+ * @param {string} tempPath - 临时文件路径
+ * @param {string} hash - 文件内容的 SHA-256
+ * @param {string} destPath - 目标路径（调用方需保证不存在）
+ * @returns {Promise<{duplicate: boolean}>} duplicate 表示内容是否已经存在
+ */
+async function storeFile(tempPath, hash, destPath) {
+  const objectPath = getObjectPath(hash);
+  await fs.mkdir(path.dirname(objectPath), { recursive: true });
+
+  const duplicate = await withObjectLock(hash, async () => {
+    let exists = false;
+    try {
+      // link 在目标已存在时会失败，可以原子地判断内容是否重复
+      await fs.link(tempPath, objectPath);
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      exists = true;
+    }
+    await fs.link(objectPath, destPath);
+    return exists;
+  });
+  await fs.unlink(tempPath);
+  return { duplicate };
+}
+
+/**
+ * 复制文件或目录：文件只创建指向同一内容的新引用，不占用额外空间
+ * @param {string} srcPath - 源路径
+ * @param {string} destPath - 目标路径（调用方需保证不存在）
+ */
+async function copyReference(srcPath, destPath) {
+  const stats = await fs.stat(srcPath);
+  if (!stats.isDirectory()) {
+    await fs.link(srcPath, destPath);
+    return;
+  }
+
+  await fs.mkdir(destPath);
+  for (const item of await fs.readdir(srcPath)) {
+    await copyReference(path.join(srcPath, item), path.join(destPath, item));
+  }
+}
+
+// 内容没有任何引用（链接数只剩内容存储中的1个）时删除
+function releaseObject(hash) {
+  return withObjectLock(hash, async () => {
+    const objectPath = getObjectPath(hash);
+    let stats;
+    try {
+      stats = await fs.stat(objectPath);
+    } catch (err) {
+      if (err.code === 'ENOENT') return;
+      throw err;
+    }
+    if (stats.nlink === 1) {
+      await fs.unlink(objectPath);
+      logger.info('已释放无引用的文件内容', { hash, size: stats.size });
+    }
+  });
+}
+
+/**
+ * 删除一个文件引用，最后一个引用消失时释放内容占用的空间（只检查这一份内容）
+ * @param {string} filePath - 要删除的文件路径
+ * @param {string|null} hash - 文件内容的 SHA-256（元数据中记录的值），未知或与实际内容不符时读取文件计算
+ */
+async function releaseFile(filePath, hash) {
+  const stats = await fs.lstat(filePath);
+  // 只有一个链接的文件不在内容存储中（头像、符号链接或去重之前上传的文件）
+  if (!stats.isFile() || stats.nlink < 2) {
+    await fs.unlink(filePath);
+    return;
+  }
+
+  let objectHash = hash;
+  const objectStats = objectHash ? await fs.stat(getObjectPath(objectHash)).catch(() => null) : null;
+  if (!objectStats || objectStats.ino !== stats.ino || objectStats.dev !== stats.dev) {
+    objectHash = await hashFile(filePath);
+  }
+  await fs.unlink(filePath);
+  await releaseObject(objectHash);
+}
+
+/**
+ * 回收没有任何引用的内容（链接数只剩1的对象），用于清理异常退出时遗留的内容
+ * 会遍历整个内容存储，删除文件时使用 releaseFile
+ */
+async function collectGarbage() {
+  let shards;
+  try {
+    shards = await fs.readdir(objectDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+
+  for (const shard of shards) {
+    for (const object of await fs.readdir(path.join(objectDir, shard))) {
+      await releaseObject(object);
+    }
+  }
+}
+
+module.exports = {
+  createHashingStorage,
+  hashFile,
+  storeFile,
+  copyReference,
+  releaseFile,
+  collectGarbage,
+};
@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * 使用 scrypt 和随机盐计算密码哈希
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>} 格式为 盐:哈希 的十六进制字符串
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+/**
+ * 校验密码与保存的哈希是否一致（恒定时间比较）
+ * @param {string} password - 明文密码
+ * @param {string} stored - hashPassword 的结果
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [salt, expected] = stored.split(':');
+  const hash = await scrypt(password, Buffer.from(salt, 'hex'), 32);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, 'hex'));
+}
+
+module.exports = { hashPassword, verifyPassword };
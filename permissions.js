@@ -0,0 +1,114 @@
+const { logger } = require('./logger');
+const config = require('./config');
+const { abilities, normalizeGrants } = require('./grants');
+
+/**
+ * 权限不足
+ */
+class PermissionDeniedError extends Error {
+  constructor(ability, targetPath) {
+    super('权限不足');
+    this.name = 'PermissionDeniedError';
+    this.status = 403;
+    this.ability = ability;
+    this.path = targetPath;
+  }
+}
+
+// 角色配置由 config 在启动时校验（ROLE_PERMISSIONS，格式同 grants.js 中的 defaultRoles）
+const roles = config.roles;
+
+// API 密钥直接携带自己的授权范围，JWT 用户按角色查找
+function getGrants(user) {
+  if (user?.grants) return user.grants;
+  return (user && roles[user.userType]) || [];
+}
+
+function grantIncludes(grant, ability) {
+  return grant.abilities.includes('admin') || grant.abilities.includes(ability);
+}
+
+// 判断路径是否位于授权的命名空间中，根目录本身只有全局授权可以访问
+function grantCovers(grant, relativePath) {
+  if (!grant.namespaces) return true;
+  return grant.namespaces.some(
+    (namespace) => relativePath === namespace || relativePath.startsWith(`${namespace}/`)
+  );
+}
+
+/**
+ * 判断用户是否在任意范围内拥有指定权限
+ * @param {object} user - JWT 载荷（userId、userType）
+ * @param {string} ability - 权限
+ * @returns {boolean}
+ */
+function hasAbility(user, ability) {
+  return getGrants(user).some((grant) => grantIncludes(grant, ability));
+}
+
+/**
+ * 判断用户对上传目录中的路径是否拥有指定权限
+ * @param {object} user - JWT 载荷（userId、userType）
+ * @param {string} ability - 权限
+ * @param {string} relativePath - 相对于上传目录、以 / 分隔的路径，根目录为空字符串
+ * @returns {boolean}
+ */
+function canAccess(user, ability, relativePath) {
+  return getGrants(user).some(
+    (grant) => grantIncludes(grant, ability) && grantCovers(grant, relativePath)
+  );
+}
+
+/**
+ * 判断用户是否拥有不限命名空间的权限，用于与具体文件无关的全局操作（API 密钥、Webhook、撤销令牌等）
+ * 只限定在部分命名空间的授权（例如 blog/ 下的 admin）不算
+ * @param {object} user - JWT 载荷（userId、userType）
+ * @param {string} ability - 权限
+ * @returns {boolean}
+ */
+function hasGlobalAbility(user, ability) {
+  return getGrants(user).some((grant) => grantIncludes(grant, ability) && !grant.namespaces);
+}
+
+function sendForbidden(req, res, ability) {
+  logger.warn('权限不足', { userId: req.user?.userId, userType: req.user?.userType, ability, path: req.path });
+  return res.status(403).json({ error: '权限不足', ability, userType: req.user?.userType || null });
+}
+
+/**
+ * 创建检查权限的中间件，用户在任何范围内都没有该权限时返回 403
+ * 具体路径的权限由各接口在解析路径后用 canAccess 检查
+ * @param {string} ability - 权限
+ */
+function requirePermission(ability) {
+  return (req, res, next) => {
+    if (!hasAbility(req.user, ability)) {
+      return sendForbidden(req, res, ability);
+    }
+    next();
+  };
+}
+
+/**
+ * 创建检查全局权限的中间件，用户没有不限命名空间的该权限时返回 403
+ * @param {string} ability - 权限
+ */
+function requireGlobalPermission(ability) {
+  return (req, res, next) => {
+    if (!hasGlobalAbility(req.user, ability)) {
+      return sendForbidden(req, res, ability);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  abilities,
+  PermissionDeniedError,
+  normalizeGrants,
+  hasAbility,
+  hasGlobalAbility,
+  canAccess,
+  requirePermission,
+  requireGlobalPermission,
+};
@@ -0,0 +1,210 @@
+const config = require('./config');
+const metadata = require('./metadata');
+const storage = require('./storage');
+
+/**
+ * 存储配额超出
+ */
+class QuotaExceededError extends Error {
+  constructor(scope, key, limit, used) {
+    super(scope === 'user' ? '用户存储配额不足' : '命名空间存储配额不足');
+    this.name = 'QuotaExceededError';
+    this.status = 413;
+    this.scope = scope;
+    this.key = key;
+    this.limit = limit;
+    this.used = used;
+    this.remaining = Math.max(0, limit - used);
+  }
+}
+
+// 配额在 config 中校验（STORAGE_QUOTAS），单位为字节，未配置的项为 null 或不存在，表示不限制
+const quotas = config.storageQuotas;
+
+// 计算存储中文件或目录（递归）的大小，不存在时为0
+async function getPathSize(relativePath) {
+  const stats = await storage.stat(relativePath);
+  if (!stats) return 0;
+  if (stats.isFile) return stats.size;
+  let total = 0;
+  await storage.walk(relativePath, async (file) => {
+    total += (await file.stat()).size;
+  });
+  return total;
+}
+
+function getUserLimit(userId) {
+  if (userId === null || userId === undefined) return null;
+  return quotas.users[userId] ?? quotas.defaultUser;
+}
+
+function covers(namespace, relativePath) {
+  return relativePath === namespace || relativePath.startsWith(`${namespace}/`);
+}
+
+// 找出覆盖指定路径的所有命名空间配额
+function getNamespaceLimits(relativePath) {
+  return Object.entries(quotas.namespaces).filter(([namespace]) => covers(namespace, relativePath));
+}
+
+// 找出位于指定路径之内（不含自身）的命名空间，对该路径的操作只影响它们的一部分内容
+function getNestedNamespaces(relativePath) {
+  return Object.keys(quotas.namespaces).filter((namespace) => namespace !== relativePath && covers(relativePath, namespace));
+}
+
+// 操作这个路径是否会改变某个命名空间的用量
+function isTracked(relativePath) {
+  return getNamespaceLimits(relativePath).length > 0 || getNestedNamespaces(relativePath).length > 0;
+}
+
+// 已统计的命名空间用量（字节）：首次用到时遍历一次目录，之后随上传、删除、移动和复制增减
+const namespaceUsage = new Map();
+
+// 检查配额和写入在同一个队列中串行执行，避免并发上传都通过检查后一起超出配额
+let queue = Promise.resolve();
+
+function serialize(task) {
+  const result = queue.catch(() => {}).then(task);
+  queue = result;
+  return result;
+}
+
+// 读取命名空间用量，尚未统计时遍历目录（必须在队列中调用）
+async function loadNamespaceUsage(namespace) {
+  if (!namespaceUsage.has(namespace)) {
+    namespaceUsage.set(namespace, await getPathSize(namespace));
+  }
+  return namespaceUsage.get(namespace);
+}
+
+// 把路径的大小变化计入覆盖它的命名空间；位于路径之内的命名空间无法按比例计算，下次用到时重新统计
+function adjustUsage(relativePath, delta) {
+  for (const [namespace] of getNamespaceLimits(relativePath)) {
+    if (namespaceUsage.has(namespace)) {
+      namespaceUsage.set(namespace, Math.max(0, namespaceUsage.get(namespace) + delta));
+    }
+  }
+  for (const namespace of getNestedNamespaces(relativePath)) {
+    namespaceUsage.delete(namespace);
+  }
+}
+
+/**
+ * 统计用户已使用的空间：按元数据中的上传者累计文件大小（元数据随写入增减，不遍历所有记录）
+ * 内容去重不减少用户的用量；回收站中的文件在彻底删除前仍然计入
+ * @param {string} userId - JWT 中的 userId
+ * @returns {Promise<number>} 字节数
+ */
+function getUserUsage(userId) {
+  return metadata.getUserUsage(userId);
+}
+
+/**
+ * 统计命名空间已使用的空间
+ * @param {string} namespace - 相对于上传目录的路径
+ * @returns {Promise<number>} 字节数
+ */
+function getNamespaceUsage(namespace) {
+  return serialize(() => loadNamespaceUsage(namespace));
+}
+
+// 检查放入后是否超出配额（必须在队列中调用）
+async function assertQuota({ userId, namespaces, size }) {
+  const userLimit = getUserLimit(userId);
+  if (userLimit !== null) {
+    const used = await getUserUsage(userId);
+    if (used + size > userLimit) {
+      throw new QuotaExceededError('user', userId, userLimit, used);
+    }
+  }
+  for (const [namespace, limit] of namespaces) {
+    const used = await loadNamespaceUsage(namespace);
+    if (used + size > limit) {
+      throw new QuotaExceededError('namespace', namespace, limit, used);
+    }
+  }
+}
+
+/**
+ * 提前检查配额（如分片上传开始前），不占用配额；实际写入时由 withUploadQuota 再检查一次
+ * @param {object} options - { userId, relativeDir（相对于上传目录的目标目录）, size }
+ * @throws {QuotaExceededError} 上传后会超出用户或命名空间配额
+ */
+function checkUploadQuota({ userId, relativeDir, size }) {
+  if (getUserLimit(userId) === null && !isTracked(relativeDir)) return Promise.resolve();
+  return serialize(() => assertQuota({ userId, namespaces: getNamespaceLimits(relativeDir), size }));
+}
+
+/**
+ * 检查配额并写入新文件，检查和写入之间不会有其他写入插入，写入成功后计入命名空间用量
+ * @param {object} options - { userId, relativePath（文件的最终路径）, size }
+ * @param {function} write - 执行写入，返回值作为结果
+ * @returns {Promise<*>} write 的返回值
+ * @throws {QuotaExceededError} 写入后会超出用户或命名空间配额，此时不会调用 write
+ */
+function withUploadQuota({ userId, relativePath, size }, write) {
+  if (getUserLimit(userId) === null && !isTracked(relativePath)) return write();
+  return serialize(async () => {
+    await assertQuota({ userId, namespaces: getNamespaceLimits(relativePath), size });
+    const result = await write();
+    adjustUsage(relativePath, size);
+    return result;
+  });
+}
+
+/**
+ * 执行删除、移动、复制或恢复已有文件的操作，并更新命名空间用量
+ * 写入位置有命名空间配额时先检查（在同一个命名空间内移动不增加用量）
+ * @param {object} change - { source: 统计大小的路径（或直接给出 size）, removed: 被移走或删除的路径, target: 写入的最终路径, enforce: 是否检查配额（撤销操作时为 false） }
+ * @param {function} operation - 执行操作，返回值作为结果
+ * @returns {Promise<*>} operation 的返回值
+ * @throws {QuotaExceededError} 操作后会超出命名空间配额，此时不会调用 operation
+ */
+function trackChange({ source, size, removed = null, target = null, enforce = true }, operation) {
+  if (![removed, target].some((item) => item !== null && isTracked(item))) return operation();
+  return serialize(async () => {
+    const bytes = size ?? (await getPathSize(source));
+    if (enforce && target !== null) {
+      const namespaces = getNamespaceLimits(target).filter(([namespace]) => removed === null || !covers(namespace, removed));
+      await assertQuota({ userId: null, namespaces, size: bytes });
+    }
+    const result = await operation();
+    if (removed !== null) adjustUsage(removed, -bytes);
+    if (target !== null) adjustUsage(target, bytes);
+    return result;
+  });
+}
+
+function describe(key, limit, used) {
+  return { key, limit, used, remaining: limit === null ? null : Math.max(0, limit - used) };
+}
+
+/**
+ * 获取用户的用量和配额（未配置配额时 limit 和 remaining 为 null）
+ * @param {string} userId - JWT 中的 userId
+ * @returns {Promise<object>} { key, limit, used, remaining }
+ */
+async function getUserQuota(userId) {
+  return describe(userId, getUserLimit(userId), await getUserUsage(userId));
+}
+
+/**
+ * 获取所有已配置配额的命名空间的用量
+ * @returns {Promise<object[]>} [{ key, limit, used, remaining }]
+ */
+async function listNamespaceQuotas() {
+  const result = [];
+  for (const [namespace, limit] of Object.entries(quotas.namespaces)) {
+    result.push(describe(namespace, limit, await getNamespaceUsage(namespace)));
+  }
+  return result;
+}
+
+module.exports = {
+  QuotaExceededError,
+  checkUploadQuota,
+  withUploadQuota,
+  trackChange,
+  getUserQuota,
+  listNamespaceQuotas,
+};
@@ -0,0 +1,256 @@
+const fs = require('fs').promises;
+const { createReadStream: createFileReadStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+} = require('@aws-sdk/client-s3');
+const config = require('./config');
+const metadata = require('./metadata');
+
+// S3 兼容存储：文件保存为对象，对象键为 前缀/相对路径；目录用以 / 结尾的空对象表示
+// 对象存储没有硬链接，不做内容去重；删除直接生效，不经过回收站
+const { endpoint, region, bucket, prefix, accessKeyId, secretAccessKey, forcePathStyle } = config.s3;
+
+const client = new S3Client({
+  region,
+  endpoint: endpoint || undefined,
+  forcePathStyle,
+  credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  // 只在必须时计算校验和，部分 S3 兼容服务不支持 aws-chunked 编码的上传
+  requestChecksumCalculation: 'WHEN_REQUIRED',
+  responseChecksumValidation: 'WHEN_REQUIRED',
+});
+
+function toKey(relativePath) {
+  return [prefix, relativePath].filter(Boolean).join('/');
+}
+
+// 目录的键前缀（以 / 结尾），根目录为存储前缀本身
+function toDirPrefix(relativeDir) {
+  const key = toKey(relativeDir);
+  return key ? `${key}/` : '';
+}
+
+function isNotFound(err) {
+  return err.name === 'NotFound' || err.name === 'NoSuchKey' || err.$metadata?.httpStatusCode === 404;
+}
+
+function isInternalRootEntry(relativeDir, name) {
+  return relativeDir === '' && (name === 'temp' || name.startsWith('.'));
+}
+
+function fileStats(size, lastModified) {
+  return { isFile: true, isDirectory: false, size, mtime: lastModified, birthtime: lastModified };
+}
+
+// 对象存储中的目录没有大小和时间
+const directoryStats = { isFile: false, isDirectory: true, size: 0, mtime: null, birthtime: null };
+
+// 分页列出前缀下的对象，delimiter 为 / 时只列出一层
+async function listPages(params, visitPage) {
+  let ContinuationToken;
+  do {
+    const page = await client.send(
+      new ListObjectsV2Command({ Bucket: bucket, ...params, ContinuationToken })
+    );
+    await visitPage(page);
+    ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+}
+
+async function storeFile(tempPath, relativePath, { hash, mimetype } = {}) {
+  const { size } = await fs.stat(tempPath);
+  await client.send(
+    new PutObjectCommand({
+      Bucket: bucket,
+      Key: toKey(relativePath),
+      Body: createFileReadStream(tempPath),
+      ContentLength: size,
+      ContentType: mimetype || undefined,
+      Metadata: hash ? { sha256: hash } : undefined,
+    })
+  );
+  await fs.unlink(tempPath);
+  return { duplicate: false };
+}
+
+async function stat(relativePath) {
+  if (!relativePath) return directoryStats;
+  try {
+    const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toKey(relativePath) }));
+    return fileStats(head.ContentLength, head.LastModified);
+  } catch (err) {
+    if (!isNotFound(err)) throw err;
+  }
+  // 不是文件时，前缀下有任何对象就说明目录存在
+  const page = await client.send(
+    new ListObjectsV2Command({ Bucket: bucket, Prefix: toDirPrefix(relativePath), MaxKeys: 1 })
+  );
+  return page.KeyCount > 0 ? directoryStats : null;
+}
+
+async function list(relativeDir) {
+  const dirPrefix = toDirPrefix(relativeDir);
+  const entries = [];
+  let found = relativeDir === '';
+  await listPages({ Prefix: dirPrefix, Delimiter: '/' }, (page) => {
+    for (const common of page.CommonPrefixes || []) {
+      found = true;
+      entries.push({ name: common.Prefix.slice(dirPrefix.length, -1), isDirectory: true, stats: directoryStats });
+    }
+    for (const object of page.Contents || []) {
+      found = true;
+      if (object.Key === dirPrefix) continue; // 目录自身的占位对象
+      entries.push({
+        name: object.Key.slice(dirPrefix.length),
+        isDirectory: false,
+        stats: fileStats(object.Size, object.LastModified),
+      });
+    }
+  });
+  return found ? entries : null;
+}
+
+async function walk(relativeDir, visit) {
+  const dirPrefix = toDirPrefix(relativeDir);
+  const rootPrefix = toDirPrefix('');
+  await listPages({ Prefix: dirPrefix }, async (page) => {
+    for (const object of page.Contents || []) {
+      if (object.Key.endsWith('/')) continue; // 目录占位对象
+      const filePath = object.Key.slice(rootPrefix.length);
+      const segments = filePath.split('/');
+      if (isInternalRootEntry('', segments[0])) continue;
+      const stats = fileStats(object.Size, object.LastModified);
+      await visit({ path: filePath, name: segments[segments.length - 1], stat: async () => stats });
+    }
+  });
+}
+
+async function createDirectory(relativePath) {
+  await client.send(
+    new PutObjectCommand({ Bucket: bucket, Key: `${toKey(relativePath)}/`, Body: '', ContentLength: 0 })
+  );
+}
+
+async function remove(relativePath) {
+  const stats = await stat(relativePath);
+  let keys = [toKey(relativePath)];
+  if (stats?.isDirectory) {
+    keys = [];
+    await listPages({ Prefix: toDirPrefix(relativePath) }, (page) => {
+      keys.push(...(page.Contents || []).map((object) => object.Key));
+    });
+  }
+  // 每次最多删除1000个对象
+  for (let i = 0; i < keys.length; i += 1000) {
+    const result = await client.send(
+      new DeleteObjectsCommand({
+        Bucket: bucket,
+        Delete: { Objects: keys.slice(i, i + 1000).map((Key) => ({ Key })), Quiet: true },
+      })
+    );
+    if (result.Errors && result.Errors.length > 0) {
+      throw new Error(`删除对象失败: ${result.Errors[0].Key} ${result.Errors[0].Message}`);
+    }
+  }
+  await metadata.removeFileMetadata(relativePath);
+  return { trashId: null };
+}
+
+async function createReadStream(relativePath) {
+  try {
+    const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: toKey(relativePath) }));
+    return object.Body;
+  } catch (err) {
+    if (isNotFound(err)) err.status = 404;
+    throw err;
+  }
+}
+
+/**
+ * 从对象存储读取文件并发送，Range 和条件请求头原样转发给存储服务
+ */
+async function sendFile(req, res, relativePath, setHeaders) {
+  const params = {
+    Bucket: bucket,
+    Key: toKey(relativePath),
+    Range: req.get('Range') || undefined,
+    IfNoneMatch: req.get('If-None-Match') || undefined,
+    IfModifiedSince: req.get('If-Modified-Since') ? new Date(req.get('If-Modified-Since')) : undefined,
+  };
+
+  let object;
+  try {
+    object = await client.send(req.method === 'HEAD' ? new HeadObjectCommand(params) : new GetObjectCommand(params));
+  } catch (err) {
+    const status = err.$metadata?.httpStatusCode;
+    if (status === 304) {
+      return void res.status(304).end();
+    }
+    if (status === 416) {
+      return void res.status(416).end();
+    }
+    if (isNotFound(err)) {
+      err.status = 404;
+    }
+    throw err;
+  }
+
+  if (object.ContentType) res.setHeader('Content-Type', object.ContentType);
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Content-Length', object.ContentLength);
+  if (object.ETag) res.setHeader('ETag', object.ETag);
+  if (object.LastModified) res.setHeader('Last-Modified', object.LastModified.toUTCString());
+  if (object.ContentRange) {
+    res.setHeader('Content-Range', object.ContentRange);
+    res.status(206);
+  }
+  setHeaders(res, relativePath);
+
+  if (req.method === 'HEAD') {
+    return void res.end();
+  }
+  await pipeline(object.Body, res);
+}
+
+function createStaticHandler({ setHeaders }) {
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+    let relativePath;
+    try {
+      relativePath = decodeURIComponent(req.path).split('/').filter(Boolean).join('/');
+    } catch {
+      return next();
+    }
+    const segments = relativePath.split('/');
+    if (!relativePath || segments.includes('..') || isInternalRootEntry('', segments[0])) {
+      return next();
+    }
+    try {
+      await sendFile(req, res, relativePath, setHeaders);
+    } catch (err) {
+      if (err.status === 404 && !res.headersSent) return next();
+      next(err);
+    }
+  };
+}
+
+module.exports = {
+  name: 's3',
+  storeFile,
+  stat,
+  list,
+  walk,
+  createDirectory,
+  remove,
+  createReadStream,
+  sendFile,
+  createStaticHandler,
+};
@@ -0,0 +1,109 @@
+const path = require('path');
+const fs = require('fs').promises;
+const config = require('./config');
+
+// 上传根目录，所有由请求参数拼出的路径都必须位于其中
+const baseUploadDir = config.uploadDir;
+
+// 根目录下的内部目录，不允许通过接口参数访问
+const reservedRootNames = new Set(['temp', '.objects', '.trash']);
+
+/**
+ * 路径参数不合法（目录穿越、绝对路径、空字节、指向上传目录之外的符号链接等）
+ */
+class InvalidPathError extends Error {
+  constructor(message, param) {
+    super(message);
+    this.name = 'InvalidPathError';
+    this.status = 400;
+    this.param = param;
+  }
+}
+
+/**
+ * 校验单个参数并拆分为路径片段
+ * @param {string} param - 参数名（用于错误信息）
+ * @param {*} value - 参数值
+ * @returns {string[]} 路径片段
+ */
+function splitSegments(param, value) {
+  if (typeof value !== 'string') {
+    throw new InvalidPathError('路径参数必须是字符串', param);
+  }
+  if (value.includes('\0')) {
+    throw new InvalidPathError('路径参数不能包含空字节', param);
+  }
+  // 同时拦截 POSIX 绝对路径、Windows 盘符和 UNC 路径
+  if (path.isAbsolute(value) || /^[a-zA-Z]:/.test(value) || value.startsWith('\\')) {
+    throw new InvalidPathError('路径参数不能是绝对路径', param);
+  }
+
+  const segments = value.split(/[\\/]+/).filter((segment) => segment !== '');
+  if (segments.some((segment) => segment === '.' || segment === '..')) {
+    throw new InvalidPathError('路径参数不能包含 . 或 .. 片段', param);
+  }
+  return segments;
+}
+
+// 找到路径中已存在的最深一级，返回其真实路径（解析符号链接）
+// 遇到目标不存在的符号链接时返回 null，写入它会在链接指向的位置创建文件
+async function realpathOfExistingAncestor(targetPath) {
+  let current = targetPath;
+  while (true) {
+    try {
+      return await fs.realpath(current);
+    } catch (err) {
+      if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') throw err;
+      const isDanglingLink = await fs.lstat(current).then((stats) => stats.isSymbolicLink(), () => false);
+      if (isDanglingLink) return null;
+      const parent = path.dirname(current);
+      if (parent === current) throw err;
+      current = parent;
+    }
+  }
+}
+
+function isInside(parentDir, targetPath) {
+  const relative = path.relative(parentDir, targetPath);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+/**
+ * 把请求参数安全地解析为上传目录中的绝对路径
+ * 参数按对象中的顺序拼接，空值会被忽略，例如 resolveUploadPath({ namespace, name })
+ * @param {object} parts - 参数名到参数值的映射
+ * @returns {Promise<string>} 位于上传目录内的绝对路径
+ * @throws {InvalidPathError} 参数不合法或解析结果位于上传目录之外
+ */
+async function resolveUploadPath(parts) {
+  const segments = [];
+  let firstParam = null;
+  for (const [param, value] of Object.entries(parts)) {
+    if (value === undefined || value === null || value === '') continue;
+    firstParam = firstParam || param;
+    segments.push(...splitSegments(param, value));
+  }
+
+  const targetPath = path.resolve(baseUploadDir, ...segments);
+  if (!isInside(baseUploadDir, targetPath)) {
+    throw new InvalidPathError('路径超出了上传目录', firstParam);
+  }
+  if (segments.length > 0 && reservedRootNames.has(segments[0])) {
+    throw new InvalidPathError('不允许访问系统目录', firstParam);
+  }
+
+  // 符号链接可能指向上传目录之外，比较真实路径
+  const realBase = await fs.realpath(baseUploadDir);
+  const realTarget = await realpathOfExistingAncestor(targetPath);
+  if (realTarget === null || !isInside(realBase, realTarget)) {
+    throw new InvalidPathError('路径指向了上传目录之外', firstParam);
+  }
+
+  return targetPath;
+}
+
+module.exports = {
+  InvalidPathError,
+  resolveUploadPath,
+  reservedRootNames,
+};
@@ -1,20 +1,46 @@
 require('dotenv').config();
+// 配置最先加载：配置无效时在日志系统接管未捕获异常之前退出，错误直接输出到终端
+const config = require('./config');
 const express = require("express");
 const multer = require("multer");
+const archiver = require("archiver");
 const path = require("path");
+const crypto = require("crypto");
 const fs = require("fs").promises;
 const fsExists = require("fs").existsSync;
+const createWriteStream = require("fs").createWriteStream;
+const { Transform } = require("stream");
+const { once } = require("events");
+const { pipeline } = require("stream/promises");
 const cors = require("cors");
 const rateLimit = require("express-rate-limit");
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
-const { verifyToken } = require('./token');
+const tokens = require('./token');
+const users = require('./users');
+const apiKeys = require('./apiKeys');
 const { logger, httpLogger } = require('./logger');
+const chunkUpload = require('./chunkUpload');
+const archiveExtract = require('./archiveExtract');
+const urlImport = require('./urlImport');
+const objectStore = require('./objectStore');
+const { detectFileTypeFromFile } = require('./fileType');
+const { InvalidPathError, resolveUploadPath } = require('./safePath');
+const trash = require('./trash');
+const metadata = require('./metadata');
+const permissions = require('./permissions');
+const quota = require('./quota');
+const signedUrl = require('./signedUrl');
+const shares = require('./shares');
+const storage = require('./storage');
+const webhooks = require('./webhooks');
 const app = express();
-const PORT = process.env.PORT || 4000;
-const baseUploadDir = path.join(__dirname, "uploads");
-const tempUploadDir = path.join(baseUploadDir, "temp"); // 定义临时目录
-const avatarUploadDir = path.join(baseUploadDir, "blog", "avatars"); // 头像上传目录
+const PORT = config.port;
+const baseUploadDir = config.uploadDir;
+const tempUploadDir = config.tempDir; // 定义临时目录
+const avatarUploadDir = config.avatarDir; // 头像上传目录
+const MAX_UPLOAD_SIZE = config.maxUploadSize; // 单个文件最大大小，默认1GB
+const TRASH_RETENTION_DAYS = config.trashRetentionDays; // 回收站保留天数，0表示不自动清理
 
 /**
  * @swagger
@@ -41,8 +67,8 @@ const swaggerOptions = {
         description: '本地服务器',
       },
       {
-        url: 'https://hanphone.top',
-        description: '生产服务器',
+        url: config.publicBaseUrl.replace(/\/$/, ''),
+        description: '公开访问地址',
       },
     ],
   },
@@ -55,9 +81,10 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 // 配置CORS
 app.use(
   cors({
-    origin: "*",
+    origin: config.corsOrigins,
     methods: ["GET", "POST", "DELETE", "OPTIONS", "PUT"],
-    allowedHeaders: ["Content-Type", "Authorization", "Token"],
+    allowedHeaders: ["Content-Type", "Authorization", "Token", "Upload-Offset", "Share-Password"],
+    exposedHeaders: ["Upload-Offset"],
   })
 );
 
@@ -271,13 +298,54 @@ Promise.all([
   .then(() => logger.info(`基础、临时和头像上传目录准备就绪`))
   .catch((err) => logger.error("初始化目录失败:", { error: err.message, stack: err.stack }));
 
-// 头像上传速率限制器（每IP每小时最多5次上传）
+// 定期清理过期未完成的分片上传（启动时执行一次，之后每小时一次）
+const cleanupChunkUploads = () =>
+  chunkUpload
+    .cleanupExpiredSessions()
+    .catch((err) => logger.error("清理分片上传失败:", { error: err.message, stack: err.stack }));
+cleanupChunkUploads();
+setInterval(cleanupChunkUploads, 60 * 60 * 1000).unref();
+
+// 后台投递 Webhook，重启前未完成的投递继续重试
+webhooks.startDeliveryWorker();
+
+// 定期彻底删除回收站中超过保留天数的条目
+if (TRASH_RETENTION_DAYS > 0) {
+  const purgeExpiredTrash = () =>
+    trash
+      .purgeExpiredTrash(TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      .catch((err) => logger.error("自动清理回收站失败:", { error: err.message, stack: err.stack }));
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, 60 * 60 * 1000).unref();
+}
+
+// 启动时回收异常退出时遗留的无引用文件内容（删除文件时只检查被删除的那份内容）
+if (storage.name === "local") {
+  objectStore
+    .collectGarbage()
+    .catch((err) => logger.error("回收文件内容失败:", { error: err.message, stack: err.stack }));
+}
+
+// 头像上传速率限制器（默认每IP每小时最多5次上传）
 const avatarUploadLimiter = rateLimit({
-  windowMs: 60 * 60 * 1000, // 1小时
-  max: 5, // 最多5次请求
+  windowMs: config.rateLimits.avatar.windowMs, // 默认1小时
+  max: config.rateLimits.avatar.max, // 默认最多5次请求
   message: {
     error: "上传频率过高，请稍后再试",
-    retryAfter: "3600"
+    retryAfter: String(config.rateLimits.avatar.windowMs / 1000)
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// 分享链接访问的速率限制：只统计失败的请求（密码错误、链接失效等），防止暴力猜测密码
+const shareAccessLimiter = rateLimit({
+  windowMs: config.rateLimits.share.windowMs, // 默认15分钟
+  max: config.rateLimits.share.max, // 默认最多20次失败请求
+  skipSuccessfulRequests: true,
+  message: {
+    error: "访问失败次数过多，请稍后再试",
+    retryAfter: String(config.rateLimits.share.windowMs / 1000)
   },
   standardHeaders: true,
   legacyHeaders: false
@@ -308,28 +376,142 @@ async function fileExists(filePath) {
   }
 }
 
+/**
+ * 重命名、移动、复制、回收站和目录树依赖本地文件系统，使用其他存储驱动时返回 501
+ */
+function requireLocalStorage(req, res, next) {
+  if (storage.name !== "local") {
+    return res.status(501).json({ error: "当前存储驱动不支持该操作", driver: storage.name });
+  }
+  next();
+}
+
+/**
+ * 判断上传目录中的路径在存储中是否存在（与 fileExists 不同，使用当前的存储驱动）
+ * @param {string} filePath - 上传目录中的绝对路径
+ * @returns {Promise<boolean>}
+ */
+async function storageExists(filePath) {
+  return (await storage.stat(toUploadRelativePath(filePath))) !== null;
+}
+
 /**
  * 获取完整的文件存储路径，遵循新的优先级规则
  * @param {string} category - 指定的分类
  * @param {string} namespace - 指定的命名空间
  * @param {string} mimetype - 文件的MIME类型
  * @param {string} filename - 文件名
- * @returns {string} 完整的存储目录路径
+ * @returns {Promise<string>} 完整的存储目录路径
+ * @throws {InvalidPathError} 分类或命名空间试图访问上传目录之外
  */
-function getFullStoragePath(category, namespace, mimetype, filename) {
+async function getFullStoragePath(category, namespace, mimetype, filename) {
   // 1. 优先按指定的分类存储
   if (category) {
-    return path.join(baseUploadDir, category);
+    return resolveUploadPath({ category });
   }
   // 2. 若为空则按指定的namespace存储
   if (namespace) {
-    return path.join(baseUploadDir, namespace);
+    return resolveUploadPath({ namespace });
   }
   // 3. 都空才按类型存储
   const autoCategory = getFileCategory(mimetype, filename);
   return path.join(baseUploadDir, autoCategory);
 }
 
+/**
+ * 根据 name 和 namespace/category/parentNamespace 参数解析操作目标的路径
+ * 优先级与删除接口一致：namespace > category > parentNamespace > 根目录
+ * @param {object} params - 请求参数
+ * @returns {Promise<string>} 目标的绝对路径
+ * @throws {InvalidPathError} 参数试图访问上传目录之外
+ */
+async function resolveTargetPath({ name, namespace, category, parentNamespace }) {
+  if (namespace) {
+    return resolveUploadPath({ namespace, name });
+  }
+  if (category) {
+    return resolveUploadPath({ category, name });
+  }
+  if (parentNamespace) {
+    return resolveUploadPath({ parentNamespace, name });
+  }
+  return resolveUploadPath({ name });
+}
+
+/**
+ * 把上传目录中的绝对路径转换为以 / 分隔的相对路径
+ * @param {string} filePath - 绝对路径
+ * @returns {string} 相对于上传目录的路径
+ */
+function toUploadRelativePath(filePath) {
+  return path.relative(baseUploadDir, filePath).split(path.sep).join("/");
+}
+
+/**
+ * 判断用户对上传目录中的路径是否拥有指定权限（命名空间授权按路径前缀匹配）
+ * @param {object} user - JWT 载荷（userId、userType）
+ * @param {string} ability - read、upload、delete 或 admin
+ * @param {string} targetPath - 绝对路径
+ * @returns {boolean}
+ */
+function canAccessPath(user, ability, targetPath) {
+  return permissions.canAccess(user, ability, toUploadRelativePath(targetPath));
+}
+
+// 返回权限不足的响应
+function sendPermissionDenied(res, ability, targetPath) {
+  return res.status(403).json({ error: "权限不足", ability, path: toUploadRelativePath(targetPath) });
+}
+
+// 超出存储配额时的响应内容，包含剩余可用空间
+function quotaErrorBody(err) {
+  return {
+    error: err.message,
+    scope: err.scope,
+    key: err.key,
+    limit: err.limit,
+    used: err.used,
+    remaining: err.remaining,
+  };
+}
+
+/**
+ * 根据相对路径构建文件的公开访问URL（逐段编码，支持多级命名空间）
+ * @param {string} relativePath - 相对于上传目录的路径
+ * @returns {string} 公开访问URL
+ */
+function buildPublicUrl(relativePath) {
+  const urlPath = relativePath.split("/").map(encodeURIComponent).join("/");
+  return `${config.publicBaseUrl}${urlPath}`;
+}
+
+/**
+ * 通知订阅了该事件的 Webhook，投递在后台进行，不影响接口响应
+ * @param {string} event - 事件名称
+ * @param {object} details - 事件数据
+ */
+function notifyWebhooks(event, details) {
+  webhooks
+    .dispatch(event, details)
+    .catch((err) => logger.error("创建 Webhook 投递失败:", { error: err.message, stack: err.stack, event }));
+}
+
+/**
+ * 把字节数格式化为便于阅读的大小（用于错误提示）
+ * @param {number} bytes - 字节数
+ * @returns {string} 如 1GB、5MB、1.5KB
+ */
+function formatSize(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Number(value.toFixed(2))}${units[unit]}`;
+}
+
 /**
  * 修复ISO-8859-1编码的中文文件名
  */
@@ -342,8 +524,24 @@ function fixFileNameEncoding(originalName) {
   }
 }
 
-// 配置multer存储
-const storage = multer.diskStorage({
+/**
+ * 获取目录中不冲突的文件名：原文件名不存在时保持原样，否则添加时间戳
+ * @param {string} dirPath - 目标目录
+ * @param {string} fileName - 期望的文件名
+ * @returns {Promise<string>} 可用的文件名
+ */
+async function getUniqueFileName(dirPath, fileName, exists = fileExists) {
+  if (!(await exists(path.join(dirPath, fileName)))) {
+    return fileName;
+  }
+
+  const ext = path.extname(fileName);
+  const nameWithoutExt = path.basename(fileName, ext);
+  return `${nameWithoutExt}-${Date.now()}${ext}`;
+}
+
+// 配置multer存储（写入临时目录的同时计算 SHA-256，用于内容去重）
+const uploadStorage = objectStore.createHashingStorage({
   // 目标目录：统一使用临时目录
   destination: async function (req, file, cb) {
     try {
@@ -355,49 +553,28 @@ const storage = multer.diskStorage({
       cb(err);
     }
   },
-  // 文件名：保持原样，如果存在则加时间戳
-  filename: async function (req, file, cb) {
-    try {
-      const originalName = fixFileNameEncoding(file.originalname);
-      const ext = path.extname(originalName);
-      const nameWithoutExt = path.basename(originalName, ext);
-
-      // 检查原文件名是否存在
-      let filePath = path.join(tempUploadDir, originalName);
-      let exists = await fileExists(filePath);
-
-      if (!exists) {
-        return cb(null, originalName);
-      }
-
-      // 文件名存在时添加时间戳
-      const timestamp = Date.now();
-      const uniqueName = `${nameWithoutExt}-${timestamp}${ext}`;
-      cb(null, uniqueName);
-    } catch (err) {
-      logger.error("生成文件名时出错:", { error: err.message, stack: err.stack });
-      const uniqueName = `${Date.now()}-${Math.round(
-        Math.random() * 1e9
-      )}${path.extname(file.originalname)}`;
-      cb(null, uniqueName);
-    }
+  // 临时文件名：使用随机名称，同一请求中的同名文件（批量上传）不会互相覆盖；最终文件名在放置时由原始文件名决定
+  filename: function (req, file, cb) {
+    const ext = path.extname(fixFileNameEncoding(file.originalname));
+    cb(null, `${Date.now()}-${crypto.randomBytes(8).toString("hex")}${ext}`);
   },
 });
 
-// 【修改 3】配置multer，扩大文件大小限制到1GB
+// 【修改 3】配置multer，文件大小限制由 MAX_UPLOAD_SIZE 配置（默认1GB）
 const upload = multer({
-  storage,
+  storage: uploadStorage,
   limits: {
-    fileSize: 1 * 1024 * 1024 * 1024, // 1GB
+    fileSize: MAX_UPLOAD_SIZE,
   },
 });
 
-// 头像上传配置（仅限图片，大小限制5MB）
+// 头像上传配置（仅限图片，大小限制由 MAX_AVATAR_SIZE 配置，默认5MB）
 const avatarStorage = multer.diskStorage({
+  // 先写入临时目录，校验通过后再交给存储驱动保存到头像目录
   destination: async function (req, file, cb) {
     try {
-      await ensureDirectoryExists(avatarUploadDir);
-      cb(null, avatarUploadDir);
+      await ensureDirectoryExists(tempUploadDir);
+      cb(null, tempUploadDir);
     } catch (err) {
       logger.error("设置头像存储目录失败:", { error: err.message, stack: err.stack });
       cb(err);
@@ -419,21 +596,22 @@ const avatarStorage = multer.diskStorage({
   },
 });
 
+// 头像允许的图片类型（同时用于校验客户端声明的类型和文件头检测出的真实类型）
+const avatarMimetypes = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+  "image/avif",
+  "image/svg+xml"
+];
+
 // 头像上传过滤器（仅限图片）
 const avatarFileFilter = (req, file, cb) => {
-  const allowedMimetypes = [
-    "image/jpeg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-    "image/avif",
-    "image/svg+xml"
-  ];
-  
   const ext = path.extname(file.originalname).toLowerCase();
   const allowedExtensions = [".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif", ".svg"];
   
-  if (allowedMimetypes.includes(file.mimetype) && allowedExtensions.includes(ext)) {
+  if (avatarMimetypes.includes(file.mimetype) && allowedExtensions.includes(ext)) {
     cb(null, true);
   } else {
     cb(new Error("仅限上传图片文件（jpg, jpeg, png, gif, webp, avif, svg）"), false);
@@ -444,7 +622,7 @@ const avatarFileFilter = (req, file, cb) => {
 const uploadAvatar = multer({
   storage: avatarStorage,
   limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB
+    fileSize: config.maxAvatarSize,
   },
   fileFilter: avatarFileFilter,
 });
@@ -474,7 +652,7 @@ const extractToken = (authHeader) => {
 };
 
 // Token 验证中间件
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   // 检查是否是公开接口（不需要认证）
   const publicPaths = ['/upload/avatar'];
   if (publicPaths.includes(req.path)) {
@@ -492,8 +670,18 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: "缺少访问令牌" });
   }
 
-  // 假设 verifyToken 是您验证 token 的函数
-  const decoded = verifyToken(token);
+  // API 密钥：以密钥自身的授权范围代替角色
+  if (apiKeys.isApiKey(token)) {
+    const apiKey = await apiKeys.verifyApiKey(token, req.ip);
+    if (!apiKey) {
+      return res.status(403).json({ error: "无效的 API 密钥" });
+    }
+    req.user = { userId: `apikey:${apiKey.id}`, userType: "apikey", apiKeyId: apiKey.id, grants: apiKey.scopes };
+    return next();
+  }
+
+  // 校验签名、过期时间和撤销列表
+  const decoded = await tokens.verifyToken(token);
   if (!decoded) {
     return res.status(403).json({ error: "无效的访问令牌" });
   }
@@ -542,441 +730,4609 @@ app.use((req, res, next) => {
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// 登录和刷新令牌的速率限制：只统计失败的请求，防止暴力猜测密码
+const loginLimiter = rateLimit({
+  windowMs: config.rateLimits.login.windowMs, // 默认15分钟
+  max: config.rateLimits.login.max, // 默认最多10次失败请求
+  skipSuccessfulRequests: true,
+  message: {
+    error: "登录失败次数过多，请稍后再试",
+    retryAfter: String(config.rateLimits.login.windowMs / 1000)
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
 /**
  * @swagger
- * /upload/avatar:
+ * components:
+ *   schemas:
+ *     TokenPair:
+ *       type: object
+ *       properties:
+ *         accessToken:
+ *           type: string
+ *           description: 短期访问令牌（JWT），放在 Authorization 请求头中
+ *         refreshToken:
+ *           type: string
+ *           description: 刷新令牌，只能使用一次，用于换取新的令牌对
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         expiresIn:
+ *           type: integer
+ *           description: 访问令牌的有效期（秒）
+ */
+
+/**
+ * @swagger
+ * /auth/login:
  *   post:
- *     summary: 上传头像（公共接口）
- *     description: 无需认证，仅支持图片（jpg/png/gif/webp/avif/svg），大小≤5MB，每IP每小时限5次。支持自定义文件名
- *     tags: [Avatar]
+ *     summary: 登录
+ *     description: 使用本地用户库中的用户名和密码登录，返回短期访问令牌和刷新令牌
+ *     tags: [Auth]
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
- *             required: [avatar]
+ *             required: [username, password]
  *             properties:
- *               avatar:
+ *               username:
  *                 type: string
- *                 format: binary
- *                 description: 头像图片（字段名必须是avatar）
- *               filename:
+ *               password:
  *                 type: string
- *                 description: 自定义文件名（可选，不包含扩展名）
  *     responses:
  *       200:
- *         description: 上传成功
+ *         description: 登录成功
  *         content:
  *           application/json:
- *             example: { "code": 200, "message": "头像上传成功", "url": "https://hanphone.top/blog/avatars/avatar-xxx.jpg" }
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
  *       400:
- *         description: 未上传文件或文件类型不支持
- *       413:
- *         description: 文件大小超过5MB限制
+ *         description: 缺少用户名或密码
+ *       401:
+ *         description: 用户名或密码错误
  *       429:
- *         description: 上传频率过高
+ *         description: 登录失败次数过多
  *       500:
- *         description: 服务器内部错误
+ *         description: 登录时发生错误
  */
-// 公共头像上传接口（无需认证，但有速率限制）
-app.post("/upload/avatar", avatarUploadLimiter, uploadAvatar.single("avatar"), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: "没有文件被上传" });
-  }
-
+// 登录接口
+app.post("/auth/login", loginLimiter, async (req, res) => {
   try {
-    const fixedName = fixFileNameEncoding(req.file.originalname);
-    const ext = path.extname(fixedName);
-    const customFilename = req.body.filename;
-    
-    let finalFilename;
-    if (customFilename && typeof customFilename === 'string' && customFilename.trim()) {
-      // 使用自定义文件名（清理非法字符）
-      const safeFilename = customFilename.trim().replace(/[^a-zA-Z0-9_-]/g, '_');
-      finalFilename = `${safeFilename}${ext}`;
-    } else {
-      // 使用原始文件名（清理非法字符）
-      const originalNameWithoutExt = path.basename(fixedName, ext);
-      const safeOriginalName = originalNameWithoutExt.replace(/[^a-zA-Z0-9_-]/g, '_');
-      finalFilename = `${safeOriginalName}${ext}`;
+    const { username, password } = req.body;
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
+      return res.status(400).json({ error: "请提供用户名和密码" });
     }
-    
-    // 检查并处理文件名冲突
-    const finalPath = path.join(avatarUploadDir, finalFilename);
-    if (await fileExists(finalPath)) {
-      // 文件已存在，添加时间戳
-      const nameWithoutExt = path.basename(finalFilename, ext);
-      const timestamp = Date.now();
-      finalFilename = `${nameWithoutExt}-${timestamp}${ext}`;
+
+    const user = await users.authenticateUser(username, password);
+    if (!user) {
+      logger.warn("登录失败", { username, ip: req.ip });
+      return res.status(401).json({ error: "用户名或密码错误" });
     }
-    
-    // 移动文件到最终位置并重命名
-    const finalFilePath = path.join(avatarUploadDir, finalFilename);
-    await fs.rename(req.file.path, finalFilePath);
-    
-    // 构建返回的URL
-    const encodedFilename = encodeURIComponent(finalFilename);
-    const urlPath = `blog/avatars/${encodedFilename}`;
 
+    const tokenPair = await tokens.issueTokens({ userId: user.id, userType: user.userType });
+    logger.info("用户登录成功", { userId: user.id, username, ip: req.ip });
     res.json({
       code: 200,
-      message: "头像上传成功",
-      url: `https://hanphone.top/${urlPath}`,
-      filename: finalFilename,
-      originalName: fixedName,
-      mimetype: req.file.mimetype,
-      size: req.file.size,
+      message: "登录成功",
+      ...tokenPair,
+      user,
     });
   } catch (err) {
-    logger.error("处理头像上传时出错:", { error: err.message, stack: err.stack, filename: req.file?.filename });
-    if (req.file && req.file.path) {
-      await fs.unlink(req.file.path).catch((e) => logger.error("删除头像文件失败:", { error: e.message }));
-    }
-    res.status(500).json({ error: "头像上传失败" });
+    logger.error("登录失败:", { error: err.message, stack: err.stack, username: req.body.username });
+    res.status(500).json({ error: "登录时发生错误" });
   }
 });
 
 /**
  * @swagger
- * /upload:
+ * /auth/refresh:
  *   post:
- *     summary: 上传文件（需要认证）
- *     description: 需要认证的文件上传接口，支持多种文件类型和分类，最大1GB
- *     tags: [File]
- *     security:
- *       - bearerAuth: []
+ *     summary: 刷新令牌
+ *     description: 使用刷新令牌换取新的访问令牌和刷新令牌，旧的刷新令牌随即失效。已使用过的刷新令牌再次出现时，整个登录会话都会被撤销
+ *     tags: [Auth]
  *     requestBody:
  *       required: true
  *       content:
- *         multipart/form-data:
+ *         application/json:
  *           schema:
  *             type: object
- *             required: [file]
+ *             required: [refreshToken]
  *             properties:
- *               file:
- *                 type: string
- *                 format: binary
- *                 description: 要上传的文件
- *               category:
- *                 type: string
- *                 enum: [images, videos, audios, codes, documents, archives, fonts]
- *                 description: 文件分类（可选，自动识别）
- *               namespace:
+ *               refreshToken:
  *                 type: string
- *                 description: 命名空间（可选，用于组织文件）
  *     responses:
  *       200:
- *         description: 文件上传成功
+ *         description: 刷新成功
  *         content:
  *           application/json:
- *             example: { "code": 200, "message": "文件上传成功", "url": "https://hanphone.top/images/example.jpg", "filename": "xxx.jpg" }
+ *             schema:
+ *               $ref: '#/components/schemas/TokenPair'
  *       400:
- *         description: 没有文件被上传
+ *         description: 缺少刷新令牌
  *       401:
- *         description: 缺少或无效的访问令牌
- *       413:
- *         description: 文件大小超过1GB限制
+ *         description: 刷新令牌无效、已过期或已被撤销
  *       500:
- *         description: 文件处理失败
+ *         description: 刷新令牌时发生错误
  */
-// 上传文件接口
-app.post("/upload", authenticateToken, upload.single("file"), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: "没有文件被上传" });
-  }
-
+// 刷新令牌接口
+app.post("/auth/refresh", loginLimiter, async (req, res) => {
   try {
-    const category = req.body.category || req.query.category;
-    const namespace = req.body.namespace || req.query.namespace;
-    const fixedName = fixFileNameEncoding(req.file.originalname);
-
-    // 1. 决定最终的存储目录
-    const finalDir = getFullStoragePath(
-      category,
-      namespace,
-      req.file.mimetype,
-      fixedName
-    );
-    await ensureDirectoryExists(finalDir);
-
-    // 2. 构建最终的文件路径
-    const finalPath = path.join(finalDir, req.file.filename);
-
-    // 3. 如果最终路径和初始路径不同，则移动文件
-    if (req.file.path !== finalPath) {
-      logger.info(`文件从临时目录移动到最终目录`, {
-        from: req.file.path,
-        to: finalPath,
-        filename: req.file.filename
-      });
-      await fs.rename(req.file.path, finalPath);
-      // 更新 req.file 对象，使其反映新位置，方便后续使用
-      req.file.path = finalPath;
+    const { refreshToken } = req.body;
+    if (typeof refreshToken !== "string" || !refreshToken) {
+      return res.status(400).json({ error: "请提供刷新令牌" });
     }
 
-    // 4. 构建返回的URL
-    let urlDir;
-    let finalCategoryForResponse = null;
-
-    if (category) {
-      urlDir = category;
-      finalCategoryForResponse = category;
-    } else if (namespace) {
-      urlDir = namespace;
-      finalCategoryForResponse = null; // 按namespace存储时，分类为null
-    } else {
-      finalCategoryForResponse = getFileCategory(req.file.mimetype, fixedName);
-      urlDir = finalCategoryForResponse;
+    const tokenPair = await tokens.refreshTokens(refreshToken);
+    if (!tokenPair) {
+      return res.status(401).json({ error: "刷新令牌无效或已过期，请重新登录" });
     }
-
-    const encodedUrlDir = encodeURIComponent(urlDir);
-    const encodedFilename = encodeURIComponent(req.file.filename);
-    const urlPath = `${encodedUrlDir}/${encodedFilename}`;
-
-    // 5. 返回成功响应
-    res.json({
-      code: 200,
-      message: "文件上传成功",
-      url: `https://hanphone.top/${urlPath}`,
-      filename: req.file.filename,
-      category: finalCategoryForResponse,
-      namespace: namespace || null,
-      originalName: fixedName,
-      mimetype: req.file.mimetype,
-      size: req.file.size,
-    });
+    res.json({ code: 200, message: "刷新成功", ...tokenPair });
   } catch (err) {
-    logger.error("处理上传文件时出错:", { error: err.message, stack: err.stack, filename: req.file?.filename });
-    // 如果移动失败，可以尝试删除临时文件
-    if (req.file && req.file.path) {
-      await fs
-        .unlink(req.file.path)
-        .catch((e) => logger.error("删除临时文件失败:", { error: e.message }));
-    }
-    res.status(500).json({ error: "文件处理失败" });
+    logger.error("刷新令牌失败:", { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "刷新令牌时发生错误" });
   }
 });
 
 /**
  * @swagger
- * /delete:
- *   delete:
- *     summary: 删除文件或目录（需要认证）
- *     description: 删除指定路径下的文件或空目录
- *     tags: [File]
+ * /auth/logout:
+ *   post:
+ *     summary: 退出登录（需要认证）
+ *     description: 撤销当前访问令牌；提供刷新令牌时同时撤销其所属的登录会话
+ *     tags: [Auth]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
- *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
- *             required: [name]
  *             properties:
- *               name:
+ *               refreshToken:
  *                 type: string
- *                 description: 要删除的文件名或目录名
- *               namespace:
- *                 type: string
- *                 description: 命名空间（可选）
- *               category:
- *                 type: string
- *                 description: 文件分类（可选）
- *               parentNamespace:
- *                 type: string
- *                 description: 父命名空间（可选）
  *     responses:
  *       200:
- *         description: 删除成功
- *         content:
- *           application/json:
- *             example: { "code": 200, "message": "文件删除成功", "type": "file", "name": "xxx.jpg" }
- *       400:
- *         description: 请求错误（如目录不为空）
+ *         description: 退出成功
  *       401:
  *         description: 缺少或无效的访问令牌
- *       404:
- *         description: 目标不存在
+ *       403:
+ *         description: 访问令牌无效
  *       500:
- *         description: 删除时发生错误
+ *         description: 退出登录时发生错误
  */
-// 删除文件接口
-app.delete("/delete", authenticateToken, async (req, res) => {
+// 退出登录接口
+app.post("/auth/logout", authenticateToken, async (req, res) => {
   try {
-    const { name, namespace, category, parentNamespace } = req.body;
-
-    if (!name) {
-      return res.status(400).json({ error: "请提供要删除的名称" });
+    if (req.user.apiKeyId) {
+      return res.status(400).json({ error: "API 密钥不能退出登录，请通过 /api-keys 撤销" });
     }
-
-    let targetPath;
-    if (namespace) {
-      targetPath = path.join(baseUploadDir, namespace, name);
-    } else if (category) {
-      targetPath = path.join(baseUploadDir, category, name);
-    } else if (parentNamespace) {
-      targetPath = path.join(baseUploadDir, parentNamespace, name);
-    } else {
-      targetPath = path.join(baseUploadDir, name);
+    await tokens.revokeToken(req.user);
+    if (typeof req.body?.refreshToken === "string" && req.body.refreshToken) {
+      await tokens.revokeRefreshToken(req.body.refreshToken);
     }
+    logger.info("用户退出登录", { userId: req.user.userId });
+    res.json({ code: 200, message: "退出成功" });
+  } catch (err) {
+    logger.error("退出登录失败:", { error: err.message, stack: err.stack, userId: req.user?.userId });
+    res.status(500).json({ error: "退出登录时发生错误" });
+  }
+});
 
-    if (!(await fileExists(targetPath))) {
-      return res
-        .status(404)
-        .json({
-          error: "目标不存在",
-          name,
-          namespace,
+/**
+ * @swagger
+ * /auth/revoke:
+ *   post:
+ *     summary: 撤销用户的所有令牌（需要管理权限）
+ *     description: 用户当前的访问令牌和刷新令牌全部失效，需要重新登录
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [userId]
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 撤销成功
+ *       400:
+ *         description: 缺少用户ID
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 撤销令牌时发生错误
+ */
+// 撤销用户令牌接口
+app.post("/auth/revoke", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    const { userId } = req.body;
+    if (userId === undefined || userId === null || userId === "") {
+      return res.status(400).json({ error: "请提供用户ID" });
+    }
+
+    await tokens.revokeUserTokens(userId);
+    logger.info("已撤销用户的所有令牌", { userId: String(userId), by: req.user.userId });
+    res.json({ code: 200, message: "已撤销该用户的所有令牌", userId: String(userId) });
+  } catch (err) {
+    logger.error("撤销令牌失败:", { error: err.message, stack: err.stack, userId: req.body.userId });
+    res.status(500).json({ error: "撤销令牌时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys:
+ *   post:
+ *     summary: 创建 API 密钥（需要管理权限）
+ *     description: 为 CI、博客后端等机器客户端创建长期有效的 API 密钥，使用方式与 JWT 相同（Authorization 请求头）。密钥只保存哈希，明文只在本次响应中返回
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 密钥名称，便于识别用途
+ *               scopes:
+ *                 type: array
+ *                 description: 授权范围，格式同角色配置，namespaces 省略时对所有位置生效
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     abilities:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         enum: [read, upload, delete, admin]
+ *                     namespaces:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                 example: [{ "abilities": ["upload"], "namespaces": ["blog"] }]
+ *               expiresIn:
+ *                 type: integer
+ *                 description: 有效期（秒），不提供时永久有效
+ *     responses:
+ *       200:
+ *         description: 创建成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "API 密钥创建成功", "key": "afk_0123456789abcdef_xxxx", "apiKey": { "id": "0123456789abcdef", "name": "ci", "scopes": [{ "abilities": ["upload"], "namespaces": ["blog"] }], "active": true } }
+ *       400:
+ *         description: 参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 创建 API 密钥时发生错误
+ *   get:
+ *     summary: 获取 API 密钥列表（需要管理权限）
+ *     description: 返回所有密钥的名称、授权范围、状态和最近使用时间/IP，不包含密钥本身
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "获取 API 密钥列表成功", "items": [{ "id": "0123456789abcdef", "name": "ci", "lastUsedAt": "2025-01-01T00:00:00.000Z", "lastUsedIp": "10.0.0.2", "active": true }] }
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 获取 API 密钥列表时发生错误
+ */
+// 创建 API 密钥接口
+app.post("/api-keys", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({ error: "请提供密钥名称" });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: "请提供授权范围" });
+    }
+    const expiresIn = req.body.expiresIn == null ? null : Number(req.body.expiresIn);
+    if (expiresIn !== null && (!Number.isInteger(expiresIn) || expiresIn < 1)) {
+      return res.status(400).json({ error: "有效期必须是正整数（秒）" });
+    }
+
+    let result;
+    try {
+      result = await apiKeys.createApiKey({ name: name.trim(), scopes, expiresIn, createdBy: req.user.userId });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    logger.info("API 密钥已创建", { id: result.apiKey.id, name: result.apiKey.name, userId: req.user.userId });
+    res.json({ code: 200, message: "API 密钥创建成功", ...result });
+  } catch (err) {
+    logger.error("创建 API 密钥失败:", { error: err.message, stack: err.stack, name: req.body.name });
+    res.status(500).json({ error: "创建 API 密钥时发生错误" });
+  }
+});
+
+// 获取 API 密钥列表接口
+app.get("/api-keys", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    res.json({ code: 200, message: "获取 API 密钥列表成功", items: await apiKeys.listApiKeys() });
+  } catch (err) {
+    logger.error("获取 API 密钥列表失败:", { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "获取 API 密钥列表时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/{id}/rotate:
+ *   post:
+ *     summary: 轮换 API 密钥（需要管理权限）
+ *     description: 保留密钥ID、名称和授权范围，生成新的密钥，旧密钥立即失效
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 轮换成功，返回新的密钥
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: API 密钥不存在或已撤销
+ *       500:
+ *         description: 轮换 API 密钥时发生错误
+ */
+// 轮换 API 密钥接口
+app.post("/api-keys/:id/rotate", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    const result = await apiKeys.rotateApiKey(req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: "API 密钥不存在或已撤销", id: req.params.id });
+    }
+    logger.info("API 密钥已轮换", { id: req.params.id, userId: req.user.userId });
+    res.json({ code: 200, message: "API 密钥已轮换", ...result });
+  } catch (err) {
+    logger.error("轮换 API 密钥失败:", { error: err.message, stack: err.stack, id: req.params.id });
+    res.status(500).json({ error: "轮换 API 密钥时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/{id}:
+ *   delete:
+ *     summary: 撤销 API 密钥（需要管理权限）
+ *     description: 密钥立即失效，记录保留在列表中以便查看最近使用情况
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 撤销成功
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: API 密钥不存在
+ *       500:
+ *         description: 撤销 API 密钥时发生错误
+ */
+// 撤销 API 密钥接口
+app.delete("/api-keys/:id", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    const apiKey = await apiKeys.revokeApiKey(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: "API 密钥不存在", id: req.params.id });
+    }
+    logger.info("API 密钥已撤销", { id: apiKey.id, name: apiKey.name, userId: req.user.userId });
+    res.json({ code: 200, message: "API 密钥已撤销", apiKey });
+  } catch (err) {
+    logger.error("撤销 API 密钥失败:", { error: err.message, stack: err.stack, id: req.params.id });
+    res.status(500).json({ error: "撤销 API 密钥时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks:
+ *   post:
+ *     summary: 创建 Webhook 订阅（需要管理权限）
+ *     description: |
+ *       订阅的事件发生后，服务器向 url 发送 POST 请求，请求体为 JSON：{ id, event, createdAt, data }，data 包含文件地址（url）、路径、分类、命名空间和操作用户（userId）。
+ *       请求头 X-Webhook-Signature 为 sha256=HMAC-SHA256(secret, "X-Webhook-Timestamp 的值.请求体") 的十六进制，接收方应校验签名和时间戳。
+ *       接收方返回 2xx 视为成功，否则按 30秒、1分钟、2分钟、4分钟、8分钟 重试，共尝试6次；投递队列保存在 data 目录中，重启后继续投递。
+ *       签名密钥只在本次响应中返回
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: 接收通知的地址（http 或 https，不能指向内网或本机）
+ *               events:
+ *                 type: array
+ *                 description: 订阅的事件，* 表示全部
+ *                 items:
+ *                   type: string
+ *                   enum: ["*", file.uploaded, avatar.uploaded, file.deleted, directory.created, directory.deleted]
+ *               description:
+ *                 type: string
+ *                 description: 备注
+ *     responses:
+ *       200:
+ *         description: 创建成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "Webhook 创建成功", "secret": "whsec_xxxx", "webhook": { "id": "0123456789abcdef", "url": "https://blog.example.com/hooks/files", "events": ["file.uploaded"], "description": "博客后端", "createdBy": 1, "createdAt": "2025-01-01T00:00:00.000Z" } }
+ *       400:
+ *         description: 地址或事件不合法（包括指向内网或本机的地址）
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 创建 Webhook 时发生错误
+ *   get:
+ *     summary: 获取 Webhook 订阅列表（需要管理权限）
+ *     description: 返回所有订阅的地址和事件，不包含签名密钥
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 获取 Webhook 列表时发生错误
+ */
+// 创建 Webhook 订阅接口
+app.post("/webhooks", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+    if (typeof url !== "string" || !url.trim()) {
+      return res.status(400).json({ error: "请提供 Webhook 地址" });
+    }
+    if (description !== undefined && typeof description !== "string") {
+      return res.status(400).json({ error: "备注必须是字符串" });
+    }
+
+    let result;
+    try {
+      result = await webhooks.createWebhook({ url: url.trim(), events, description, createdBy: req.user.userId });
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    logger.info("Webhook 已创建", { id: result.webhook.id, url: result.webhook.url, events: result.webhook.events, userId: req.user.userId });
+    res.json({ code: 200, message: "Webhook 创建成功", ...result });
+  } catch (err) {
+    logger.error("创建 Webhook 失败:", { error: err.message, stack: err.stack, url: req.body.url });
+    res.status(500).json({ error: "创建 Webhook 时发生错误" });
+  }
+});
+
+// 获取 Webhook 订阅列表接口
+app.get("/webhooks", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    res.json({ code: 200, message: "获取 Webhook 列表成功", items: await webhooks.listWebhooks() });
+  } catch (err) {
+    logger.error("获取 Webhook 列表失败:", { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "获取 Webhook 列表时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/deliveries:
+ *   get:
+ *     summary: 查询 Webhook 投递日志（需要管理权限）
+ *     description: 按创建时间倒序返回投递记录，包括请求体、状态（pending 待投递、succeeded 成功、failed 最终失败）、每次尝试的响应状态码和错误、下一次重试时间。已完成的记录只保留最近1000条
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: webhookId
+ *         schema:
+ *           type: string
+ *         description: 只返回该订阅的投递
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: 查询成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "获取投递日志成功", "items": [{ "id": "fedcba9876543210", "webhookId": "0123456789abcdef", "event": "file.uploaded", "payload": { "id": "fedcba9876543210", "event": "file.uploaded", "createdAt": "2025-01-01T00:00:00.000Z", "data": { "url": "https://files.example.com/images/a.png", "path": "images/a.png", "category": "images", "namespace": null, "userId": 1 } }, "status": "pending", "attempts": [{ "at": "2025-01-01T00:00:00.100Z", "statusCode": 503, "error": "接收方返回了状态码 503", "durationMs": 12 }], "nextAttemptAt": "2025-01-01T00:00:30.112Z", "createdAt": "2025-01-01T00:00:00.000Z", "deliveredAt": null }] }
+ *       400:
+ *         description: 查询参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 获取投递日志时发生错误
+ */
+// 查询 Webhook 投递日志接口
+app.get("/webhooks/deliveries", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    const { webhookId, status, event } = req.query;
+    if (status !== undefined && !["pending", "succeeded", "failed"].includes(status)) {
+      return res.status(400).json({ error: "status 只能是 pending、succeeded 或 failed" });
+    }
+    if (event !== undefined && !webhooks.WEBHOOK_EVENTS.includes(event)) {
+      return res.status(400).json({ error: "不支持的事件", event });
+    }
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: "limit 必须是 1 到 1000 之间的整数" });
+    }
+    const items = await webhooks.listDeliveries({ webhookId, status, event, limit });
+    res.json({ code: 200, message: "获取投递日志成功", items });
+  } catch (err) {
+    logger.error("获取 Webhook 投递日志失败:", { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "获取投递日志时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /webhooks/{id}:
+ *   delete:
+ *     summary: 删除 Webhook 订阅（需要管理权限）
+ *     description: 删除后不再创建新的投递，尚未完成的投递不再重试（在投递日志中标记为失败）
+ *     tags: [Webhook]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: Webhook 不存在
+ *       500:
+ *         description: 删除 Webhook 时发生错误
+ */
+// 删除 Webhook 订阅接口
+app.delete("/webhooks/:id", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    const webhook = await webhooks.deleteWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook 不存在", id: req.params.id });
+    }
+    logger.info("Webhook 已删除", { id: webhook.id, url: webhook.url, userId: req.user.userId });
+    res.json({ code: 200, message: "Webhook 已删除", webhook });
+  } catch (err) {
+    logger.error("删除 Webhook 失败:", { error: err.message, stack: err.stack, id: req.params.id });
+    res.status(500).json({ error: "删除 Webhook 时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /upload/avatar:
+ *   post:
+ *     summary: 上传头像（公共接口）
+ *     description: 无需认证，仅支持图片（jpg/png/gif/webp/avif/svg），大小默认≤5MB（MAX_AVATAR_SIZE），默认每IP每小时限5次（AVATAR_RATE_LIMIT）。支持自定义文件名。服务器根据文件头检测真实类型（detectedType），内容不是图片或 SVG 中含有脚本时拒绝
+ *     tags: [Avatar]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [avatar]
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *                 description: 头像图片（字段名必须是avatar）
+ *               filename:
+ *                 type: string
+ *                 description: 自定义文件名（可选，不包含扩展名）
+ *     responses:
+ *       200:
+ *         description: 上传成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "头像上传成功", "url": "https://files.example.com/blog/avatars/avatar-xxx.jpg" }
+ *       400:
+ *         description: 未上传文件、文件类型不支持或文件内容不是有效的图片
+ *       413:
+ *         description: 文件大小超过限制（默认5MB），或超出头像目录所在命名空间的存储配额
+ *       429:
+ *         description: 上传频率过高
+ *       500:
+ *         description: 服务器内部错误
+ */
+// 公共头像上传接口（无需认证，但有速率限制）
+app.post("/upload/avatar", avatarUploadLimiter, uploadAvatar.single("avatar"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "没有文件被上传" });
+  }
+
+  try {
+    // 客户端声明的类型不可信，按文件头检测真实类型，SVG 还不能包含脚本
+    const detected = await detectFileTypeFromFile(req.file.path);
+    if (!detected || !avatarMimetypes.includes(detected.mime) || detected.hasScript) {
+      await fs.unlink(req.file.path).catch((e) => logger.error("删除头像文件失败:", { error: e.message }));
+      logger.warn("头像文件内容不是允许的图片类型", { filename: req.file.filename, declaredType: req.file.mimetype, detectedType: detected ? detected.mime : null });
+      return res.status(400).json({
+        error: "文件内容不是有效的图片",
+        declaredType: req.file.mimetype,
+        detectedType: detected ? detected.mime : null,
+      });
+    }
+
+    const fixedName = fixFileNameEncoding(req.file.originalname);
+    const ext = path.extname(fixedName);
+    const customFilename = req.body.filename;
+    
+    let finalFilename;
+    if (customFilename && typeof customFilename === 'string' && customFilename.trim()) {
+      // 使用自定义文件名（清理非法字符）
+      const safeFilename = customFilename.trim().replace(/[^a-zA-Z0-9_-]/g, '_');
+      finalFilename = `${safeFilename}${ext}`;
+    } else {
+      // 使用原始文件名（清理非法字符）
+      const originalNameWithoutExt = path.basename(fixedName, ext);
+      const safeOriginalName = originalNameWithoutExt.replace(/[^a-zA-Z0-9_-]/g, '_');
+      finalFilename = `${safeOriginalName}${ext}`;
+    }
+    
+    // 检查并处理文件名冲突
+    const finalPath = path.join(avatarUploadDir, finalFilename);
+    if (await storageExists(finalPath)) {
+      // 文件已存在，添加时间戳
+      const nameWithoutExt = path.basename(finalFilename, ext);
+      const timestamp = Date.now();
+      finalFilename = `${nameWithoutExt}-${timestamp}${ext}`;
+    }
+    
+    // 保存到最终位置并重命名
+    const finalFilePath = path.join(avatarUploadDir, finalFilename);
+    // 头像目录所在的命名空间有配额时同样检查
+    await quota.withUploadQuota(
+      { userId: null, relativePath: toUploadRelativePath(finalFilePath), size: req.file.size },
+      async () => {
+        await storage.storeFile(req.file.path, toUploadRelativePath(finalFilePath), { mimetype: detected.mime });
+        // 公共接口没有登录用户，上传者记录为空
+        await metadata.putFileMetadata(toUploadRelativePath(finalFilePath), {
+          originalName: fixedName,
+          mimetype: req.file.mimetype,
+          detectedType: detected.mime,
+          size: req.file.size,
+          hash: null,
+          userId: null,
+          userType: null,
+        });
+      }
+    );
+    
+    res.json({
+      code: 200,
+      message: "头像上传成功",
+      url: buildPublicUrl(toUploadRelativePath(finalFilePath)),
+      filename: finalFilename,
+      originalName: fixedName,
+      mimetype: req.file.mimetype,
+      detectedType: detected.mime,
+      size: req.file.size,
+    });
+    notifyWebhooks("avatar.uploaded", {
+      url: buildPublicUrl(toUploadRelativePath(finalFilePath)),
+      path: toUploadRelativePath(finalFilePath),
+      filename: finalFilename,
+      category: null,
+      namespace: toUploadRelativePath(avatarUploadDir),
+      size: req.file.size,
+      mimetype: detected.mime,
+      userId: null,
+    });
+  } catch (err) {
+    logger.error("处理头像上传时出错:", { error: err.message, stack: err.stack, filename: req.file?.filename });
+    if (req.file && req.file.path) {
+      await fs.unlink(req.file.path).catch((e) => logger.error("删除头像文件失败:", { error: e.message }));
+    }
+    if (err instanceof quota.QuotaExceededError) {
+      return res.status(413).json(quotaErrorBody(err));
+    }
+    res.status(500).json({ error: "头像上传失败" });
+  }
+});
+
+// 文件头无法区分具体的编程语言或文档格式，文本内容声明为代码或文档类时都视为一致
+const textCategories = ["codes", "documents"];
+
+/**
+ * 根据文件头检测上传文件的真实类型，并与客户端声明的MIME类型和扩展名比较
+ * 不一致时按真实类型重新分类；可执行文件或 HTML 伪装成其他类型时拒绝
+ * @param {string} filePath - 已上传的文件路径
+ * @param {string} declaredMime - 客户端声明的MIME类型
+ * @param {string} filename - 文件名
+ * @returns {Promise<object>} { detectedType, reclassified, rejected }
+ */
+async function inspectFileType(filePath, declaredMime, filename) {
+  const detected = await detectFileTypeFromFile(filePath);
+  if (!detected) {
+    return { detectedType: null, reclassified: false, rejected: false };
+  }
+
+  const ext = path.extname(filename).toLowerCase();
+  const consistent =
+    detected.mime === declaredMime ||
+    detected.exts.includes(ext) ||
+    (detected.text && textCategories.includes(getFileCategory(declaredMime, filename)));
+
+  return {
+    detectedType: detected.mime,
+    reclassified: !consistent,
+    rejected: !consistent && detected.dangerous,
+  };
+}
+
+/**
+ * 创建文件类型不一致的错误，上传接口据此返回415
+ */
+function createFileTypeMismatchError(declaredType, detectedType) {
+  const err = new Error("文件内容与声明的类型不一致");
+  err.code = "FILE_TYPE_MISMATCH";
+  err.declaredType = declaredType;
+  err.detectedType = detectedType;
+  return err;
+}
+
+/**
+ * 将临时目录中的上传文件移动到最终存储目录，并构建上传成功的响应内容
+ * @param {object} file - 上传的文件（path、filename、mimetype、size、hash），移动后会更新 file.path 和 file.filename
+ * @param {string} originalName - 修复编码后的原始文件名
+ * @param {string} category - 指定的分类
+ * @param {string} namespace - 指定的命名空间
+ * @param {object} uploader - 上传者（JWT 中的 userId、userType）
+ * @returns {Promise<object>} 上传成功的响应内容
+ * @throws 文件内容与声明类型不一致且不允许存储时，抛出 code 为 FILE_TYPE_MISMATCH 的错误
+ * @throws {PermissionDeniedError} 上传者没有最终存储目录的上传权限
+ * @throws {QuotaExceededError} 放入后会超出上传者或目标命名空间的配额
+ */
+async function placeUploadedFile(file, originalName, category, namespace, uploader) {
+  // 0. 检测真实类型，类型不一致时只按检测出的MIME类型自动分类
+  const typeInfo = await inspectFileType(file.path, file.mimetype, originalName);
+  if (typeInfo.rejected) {
+    throw createFileTypeMismatchError(file.mimetype, typeInfo.detectedType);
+  }
+  const classifyMime = typeInfo.reclassified ? typeInfo.detectedType : file.mimetype;
+  const classifyName = typeInfo.reclassified ? "" : originalName;
+
+  // 1. 决定最终的存储目录
+  const finalDir = await getFullStoragePath(
+    category,
+    namespace,
+    classifyMime,
+    classifyName
+  );
+  // 自动分类的目录在检测类型后才能确定，因此在这里检查权限
+  if (!canAccessPath(uploader, "upload", finalDir)) {
+    throw new permissions.PermissionDeniedError("upload", toUploadRelativePath(finalDir));
+  }
+
+  // 2. 按原始文件名构建最终的文件路径，避免覆盖最终目录中的同名文件
+  const finalFilename = await getUniqueFileName(finalDir, originalName, storageExists);
+  const finalPath = path.join(finalDir, finalFilename);
+
+  // 3. 检查配额后交给存储驱动保存（本地存储中相同内容只保存一份），检查和保存之间不会插入其他上传
+  const { duplicate } = await quota.withUploadQuota(
+    { userId: uploader.userId ?? null, relativePath: toUploadRelativePath(finalPath), size: file.size },
+    async () => {
+      const stored = await storage.storeFile(file.path, toUploadRelativePath(finalPath), {
+        hash: file.hash,
+        mimetype: typeInfo.detectedType || file.mimetype,
+      });
+      await metadata.putFileMetadata(toUploadRelativePath(finalPath), {
+        originalName,
+        mimetype: file.mimetype,
+        detectedType: typeInfo.detectedType,
+        size: file.size,
+        hash: file.hash,
+        userId: uploader.userId ?? null,
+        userType: uploader.userType ?? null,
+      });
+      return stored;
+    }
+  );
+  logger.info(`文件从临时目录移动到最终目录`, {
+    from: file.path,
+    to: finalPath,
+    filename: finalFilename,
+    hash: file.hash,
+    duplicate
+  });
+  // 更新 file 对象，使其反映新位置，方便后续使用
+  file.path = finalPath;
+  file.filename = finalFilename;
+
+  // 4. 构建返回的URL（按实际存储路径逐段编码，多级命名空间中的 / 不会被编码）
+  let finalCategoryForResponse = null;
+
+  if (category) {
+    finalCategoryForResponse = category;
+  } else if (namespace) {
+    finalCategoryForResponse = null; // 按namespace存储时，分类为null
+  } else {
+    finalCategoryForResponse = getFileCategory(classifyMime, classifyName);
+  }
+
+  return {
+    code: 200,
+    message: "文件上传成功",
+    url: buildPublicUrl(toUploadRelativePath(finalPath)),
+    filename: file.filename,
+    category: finalCategoryForResponse,
+    namespace: namespace || null,
+    originalName,
+    mimetype: file.mimetype,
+    detectedType: typeInfo.detectedType,
+    reclassified: typeInfo.reclassified,
+    size: file.size,
+    hash: file.hash,
+    duplicate,
+  };
+}
+
+/**
+ * @swagger
+ * /upload:
+ *   post:
+ *     summary: 上传文件（需要认证）
+ *     description: 需要认证的文件上传接口，支持多种文件类型和分类，默认最大1GB（MAX_UPLOAD_SIZE）。上传时计算 SHA-256，内容相同的文件只保存一份，duplicate 表示内容是否已存在。服务器根据文件头检测真实类型（detectedType），与声明的类型不一致时按真实类型重新分类（reclassified），可执行文件或 HTML 伪装成其他类型时拒绝
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: 要上传的文件
+ *               category:
+ *                 type: string
+ *                 enum: [images, videos, audios, codes, documents, archives, fonts]
+ *                 description: 文件分类（可选，自动识别）
+ *               namespace:
+ *                 type: string
+ *                 description: 命名空间（可选，用于组织文件）
+ *     responses:
+ *       200:
+ *         description: 文件上传成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "文件上传成功", "url": "https://files.example.com/images/example.jpg", "filename": "xxx.jpg", "hash": "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855", "duplicate": false }
+ *       400:
+ *         description: 没有文件被上传或分类/命名空间参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       413:
+ *         description: 文件大小超过限制（默认1GB），或超出用户/命名空间的存储配额（返回 remaining 剩余可用字节数）
+ *       415:
+ *         description: 文件内容与声明的类型不一致（如伪装成图片的可执行文件）
+ *       500:
+ *         description: 文件处理失败
+ */
+// 上传文件接口
+app.post("/upload", authenticateToken, permissions.requirePermission("upload"), upload.single("file"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "没有文件被上传" });
+  }
+
+  try {
+    const category = req.body.category || req.query.category;
+    const namespace = req.body.namespace || req.query.namespace;
+    const fixedName = fixFileNameEncoding(req.file.originalname);
+
+    const result = await placeUploadedFile(
+      req.file,
+      fixedName,
+      category,
+      namespace,
+      req.user
+    );
+    res.json(result);
+    notifyWebhooks("file.uploaded", {
+      url: buildPublicUrl(toUploadRelativePath(req.file.path)),
+      path: toUploadRelativePath(req.file.path),
+      filename: result.filename,
+      category: result.category,
+      namespace: result.namespace,
+      size: result.size,
+      mimetype: result.detectedType || result.mimetype,
+      hash: result.hash,
+      userId: req.user.userId ?? null,
+    });
+  } catch (err) {
+    // 如果移动失败，可以尝试删除临时文件
+    if (req.file && req.file.path) {
+      await fs
+        .unlink(req.file.path)
+        .catch((e) => logger.error("删除临时文件失败:", { error: e.message }));
+    }
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    if (err instanceof permissions.PermissionDeniedError) {
+      return res.status(403).json({ error: err.message, ability: err.ability, path: err.path });
+    }
+    if (err instanceof quota.QuotaExceededError) {
+      logger.warn("上传超出存储配额", { scope: err.scope, key: err.key, limit: err.limit, used: err.used, size: req.file.size });
+      return res.status(413).json(quotaErrorBody(err));
+    }
+    if (err.code === "FILE_TYPE_MISMATCH") {
+      logger.warn("上传文件的内容与声明的类型不一致", { filename: req.file.filename, declaredType: err.declaredType, detectedType: err.detectedType });
+      return res.status(415).json({ error: err.message, declaredType: err.declaredType, detectedType: err.detectedType });
+    }
+    logger.error("处理上传文件时出错:", { error: err.message, stack: err.stack, filename: req.file?.filename });
+    res.status(500).json({ error: "文件处理失败" });
+  }
+});
+
+/**
+ * @swagger
+ * /upload/extract:
+ *   post:
+ *     summary: 上传压缩包并解压到命名空间（需要认证）
+ *     description: |
+ *       上传 zip、tar.gz 或 tar 压缩包（按文件头识别格式），解压到指定的命名空间中，保留压缩包内的目录结构，压缩包本身不保存。
+ *       包含绝对路径或 .. 的条目会导致整个压缩包被拒绝；符号链接不会被解压。
+ *       条目数和解压后的总大小分别受 MAX_EXTRACT_ENTRIES（默认1000）和 MAX_EXTRACT_SIZE（默认1GB）限制。
+ *       每个文件与普通上传一样检测真实类型、参与去重，与已有文件重名时添加时间戳；伪装成其他类型的可执行文件会被跳过。
+ *       保存过程中出错（超出配额、子目录没有权限等）时撤销已经保存的文件，不会只解压一部分
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file, namespace]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: 压缩包
+ *               namespace:
+ *                 type: string
+ *                 description: 解压的目标命名空间
+ *     responses:
+ *       200:
+ *         description: 解压成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "解压成功", "namespace": "site", "format": "zip", "fileCount": 2, "totalBytes": 2048, "files": [{ "path": "index.html", "filename": "index.html", "url": "https://files.example.com/site/index.html", "size": 1024, "duplicate": false }, { "path": "css/main.css", "filename": "main.css", "url": "https://files.example.com/site/css/main.css", "size": 1024, "duplicate": false }], "skipped": [] }
+ *       400:
+ *         description: 没有文件被上传、缺少命名空间、压缩包无法解析或包含不安全的路径
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       413:
+ *         description: 压缩包大小、条目数或解压后的总大小超过限制，或超出存储配额
+ *       415:
+ *         description: 不支持的压缩包格式
+ *       500:
+ *         description: 解压压缩包失败
+ */
+// 上传并解压压缩包接口
+app.post("/upload/extract", authenticateToken, permissions.requirePermission("upload"), upload.single("file"), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: "没有文件被上传" });
+  }
+
+  // 解压出的文件先放在临时目录中，全部检查通过后再逐个保存
+  const stagingDir = path.join(tempUploadDir, "extract", crypto.randomBytes(8).toString("hex"));
+  // 已经保存的文件，出错时撤销
+  const placedPaths = [];
+  try {
+    const namespace = req.body.namespace || req.query.namespace;
+    if (!namespace) {
+      return res.status(400).json({ error: "请提供解压的目标命名空间" });
+    }
+    const targetDir = await resolveUploadPath({ namespace });
+    if (!canAccessPath(req.user, "upload", targetDir)) {
+      return sendPermissionDenied(res, "upload", targetDir);
+    }
+
+    const detected = await detectFileTypeFromFile(req.file.path);
+    const format = archiveExtract.getArchiveFormat(detected?.mime);
+    if (!format) {
+      return res.status(415).json({ error: "只支持 zip、tar.gz 和 tar 格式的压缩包", detectedType: detected?.mime || null });
+    }
+
+    const { files, skipped } = await archiveExtract.extractArchive(req.file.path, format, stagingDir, {
+      maxEntries: config.maxExtractEntries,
+      maxTotalSize: config.maxExtractSize,
+    });
+    // 先按解压后的总大小检查配额，避免只保存了一部分文件
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    await quota.checkUploadQuota({
+      userId: req.user.userId ?? null,
+      relativeDir: toUploadRelativePath(targetDir),
+      size: totalBytes,
+    });
+
+    const extracted = [];
+    for (const entry of files) {
+      const entryDir = path.posix.dirname(entry.path);
+      const file = {
+        path: entry.tempPath,
+        filename: path.posix.basename(entry.path),
+        mimetype: null,
+        size: entry.size,
+        hash: await objectStore.hashFile(entry.tempPath),
+      };
+      let result;
+      try {
+        result = await placeUploadedFile(
+          file,
+          file.filename,
+          null,
+          entryDir === "." ? namespace : `${namespace}/${entryDir}`,
+          req.user
+        );
+      } catch (err) {
+        if (err.code !== "FILE_TYPE_MISMATCH") throw err;
+        logger.warn("压缩包中的文件内容与扩展名不一致", { path: entry.path, detectedType: err.detectedType });
+        skipped.push({ path: entry.path, reason: err.message, detectedType: err.detectedType });
+        continue;
+      }
+      placedPaths.push(file.path);
+      extracted.push({
+        path: entry.path,
+        filename: result.filename,
+        url: buildPublicUrl(toUploadRelativePath(file.path)),
+        size: result.size,
+        detectedType: result.detectedType,
+        hash: result.hash,
+        duplicate: result.duplicate,
+      });
+    }
+
+    logger.info("压缩包已解压", { namespace, format, fileCount: extracted.length, skipped: skipped.length, userId: req.user.userId });
+    res.json({
+      code: 200,
+      message: "解压成功",
+      namespace,
+      format,
+      fileCount: extracted.length,
+      totalBytes: extracted.reduce((sum, file) => sum + file.size, 0),
+      files: extracted,
+      skipped,
+    });
+  } catch (err) {
+    for (const filePath of placedPaths) {
+      await discardUploadedFile(filePath).catch((e) =>
+        logger.error("撤销解压的文件失败:", { error: e.message, path: filePath })
+      );
+    }
+    if (placedPaths.length > 0) {
+      logger.warn("解压失败，已撤销已保存的文件", { rolledBack: placedPaths.length, userId: req.user.userId });
+    }
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    if (err instanceof archiveExtract.ArchiveError) {
+      logger.warn("拒绝解压压缩包", { error: err.message, ...err.details, filename: req.file.filename });
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    if (err instanceof permissions.PermissionDeniedError) {
+      return res.status(403).json({ error: err.message, ability: err.ability, path: err.path });
+    }
+    if (err instanceof quota.QuotaExceededError) {
+      logger.warn("解压超出存储配额", { scope: err.scope, key: err.key, limit: err.limit, used: err.used });
+      return res.status(413).json(quotaErrorBody(err));
+    }
+    logger.error("解压压缩包失败:", { error: err.message, stack: err.stack, filename: req.file.filename });
+    res.status(500).json({ error: "解压压缩包失败" });
+  } finally {
+    await fs.rm(stagingDir, { recursive: true, force: true }).catch(() => {});
+    await fs
+      .unlink(req.file.path)
+      .catch((e) => logger.error("删除临时文件失败:", { error: e.message }));
+  }
+});
+
+// 批量上传一次最多接收的文件数量
+const MAX_BATCH_FILES = 100;
+
+/**
+ * 把上传文件放置失败的错误转换为单个文件的结果（状态码和错误信息），与单文件上传接口的响应一致
+ * @param {Error} err - placeUploadedFile 抛出的错误
+ * @returns {object|null} { status, error, ... }，未知错误返回 null
+ */
+function describeUploadError(err) {
+  if (err instanceof InvalidPathError) {
+    return { status: 400, error: err.message, param: err.param };
+  }
+  if (err instanceof permissions.PermissionDeniedError) {
+    return { status: 403, error: err.message, ability: err.ability, path: err.path };
+  }
+  if (err instanceof quota.QuotaExceededError) {
+    return { status: 413, ...quotaErrorBody(err) };
+  }
+  if (err.code === "FILE_TYPE_MISMATCH") {
+    return { status: 415, error: err.message, declaredType: err.declaredType, detectedType: err.detectedType };
+  }
+  return null;
+}
+
+/**
+ * 删除文件或目录（本地存储移入回收站），并从所在命名空间的用量中扣除
+ * @param {string} relativePath - 相对于上传目录的路径
+ * @param {object} options - { deletedBy }
+ * @returns {Promise<object>} { trashId }
+ */
+function removeStoredPath(relativePath, options) {
+  return quota.trackChange({ source: relativePath, removed: relativePath }, () => storage.remove(relativePath, options));
+}
+
+/**
+ * 撤销已经保存的上传文件，直接删除而不进入回收站
+ * @param {string} filePath - 文件的最终路径
+ */
+async function discardUploadedFile(filePath) {
+  const { trashId } = await removeStoredPath(toUploadRelativePath(filePath));
+  if (trashId) {
+    await trash.purgeTrashEntry(trashId);
+  }
+}
+
+/**
+ * @swagger
+ * /upload/batch:
+ *   post:
+ *     summary: 批量上传文件（需要认证）
+ *     description: |
+ *       在一个请求中上传多个文件（字段名 files，最多100个），每个文件按与 /upload 相同的分类和命名空间规则存放，并逐个返回结果。
+ *       默认尽量上传：失败的文件不影响其他文件，响应中 failed 为失败数量。
+ *       atomic 为 true 时全部成功或全部失败：任何一个文件失败时撤销已保存的文件，返回该文件的错误状态码
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [files]
+ *             properties:
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *                 description: 要上传的文件
+ *               category:
+ *                 type: string
+ *                 enum: [images, videos, audios, codes, documents, archives, fonts]
+ *                 description: 文件分类（可选，自动识别）
+ *               namespace:
+ *                 type: string
+ *                 description: 命名空间（可选，用于组织文件）
+ *               atomic:
+ *                 type: boolean
+ *                 description: 为 true 时全部成功或全部失败，默认 false
+ *     responses:
+ *       200:
+ *         description: 批量上传完成（尽量上传时可能包含失败的文件）
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "批量上传完成", "atomic": false, "total": 2, "succeeded": 1, "failed": 1, "results": [{ "index": 0, "originalName": "a.jpg", "success": true, "url": "https://files.example.com/images/a.jpg", "filename": "a.jpg", "size": 1024, "duplicate": false }, { "index": 1, "originalName": "b.png", "success": false, "status": 415, "error": "文件内容与声明的类型不一致" }] }
+ *       400:
+ *         description: 没有文件被上传、文件数量超过限制，或 atomic 模式下某个文件的参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       413:
+ *         description: 文件大小超过限制，或 atomic 模式下超出存储配额
+ *       415:
+ *         description: atomic 模式下某个文件的内容与声明的类型不一致
+ *       500:
+ *         description: 文件处理失败
+ */
+// 批量上传文件接口
+app.post("/upload/batch", authenticateToken, permissions.requirePermission("upload"), upload.array("files", MAX_BATCH_FILES), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({ error: "没有文件被上传" });
+  }
+
+  const category = req.body.category || req.query.category;
+  const namespace = req.body.namespace || req.query.namespace;
+  const atomicValue = req.body.atomic ?? req.query.atomic;
+  const atomic = atomicValue === true || atomicValue === "true" || atomicValue === "1";
+  const results = [];
+  const placedFiles = [];
+
+  try {
+    for (const [index, file] of req.files.entries()) {
+      const originalName = fixFileNameEncoding(file.originalname);
+      try {
+        const { code, message, ...result } = await placeUploadedFile(file, originalName, category, namespace, req.user);
+        placedFiles.push(file);
+        results.push({ index, originalName, success: true, ...result });
+      } catch (err) {
+        const failure = describeUploadError(err);
+        if (!failure) throw err;
+        logger.warn("批量上传中的文件处理失败", { index, originalName, error: failure.error });
+        results.push({ index, originalName, success: false, ...failure });
+        if (atomic) break;
+      }
+    }
+
+    const failedIndex = results.findIndex((result) => !result.success);
+    if (atomic && failedIndex !== -1) {
+      // 撤销已经保存的文件，未处理的文件在 finally 中删除
+      for (const file of placedFiles) {
+        await discardUploadedFile(file.path);
+      }
+      for (const result of results) {
+        if (result.success) {
+          Object.assign(result, { success: false, rolledBack: true });
+        }
+      }
+      logger.warn("批量上传失败，已撤销全部文件", { failedIndex, rolledBack: placedFiles.length, userId: req.user.userId });
+      return res.status(results[failedIndex].status).json({
+        error: "批量上传失败，已撤销全部文件",
+        atomic,
+        failedIndex,
+        results,
+      });
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    logger.info("批量上传完成", { total: req.files.length, succeeded, userId: req.user.userId });
+    res.json({
+      code: 200,
+      message: "批量上传完成",
+      atomic,
+      total: req.files.length,
+      succeeded,
+      failed: req.files.length - succeeded,
+      results,
+    });
+  } catch (err) {
+    logger.error("批量上传文件时出错:", { error: err.message, stack: err.stack, processed: results.length });
+    if (atomic) {
+      for (const file of placedFiles) {
+        await discardUploadedFile(file.path).catch((e) =>
+          logger.error("撤销批量上传的文件失败:", { error: e.message, path: file.path })
+        );
+      }
+    }
+    res.status(500).json({ error: "文件处理失败", processed: results.length });
+  } finally {
+    // 删除没有保存成功的临时文件
+    for (const file of req.files) {
+      if (!placedFiles.includes(file)) {
+        await fs.rm(file.path, { force: true }).catch((e) => logger.error("删除临时文件失败:", { error: e.message }));
+      }
+    }
+  }
+});
+
+/**
+ * @swagger
+ * /upload/url:
+ *   post:
+ *     summary: 从URL导入文件（需要认证）
+ *     description: |
+ *       服务器下载指定 http/https 地址的文件并保存，分类、命名空间、大小限制（MAX_UPLOAD_SIZE）、类型检测和去重与 /upload 相同。
+ *       文件名取自 Content-Disposition 或地址路径，也可以用 filename 指定；最多跟随5次重定向，30秒没有响应则放弃。
+ *       为防止 SSRF，禁止访问内网、本机和链路本地地址（每次重定向都会重新检查），需要访问的内网主机可在 IMPORT_ALLOWED_HOSTS 中配置
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: 源文件地址
+ *               category:
+ *                 type: string
+ *                 enum: [images, videos, audios, codes, documents, archives, fonts]
+ *                 description: 文件分类（可选，自动识别）
+ *               namespace:
+ *                 type: string
+ *                 description: 命名空间（可选，用于组织文件）
+ *               filename:
+ *                 type: string
+ *                 description: 保存的文件名（可选）
+ *     responses:
+ *       200:
+ *         description: 文件导入成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "文件导入成功", "sourceUrl": "https://old.example.com/a/photo.jpg", "url": "https://files.example.com/images/photo.jpg", "filename": "photo.jpg", "hash": "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855", "duplicate": false }
+ *       400:
+ *         description: 地址格式无效或不是 http/https，或分类/命名空间参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 当前角色没有该操作的权限，或源地址指向内网/本机地址
+ *       413:
+ *         description: 文件大小超过限制（默认1GB），或超出存储配额
+ *       415:
+ *         description: 文件内容与声明的类型不一致
+ *       502:
+ *         description: 无法连接源地址、源地址返回错误状态码或重定向次数过多
+ *       504:
+ *         description: 源地址响应超时
+ */
+// 从URL导入文件接口
+app.post("/upload/url", authenticateToken, permissions.requirePermission("upload"), async (req, res) => {
+  const { url: sourceUrl, category, namespace, filename } = req.body || {};
+  if (typeof sourceUrl !== "string" || !sourceUrl) {
+    return res.status(400).json({ error: "请提供要导入的文件地址" });
+  }
+  if (filename !== undefined && (typeof filename !== "string" || !filename || /[\\/\0]/.test(filename))) {
+    return res.status(400).json({ error: "文件名不能为空或包含路径分隔符" });
+  }
+
+  const tempPath = path.join(tempUploadDir, `${Date.now()}-${crypto.randomBytes(8).toString("hex")}`);
+  try {
+    // 指定了目标目录时先检查权限，避免下载完才发现不能保存
+    if (category || namespace) {
+      const targetDir = await getFullStoragePath(category, namespace);
+      if (!canAccessPath(req.user, "upload", targetDir)) {
+        return sendPermissionDenied(res, "upload", targetDir);
+      }
+    }
+
+    await ensureDirectoryExists(tempUploadDir);
+    const download = await urlImport.downloadToFile(sourceUrl, tempPath, {
+      maxSize: MAX_UPLOAD_SIZE,
+      allowedHosts: config.importAllowedHosts,
+    });
+    const originalName = filename || download.filename;
+    const file = {
+      path: tempPath,
+      filename: originalName,
+      mimetype: download.mimetype,
+      size: download.size,
+      hash: download.hash,
+    };
+    const result = await placeUploadedFile(file, originalName, category, namespace, req.user);
+    logger.info("已从URL导入文件", { sourceUrl: download.url, path: file.path, size: file.size, userId: req.user.userId });
+    res.json({ ...result, message: "文件导入成功", sourceUrl: download.url });
+  } catch (err) {
+    await fs.rm(tempPath, { force: true }).catch((e) => logger.error("删除临时文件失败:", { error: e.message }));
+    if (err instanceof urlImport.UrlImportError) {
+      logger.warn("从URL导入文件失败", { error: err.message, ...err.details, sourceUrl });
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    const failure = describeUploadError(err);
+    if (failure) {
+      const { status, ...body } = failure;
+      return res.status(status).json(body);
+    }
+    logger.error("从URL导入文件时出错:", { error: err.message, stack: err.stack, sourceUrl });
+    res.status(500).json({ error: "文件导入失败" });
+  }
+});
+
+// 正在写入或合并中的分片上传，防止同一上传被并发修改
+const busyChunkUploads = new Set();
+
+/**
+ * 读取当前用户的分片上传会话，其他用户创建的会话视为不存在
+ */
+async function getOwnedChunkSession(req) {
+  const session = await chunkUpload.getSession(req.params.uploadId);
+  if (!session || session.userId !== (req.user.userId || null)) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * @swagger
+ * /upload/chunk/init:
+ *   post:
+ *     summary: 创建分片上传（需要认证）
+ *     description: 断点续传第一步，声明文件名和总大小，返回 uploadId。分片数据暂存在 uploads/temp 中，超过24小时没有收到新分片的未完成上传会被清理
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [filename, size]
+ *             properties:
+ *               filename:
+ *                 type: string
+ *                 description: 文件名
+ *               size:
+ *                 type: integer
+ *                 description: 文件总大小（字节，默认最大1GB）
+ *               mimetype:
+ *                 type: string
+ *                 description: 文件的MIME类型（可选）
+ *               category:
+ *                 type: string
+ *                 enum: [images, videos, audios, codes, documents, archives, fonts]
+ *                 description: 文件分类（可选，自动识别）
+ *               namespace:
+ *                 type: string
+ *                 description: 命名空间（可选，用于组织文件）
+ *     responses:
+ *       200:
+ *         description: 分片上传创建成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "分片上传创建成功", "uploadId": "9f86d081884c7d659a2feaa0c55ad015", "offset": 0, "size": 1048576 }
+ *       400:
+ *         description: 缺少文件名、文件大小无效或分类/命名空间参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       413:
+ *         description: 文件大小超过限制（默认1GB），或超出用户/命名空间的存储配额（返回 remaining 剩余可用字节数）
+ *       500:
+ *         description: 创建分片上传失败
+ */
+app.post("/upload/chunk/init", authenticateToken, permissions.requirePermission("upload"), async (req, res) => {
+  try {
+    const { filename, size, mimetype, category, namespace } = req.body;
+    const totalSize = Number(size);
+
+    if (!filename || typeof filename !== "string") {
+      return res.status(400).json({ error: "请提供文件名" });
+    }
+    if (!Number.isInteger(totalSize) || totalSize < 0) {
+      return res.status(400).json({ error: "请提供有效的文件大小" });
+    }
+    if (totalSize > MAX_UPLOAD_SIZE) {
+      return res.status(413).json({ error: `文件大小超过限制（最大${formatSize(MAX_UPLOAD_SIZE)}）` });
+    }
+    // 提前校验存储位置和上传权限，避免上传完成后才发现参数不合法
+    const storageDir = await getFullStoragePath(category, namespace, mimetype, filename);
+    if (!canAccessPath(req.user, "upload", storageDir)) {
+      return sendPermissionDenied(res, "upload", storageDir);
+    }
+    await quota.checkUploadQuota({
+      userId: req.user.userId || null,
+      relativeDir: toUploadRelativePath(storageDir),
+      size: totalSize,
+    });
+
+    const session = await chunkUpload.createSession({
+      filename: path.basename(filename),
+      size: totalSize,
+      mimetype: mimetype || "application/octet-stream",
+      category: category || null,
+      namespace: namespace || null,
+      userId: req.user.userId || null,
+    });
+
+    res.json({
+      code: 200,
+      message: "分片上传创建成功",
+      uploadId: session.uploadId,
+      offset: 0,
+      size: session.size,
+    });
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    if (err instanceof quota.QuotaExceededError) {
+      return res.status(413).json(quotaErrorBody(err));
+    }
+    logger.error("创建分片上传失败:", { error: err.message, stack: err.stack, filename: req.body.filename });
+    res.status(500).json({ error: "创建分片上传失败" });
+  }
+});
+
+/**
+ * @swagger
+ * /upload/chunk/{uploadId}:
+ *   get:
+ *     summary: 查询分片上传进度（需要认证）
+ *     description: 返回服务器已接收的字节偏移量，连接中断后从该偏移量继续上传
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 查询成功（响应头 Upload-Offset 同样携带偏移量）
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "获取上传进度成功", "uploadId": "9f86d081884c7d659a2feaa0c55ad015", "offset": 524288, "size": 1048576 }
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 上传任务不存在或已过期
+ *       500:
+ *         description: 获取上传进度失败
+ */
+app.get("/upload/chunk/:uploadId", authenticateToken, permissions.requirePermission("upload"), async (req, res) => {
+  try {
+    const session = await getOwnedChunkSession(req);
+    if (!session) {
+      return res.status(404).json({ error: "上传任务不存在或已过期", uploadId: req.params.uploadId });
+    }
+
+    res.set("Upload-Offset", String(session.offset));
+    res.json({
+      code: 200,
+      message: "获取上传进度成功",
+      uploadId: session.uploadId,
+      filename: session.filename,
+      offset: session.offset,
+      size: session.size,
+    });
+  } catch (err) {
+    logger.error("获取上传进度失败:", { error: err.message, stack: err.stack, uploadId: req.params.uploadId });
+    res.status(500).json({ error: "获取上传进度失败" });
+  }
+});
+
+/**
+ * @swagger
+ * /upload/chunk/{uploadId}:
+ *   put:
+ *     summary: 上传分片（需要认证）
+ *     description: 请求体为分片的原始字节（Content-Type 使用 application/octet-stream），Upload-Offset 请求头必须等于服务器当前的偏移量。连接中断时已接收的数据会保留
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Upload-Offset
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: 本分片在文件中的起始偏移量（也可以通过 offset 查询参数传递）
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/octet-stream:
+ *           schema:
+ *             type: string
+ *             format: binary
+ *     responses:
+ *       200:
+ *         description: 分片上传成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "分片上传成功", "uploadId": "9f86d081884c7d659a2feaa0c55ad015", "offset": 1048576, "size": 1048576, "completed": true }
+ *       400:
+ *         description: 分片超出文件声明的大小
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 上传任务不存在或已过期
+ *       409:
+ *         description: 偏移量不匹配或该上传正在被处理
+ *       500:
+ *         description: 分片上传失败
+ */
+app.put("/upload/chunk/:uploadId", authenticateToken, permissions.requirePermission("upload"), async (req, res) => {
+  const { uploadId } = req.params;
+  if (busyChunkUploads.has(uploadId)) {
+    return res.status(409).json({ error: "该上传正在处理中，请稍后重试", uploadId });
+  }
+  busyChunkUploads.add(uploadId);
+
+  try {
+    const session = await getOwnedChunkSession(req);
+    if (!session) {
+      return res.status(404).json({ error: "上传任务不存在或已过期", uploadId });
+    }
+
+    const offset = Number(req.get("Upload-Offset") ?? req.query.offset);
+    if (!Number.isInteger(offset) || offset !== session.offset) {
+      res.set("Upload-Offset", String(session.offset));
+      return res.status(409).json({ error: "分片偏移量不匹配", uploadId, offset: session.offset });
+    }
+
+    // 限制分片总量不能超过声明的文件大小
+    const remaining = session.size - session.offset;
+    let received = 0;
+    const sizeLimiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > remaining) {
+          const err = new Error("分片超出文件声明的大小");
+          err.code = "CHUNK_OVERFLOW";
+          return callback(err);
+        }
+        callback(null, chunk);
+      },
+    });
+
+    try {
+      await pipeline(req, sizeLimiter, createWriteStream(session.partPath, { flags: "a" }));
+    } catch (err) {
+      if (err.code === "CHUNK_OVERFLOW") {
+        // 丢弃超出部分所在的整个分片，回退到本次写入之前的偏移量
+        await fs.truncate(session.partPath, session.offset);
+        res.set("Upload-Offset", String(session.offset));
+        return res.status(400).json({ error: err.message, uploadId, offset: session.offset, size: session.size });
+      }
+      // 连接中断时保留已写入的数据，客户端可以查询偏移量后继续上传
+      logger.warn("分片传输中断", { uploadId, error: err.message });
+      if (!res.headersSent && !req.socket.destroyed) {
+        const { size: currentOffset } = await fs.stat(session.partPath);
+        res.set("Upload-Offset", String(currentOffset));
+        res.status(500).json({ error: "分片上传失败", uploadId, offset: currentOffset });
+      }
+      return;
+    }
+
+    const newOffset = session.offset + received;
+    res.set("Upload-Offset", String(newOffset));
+    res.json({
+      code: 200,
+      message: "分片上传成功",
+      uploadId,
+      offset: newOffset,
+      size: session.size,
+      completed: newOffset === session.size,
+    });
+  } catch (err) {
+    logger.error("分片上传失败:", { error: err.message, stack: err.stack, uploadId });
+    res.status(500).json({ error: "分片上传失败" });
+  } finally {
+    busyChunkUploads.delete(uploadId);
+  }
+});
+
+/**
+ * @swagger
+ * /upload/chunk/{uploadId}/complete:
+ *   post:
+ *     summary: 完成分片上传（需要认证）
+ *     description: 所有分片上传完毕后调用，文件按与 /upload 相同的分类/命名空间规则存放，响应格式与 /upload 一致
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 文件上传成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "文件上传成功", "url": "https://files.example.com/videos/example.mp4", "filename": "example.mp4" }
+ *       400:
+ *         description: 文件尚未上传完整
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 上传任务不存在或已过期
+ *       409:
+ *         description: 该上传正在被处理
+ *       413:
+ *         description: 超出存储配额（分片数据保留，释放空间后可重试）
+ *       415:
+ *         description: 文件内容与声明的类型不一致
+ *       500:
+ *         description: 文件处理失败
+ */
+app.post("/upload/chunk/:uploadId/complete", authenticateToken, permissions.requirePermission("upload"), async (req, res) => {
+  const { uploadId } = req.params;
+  if (busyChunkUploads.has(uploadId)) {
+    return res.status(409).json({ error: "该上传正在处理中，请稍后重试", uploadId });
+  }
+  busyChunkUploads.add(uploadId);
+
+  try {
+    const session = await getOwnedChunkSession(req);
+    if (!session) {
+      return res.status(404).json({ error: "上传任务不存在或已过期", uploadId });
+    }
+    if (session.offset !== session.size) {
+      return res.status(400).json({
+        error: "文件尚未上传完整",
+        uploadId,
+        offset: session.offset,
+        size: session.size,
+      });
+    }
+
+    const file = {
+      path: session.partPath,
+      filename: session.filename,
+      mimetype: session.mimetype,
+      size: session.size,
+      hash: await objectStore.hashFile(session.partPath),
+    };
+    const result = await placeUploadedFile(
+      file,
+      session.filename,
+      session.category,
+      session.namespace,
+      // 按完成时的身份和权限放置文件（API 密钥的授权范围、被修改的角色）
+      req.user
+    );
+    await chunkUpload.closeSession(uploadId);
+    res.json(result);
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      await chunkUpload.removeSession(uploadId);
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    if (err instanceof permissions.PermissionDeniedError) {
+      await chunkUpload.removeSession(uploadId);
+      return res.status(403).json({ error: err.message, ability: err.ability, path: err.path });
+    }
+    if (err instanceof quota.QuotaExceededError) {
+      // 保留分片数据，释放空间后可以重新调用完成接口
+      return res.status(413).json(quotaErrorBody(err));
+    }
+    if (err.code === "FILE_TYPE_MISMATCH") {
+      // 内容不被接受，重新上传也没有意义，直接清理会话
+      await chunkUpload.removeSession(uploadId);
+      logger.warn("分片上传的内容与声明的类型不一致", { uploadId, declaredType: err.declaredType, detectedType: err.detectedType });
+      return res.status(415).json({ error: err.message, declaredType: err.declaredType, detectedType: err.detectedType });
+    }
+    // 保留分片数据，客户端可以重新调用完成接口
+    logger.error("完成分片上传失败:", { error: err.message, stack: err.stack, uploadId });
+    res.status(500).json({ error: "文件处理失败" });
+  } finally {
+    busyChunkUploads.delete(uploadId);
+  }
+});
+
+/**
+ * @swagger
+ * /upload/chunk/{uploadId}:
+ *   delete:
+ *     summary: 取消分片上传（需要认证）
+ *     description: 放弃未完成的上传并删除已接收的数据
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: uploadId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 取消成功
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 上传任务不存在或已过期
+ *       409:
+ *         description: 该上传正在被处理
+ *       500:
+ *         description: 取消分片上传失败
+ */
+app.delete("/upload/chunk/:uploadId", authenticateToken, permissions.requirePermission("upload"), async (req, res) => {
+  const { uploadId } = req.params;
+  if (busyChunkUploads.has(uploadId)) {
+    return res.status(409).json({ error: "该上传正在处理中，请稍后重试", uploadId });
+  }
+
+  try {
+    const session = await getOwnedChunkSession(req);
+    if (!session) {
+      return res.status(404).json({ error: "上传任务不存在或已过期", uploadId });
+    }
+
+    await chunkUpload.removeSession(uploadId);
+    res.json({ code: 200, message: "分片上传已取消", uploadId });
+  } catch (err) {
+    logger.error("取消分片上传失败:", { error: err.message, stack: err.stack, uploadId });
+    res.status(500).json({ error: "取消分片上传失败" });
+  }
+});
+
+/**
+ * @swagger
+ * /delete:
+ *   delete:
+ *     summary: 删除文件或目录（需要认证）
+ *     description: 删除指定路径下的文件或空目录。使用本地存储时，删除的内容会移入回收站，可以通过 /trash/restore 恢复；使用 S3 存储时直接删除，trashId 为 null。删除非空目录需要 recursive=true，并先用 dryRun=true 预览，再带上预览返回的 confirmToken（5分钟内有效）确认删除
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: 要删除的文件名或目录名
+ *               namespace:
+ *                 type: string
+ *                 description: 命名空间（可选）
+ *               category:
+ *                 type: string
+ *                 description: 文件分类（可选）
+ *               parentNamespace:
+ *                 type: string
+ *                 description: 父命名空间（可选）
+ *               recursive:
+ *                 type: boolean
+ *                 description: 是否递归删除非空目录（可选）
+ *               dryRun:
+ *                 type: boolean
+ *                 description: 只预览将被删除的文件和总大小，不做修改（可选）
+ *               confirmToken:
+ *                 type: string
+ *                 description: 预览返回的确认令牌（递归删除非空目录时必填）
+ *     responses:
+ *       200:
+ *         description: 删除成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "文件删除成功", "type": "file", "name": "xxx.jpg", "trashId": "3f2a9c0d1e4b5a67" }
+ *       400:
+ *         description: 请求错误（如目录不为空、路径参数不合法）
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 目标不存在
+ *       409:
+ *         description: 确认令牌无效、已过期或目录内容在预览后发生变化
+ *       500:
+ *         description: 删除时发生错误
+ */
+// 递归删除确认令牌的签名密钥（仅在本进程内有效）和有效期
+const deleteConfirmSecret = crypto.randomBytes(32);
+const DELETE_CONFIRM_TTL = 5 * 60 * 1000;
+
+/**
+ * 递归列出目录中的所有文件
+ * @param {string} dirPath - 目录的绝对路径
+ * @returns {Promise<Array<{path: string, size: number}>>} 文件相对于上传目录的路径和大小
+ */
+async function listDirectoryFiles(dirPath) {
+  const files = [];
+  await storage.walk(toUploadRelativePath(dirPath), async (file) => {
+    files.push({ path: file.path, size: (await file.stat()).size });
+  });
+  return files;
+}
+
+// 签名内容包含目录路径、文件数量和总大小，预览后目录内容变化会导致令牌失效
+function signDeleteConfirm(relativePath, fileCount, totalBytes, expiresAt) {
+  return crypto
+    .createHmac("sha256", deleteConfirmSecret)
+    .update(`${relativePath}\n${fileCount}\n${totalBytes}\n${expiresAt}`)
+    .digest("hex");
+}
+
+/**
+ * 为递归删除的预览结果生成确认令牌
+ * @returns {{token: string, expiresAt: string}} 令牌和过期时间
+ */
+function createDeleteConfirmToken(relativePath, fileCount, totalBytes) {
+  const expiresAt = Date.now() + DELETE_CONFIRM_TTL;
+  const signature = signDeleteConfirm(relativePath, fileCount, totalBytes, expiresAt);
+  return { token: `${expiresAt}.${signature}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * 校验确认令牌：未过期且与当前目录内容一致
+ * @returns {boolean} 是否有效
+ */
+function verifyDeleteConfirmToken(token, relativePath, fileCount, totalBytes) {
+  const [expiresAt, signature] = String(token).split(".");
+  if (!signature || Number(expiresAt) < Date.now()) {
+    return false;
+  }
+  const expected = signDeleteConfirm(relativePath, fileCount, totalBytes, Number(expiresAt));
+  return signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+// 删除文件接口
+app.delete("/delete", authenticateToken, permissions.requirePermission("delete"), async (req, res) => {
+  try {
+    const { name, namespace, category, parentNamespace, confirmToken } = req.body;
+    const recursive = req.body.recursive === true || req.body.recursive === "true";
+    const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+
+    if (!name) {
+      return res.status(400).json({ error: "请提供要删除的名称" });
+    }
+
+    const targetPath = await resolveTargetPath({ name, namespace, category, parentNamespace });
+    if (!canAccessPath(req.user, "delete", targetPath)) {
+      return sendPermissionDenied(res, "delete", targetPath);
+    }
+
+    const relativePath = toUploadRelativePath(targetPath);
+    const stats = await storage.stat(relativePath);
+    if (!stats) {
+      return res
+        .status(404)
+        .json({
+          error: "目标不存在",
+          name,
+          namespace,
           category,
           parentNamespace,
         });
     }
 
-    const stats = await fs.stat(targetPath);
-
-    if (stats.isFile()) {
-      await fs.unlink(targetPath);
-      res.json({
-        code: 200,
-        message: "文件删除成功",
-        type: "file",
-        name,
-        namespace: namespace || parentNamespace || null,
-        category: category || null,
-      });
-    } else if (stats.isDirectory()) {
-      const items = await fs.readdir(targetPath);
-      if (items.length > 0) {
-        return res
-          .status(400)
-          .json({
-            error: "目录不为空，无法删除",
-            type: "directory",
-            name,
-            namespace: namespace || parentNamespace || null,
-            category: category || null,
-            itemCount: items.length,
-          });
-      }
-      await fs.rmdir(targetPath);
-      res.json({
-        code: 200,
-        message: "目录删除成功",
-        type: "directory",
-        name,
-        namespace: namespace || parentNamespace || null,
-        category: category || null,
-      });
+    // 预览：返回将被删除的全部文件和总大小，不做任何修改
+    if (dryRun) {
+      const files = stats.isDirectory
+        ? await listDirectoryFiles(targetPath)
+        : [{ path: relativePath, size: stats.size }];
+      const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+      const confirm = createDeleteConfirmToken(relativePath, files.length, totalBytes);
+      return res.json({
+        code: 200,
+        message: "删除预览成功",
+        dryRun: true,
+        type: stats.isDirectory ? "directory" : "file",
+        name,
+        path: relativePath,
+        fileCount: files.length,
+        totalBytes,
+        files,
+        confirmToken: confirm.token,
+        confirmExpiresAt: confirm.expiresAt,
+      });
+    }
+
+    const deletedBy = req.user.userId || null;
+
+    if (stats.isFile) {
+      // 本地存储移入回收站，彻底删除时才释放文件内容
+      const { trashId } = await removeStoredPath(relativePath, { deletedBy });
+      res.json({
+        code: 200,
+        message: "文件删除成功",
+        type: "file",
+        name,
+        namespace: namespace || parentNamespace || null,
+        category: category || null,
+        trashId,
+      });
+      notifyWebhooks("file.deleted", {
+        type: "file",
+        url: buildPublicUrl(relativePath),
+        path: relativePath,
+        category: category || null,
+        namespace: namespace || parentNamespace || null,
+        trashId,
+        userId: deletedBy,
+      });
+    } else if (stats.isDirectory) {
+      const items = (await storage.list(relativePath)) || [];
+      if (items.length > 0 && !recursive) {
+        return res
+          .status(400)
+          .json({
+            error: "目录不为空，无法删除",
+            type: "directory",
+            name,
+            namespace: namespace || parentNamespace || null,
+            category: category || null,
+            itemCount: items.length,
+          });
+      }
+      // 递归删除非空目录必须先预览，并带上预览返回的确认令牌
+      if (items.length > 0) {
+        if (!confirmToken) {
+          return res.status(400).json({
+            error: "递归删除需要先使用 dryRun 预览并提供确认令牌",
+            type: "directory",
+            name,
+          });
+        }
+        const files = await listDirectoryFiles(targetPath);
+        const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+        if (!verifyDeleteConfirmToken(confirmToken, relativePath, files.length, totalBytes)) {
+          return res.status(409).json({
+            error: "确认令牌无效、已过期或目录内容已变化，请重新预览",
+            type: "directory",
+            name,
+            fileCount: files.length,
+            totalBytes,
+          });
+        }
+      }
+      const { trashId } = await removeStoredPath(relativePath, { deletedBy });
+      res.json({
+        code: 200,
+        message: "目录删除成功",
+        type: "directory",
+        name,
+        namespace: namespace || parentNamespace || null,
+        category: category || null,
+        trashId,
+      });
+      notifyWebhooks("directory.deleted", {
+        type: "directory",
+        url: buildPublicUrl(relativePath),
+        path: relativePath,
+        category: category || null,
+        namespace: namespace || parentNamespace || null,
+        trashId,
+        userId: deletedBy,
+      });
+    }
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    logger.error("删除操作失败:", { error: err.message, stack: err.stack, name: req.body.name });
+    res.status(500).json({ error: "删除时发生错误" });
+  }
+});
+
+// 重命名、移动和复制接口共用的源位置参数说明
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FileLocation:
+ *       type: object
+ *       required: [name]
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: 文件名或目录名
+ *         namespace:
+ *           type: string
+ *           description: 所在命名空间（可选）
+ *         category:
+ *           type: string
+ *           description: 所在分类（可选）
+ *         parentNamespace:
+ *           type: string
+ *           description: 所在父命名空间（可选）
+ */
+
+/**
+ * 解析移动/复制的目标目录，与上传接口一致：优先按分类，其次按命名空间
+ * @returns {Promise<string|null>} 目标目录，未指定时返回 null
+ */
+async function resolveDestinationDir({ targetCategory, targetNamespace }) {
+  if (!targetCategory && !targetNamespace) {
+    return null;
+  }
+  return getFullStoragePath(targetCategory, targetNamespace, "", "");
+}
+
+/**
+ * 在目录中解析新名称对应的路径，新名称只能是单个文件名，不能借此移动到其他目录
+ * @param {string} dir - 所在目录（绝对路径）
+ * @param {string} newName - 新名称
+ * @returns {Promise<string>} 新名称对应的绝对路径
+ * @throws {InvalidPathError} 新名称包含路径分隔符或不合法
+ */
+async function resolveNewNamePath(dir, newName) {
+  if (typeof newName !== "string" || /[\\/]/.test(newName)) {
+    throw new InvalidPathError("新名称不能包含路径分隔符", "newName");
+  }
+  return resolveUploadPath({ dir: toUploadRelativePath(dir), newName });
+}
+
+/**
+ * @swagger
+ * /file/rename:
+ *   put:
+ *     summary: 重命名文件或目录（需要认证）
+ *     description: 在原目录中重命名，新名称已存在时按上传规则添加时间戳
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/FileLocation'
+ *               - type: object
+ *                 required: [newName]
+ *                 properties:
+ *                   newName:
+ *                     type: string
+ *                     description: 新名称
+ *     responses:
+ *       200:
+ *         description: 重命名成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "重命名成功", "type": "file", "name": "new.jpg", "from": "images/old.jpg", "to": "images/new.jpg", "url": "https://files.example.com/images/new.jpg" }
+ *       400:
+ *         description: 缺少参数或路径参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 目标不存在
+ *       413:
+ *         description: 重命名后会超出目标命名空间的存储配额
+ *       500:
+ *         description: 重命名时发生错误
+ *       501:
+ *         description: 当前存储驱动不支持该操作
+ */
+app.put("/file/rename", authenticateToken, requireLocalStorage, permissions.requirePermission("upload"), async (req, res) => {
+  try {
+    const { name, namespace, category, parentNamespace, newName } = req.body;
+    if (!name || !newName) {
+      return res.status(400).json({ error: "请提供原名称和新名称" });
+    }
+
+    const sourcePath = await resolveTargetPath({ name, namespace, category, parentNamespace });
+    if (!canAccessPath(req.user, "upload", sourcePath)) {
+      return sendPermissionDenied(res, "upload", sourcePath);
+    }
+    if (!(await fileExists(sourcePath))) {
+      return res.status(404).json({ error: "目标不存在", name, namespace, category, parentNamespace });
+    }
+
+    const dir = path.dirname(sourcePath);
+    await resolveNewNamePath(dir, newName);
+    const finalName = await getUniqueFileName(dir, newName);
+    const destPath = path.join(dir, finalName);
+    const stats = await fs.stat(sourcePath);
+    const from = toUploadRelativePath(sourcePath);
+    const to = toUploadRelativePath(destPath);
+    // 重命名命名空间目录本身时会改变它所属的配额
+    await quota.trackChange({ source: from, removed: from, target: to }, async () => {
+      await fs.rename(sourcePath, destPath);
+      await metadata.moveFileMetadata(from, to);
+    });
+
+    res.json({
+      code: 200,
+      message: "重命名成功",
+      type: stats.isDirectory() ? "directory" : "file",
+      name: finalName,
+      from,
+      to,
+      url: buildPublicUrl(to),
+    });
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    if (err instanceof quota.QuotaExceededError) {
+      return res.status(413).json(quotaErrorBody(err));
+    }
+    logger.error("重命名失败:", { error: err.message, stack: err.stack, name: req.body.name, newName: req.body.newName });
+    res.status(500).json({ error: "重命名时发生错误" });
+  }
+});
+
+/**
+ * 权限不足时单个条目的失败结果，内容与 sendPermissionDenied 的响应一致
+ */
+function permissionFailure(ability, targetPath) {
+  return { status: 403, error: "权限不足", ability, path: toUploadRelativePath(targetPath) };
+}
+
+/**
+ * 解析并校验移动或复制的源和目标，不做任何修改
+ * @param {object} user - 请求的用户
+ * @param {string} operation - move 或 copy
+ * @param {object} params - name、namespace、category、parentNamespace、targetNamespace、targetCategory、newName
+ * @returns {Promise<object>} 校验失败时为 { failure: { status, error, ... } }，否则为 { sourcePath, destDir, isDirectory, newName }
+ * @throws {InvalidPathError} 路径参数不合法
+ */
+async function prepareTransfer(user, operation, params) {
+  const { name, namespace, category, parentNamespace, targetNamespace, targetCategory, newName } = params;
+  if (!name) {
+    return { failure: { status: 400, error: "请提供要操作的名称" } };
+  }
+
+  // 移动会从原位置删除，需要删除权限；复制只需要读取权限
+  const sourceAbility = operation === "move" ? "delete" : "read";
+  const sourcePath = await resolveTargetPath({ name, namespace, category, parentNamespace });
+  if (!canAccessPath(user, sourceAbility, sourcePath)) {
+    return { failure: permissionFailure(sourceAbility, sourcePath) };
+  }
+  if (!(await fileExists(sourcePath))) {
+    return { failure: { status: 404, error: "目标不存在", name, namespace, category, parentNamespace } };
+  }
+
+  const destDir = await resolveDestinationDir({ targetCategory, targetNamespace });
+  if (!destDir) {
+    return { failure: { status: 400, error: "请提供目标命名空间或分类" } };
+  }
+  if (!canAccessPath(user, "upload", destDir)) {
+    return { failure: permissionFailure("upload", destDir) };
+  }
+
+  // 目录不能移动或复制到自身内部
+  const stats = await fs.stat(sourcePath);
+  if (stats.isDirectory() && (destDir === sourcePath || destDir.startsWith(sourcePath + path.sep))) {
+    return { failure: { status: 400, error: "不能把目录移动或复制到自身内部", name } };
+  }
+
+  if (newName !== undefined) {
+    await resolveNewNamePath(destDir, newName);
+  }
+  return { sourcePath, destDir, isDirectory: stats.isDirectory(), newName };
+}
+
+/**
+ * 执行 prepareTransfer 校验过的移动或复制，目标位置有同名文件时添加时间戳
+ * @param {string} operation - move 或 copy
+ * @param {object} plan - prepareTransfer 的结果
+ * @returns {Promise<object>} { finalName, destPath }
+ * @throws {QuotaExceededError} 移入或复制后会超出目标命名空间的配额
+ */
+async function executeTransfer(operation, { sourcePath, destDir, newName }) {
+  await ensureDirectoryExists(destDir);
+  const finalName = await getUniqueFileName(destDir, newName || path.basename(sourcePath));
+  const destPath = path.join(destDir, finalName);
+  const from = toUploadRelativePath(sourcePath);
+  const to = toUploadRelativePath(destPath);
+
+  await quota.trackChange({ source: from, removed: operation === "move" ? from : null, target: to }, async () => {
+    if (operation === "move") {
+      await fs.rename(sourcePath, destPath);
+      await metadata.moveFileMetadata(from, to);
+    } else {
+      await objectStore.copyReference(sourcePath, destPath);
+      await metadata.copyFileMetadata(from, to);
+    }
+  });
+  return { finalName, destPath };
+}
+
+/**
+ * 移动和复制接口的公共处理：解析源和目标，生成不冲突的目标路径后执行操作
+ * @param {string} operation - move 或 copy
+ */
+function transferHandler(operation) {
+  const labels = operation === "move"
+    ? { success: "移动成功", failure: "移动时发生错误", log: "移动失败:" }
+    : { success: "复制成功", failure: "复制时发生错误", log: "复制失败:" };
+
+  return async (req, res) => {
+    try {
+      const plan = await prepareTransfer(req.user, operation, req.body);
+      if (plan.failure) {
+        const { status, ...body } = plan.failure;
+        return res.status(status).json(body);
+      }
+
+      const { finalName, destPath } = await executeTransfer(operation, plan);
+      const to = toUploadRelativePath(destPath);
+      res.json({
+        code: 200,
+        message: labels.success,
+        type: plan.isDirectory ? "directory" : "file",
+        name: finalName,
+        from: toUploadRelativePath(plan.sourcePath),
+        to,
+        url: buildPublicUrl(to),
+      });
+    } catch (err) {
+      if (err instanceof InvalidPathError) {
+        return res.status(400).json({ error: err.message, param: err.param });
+      }
+      if (err instanceof quota.QuotaExceededError) {
+        return res.status(413).json(quotaErrorBody(err));
+      }
+      logger.error(labels.log, { error: err.message, stack: err.stack, name: req.body.name });
+      res.status(500).json({ error: labels.failure });
+    }
+  };
+}
+
+/**
+ * @swagger
+ * /file/move:
+ *   put:
+ *     summary: 移动文件或目录（需要认证）
+ *     description: 在分类和命名空间之间移动，可同时重命名。目标位置已有同名文件时按上传规则添加时间戳
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/FileLocation'
+ *               - type: object
+ *                 properties:
+ *                   targetNamespace:
+ *                     type: string
+ *                     description: 目标命名空间（与targetCategory二选一）
+ *                   targetCategory:
+ *                     type: string
+ *                     description: 目标分类（优先于targetNamespace）
+ *                   newName:
+ *                     type: string
+ *                     description: 新名称（可选）
+ *     responses:
+ *       200:
+ *         description: 移动成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "移动成功", "type": "file", "name": "xxx.jpg", "from": "images/xxx.jpg", "to": "blog/xxx.jpg", "url": "https://files.example.com/blog/xxx.jpg" }
+ *       400:
+ *         description: 缺少参数、路径参数不合法或把目录移动到自身内部
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 目标不存在
+ *       413:
+ *         description: 移入后会超出目标命名空间的存储配额
+ *       500:
+ *         description: 移动时发生错误
+ *       501:
+ *         description: 当前存储驱动不支持该操作
+ */
+app.put("/file/move", authenticateToken, requireLocalStorage, permissions.requirePermission("upload"), transferHandler("move"));
+
+/**
+ * @swagger
+ * /file/copy:
+ *   post:
+ *     summary: 复制文件或目录（需要认证）
+ *     description: 参数与移动接口相同。复制的文件与原文件共享内容，不占用额外空间
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/FileLocation'
+ *               - type: object
+ *                 properties:
+ *                   targetNamespace:
+ *                     type: string
+ *                     description: 目标命名空间（与targetCategory二选一）
+ *                   targetCategory:
+ *                     type: string
+ *                     description: 目标分类（优先于targetNamespace）
+ *                   newName:
+ *                     type: string
+ *                     description: 新名称（可选）
+ *     responses:
+ *       200:
+ *         description: 复制成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "复制成功", "type": "file", "name": "xxx.jpg", "from": "images/xxx.jpg", "to": "blog/xxx.jpg", "url": "https://files.example.com/blog/xxx.jpg" }
+ *       400:
+ *         description: 缺少参数、路径参数不合法或把目录复制到自身内部
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 目标不存在
+ *       413:
+ *         description: 复制后会超出目标命名空间的存储配额
+ *       500:
+ *         description: 复制时发生错误
+ *       501:
+ *         description: 当前存储驱动不支持该操作
+ */
+app.post("/file/copy", authenticateToken, requireLocalStorage, permissions.requirePermission("upload"), transferHandler("copy"));
+
+// 批量删除和批量移动一次最多处理的条目数
+const MAX_BATCH_ITEMS = 1000;
+
+/**
+ * 解析批量操作的请求体：items 为条目列表，transactional 为 true 时全部成功或全部失败
+ * @returns {object} { items, transactional } 或 { error }
+ */
+function parseBatchRequest(body) {
+  const { items } = body;
+  if (!Array.isArray(items) || items.length === 0) {
+    return { error: "请提供要操作的条目列表" };
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    return { error: `一次最多操作${MAX_BATCH_ITEMS}个条目` };
+  }
+  const transactional = body.transactional === true || body.transactional === "true";
+  return { items, transactional };
+}
+
+/**
+ * 校验批量操作中的单个条目，路径参数不合法时转换为失败结果
+ * @param {*} item - 请求中的条目
+ * @param {Function} prepare - 校验函数，返回 { failure } 或操作计划
+ * @returns {Promise<object>} { failure } 或操作计划
+ */
+async function prepareBatchItem(item, prepare) {
+  if (!item || typeof item !== "object" || Array.isArray(item)) {
+    return { failure: { status: 400, error: "条目必须是对象" } };
+  }
+  try {
+    return await prepare(item);
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return { failure: { status: 400, error: err.message, param: err.param } };
+    }
+    throw err;
+  }
+}
+
+// 批量操作的汇总响应
+function sendBatchSummary(res, message, transactional, results) {
+  const succeeded = results.filter((result) => result.success).length;
+  res.json({
+    code: 200,
+    message,
+    transactional,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded,
+    results,
+  });
+}
+
+/**
+ * 校验要删除的条目，规则与删除接口一致：非空目录需要 recursive 和预览返回的确认令牌
+ * @param {object} user - 请求的用户
+ * @param {object} item - name、namespace、category、parentNamespace、recursive、confirmToken
+ * @param {boolean} dryRun - 是否只预览（预览时不检查确认令牌）
+ * @returns {Promise<object>} { failure } 或 { targetPath, relativePath, stats }
+ */
+async function prepareDeleteItem(user, item, dryRun) {
+  const { name, namespace, category, parentNamespace, confirmToken } = item;
+  const recursive = item.recursive === true || item.recursive === "true";
+  if (!name) {
+    return { failure: { status: 400, error: "请提供要删除的名称" } };
+  }
+
+  const targetPath = await resolveTargetPath({ name, namespace, category, parentNamespace });
+  if (!canAccessPath(user, "delete", targetPath)) {
+    return { failure: permissionFailure("delete", targetPath) };
+  }
+  const relativePath = toUploadRelativePath(targetPath);
+  const stats = await storage.stat(relativePath);
+  if (!stats) {
+    return { failure: { status: 404, error: "目标不存在", name, namespace, category, parentNamespace } };
+  }
+
+  if (stats.isDirectory && !dryRun) {
+    const entries = (await storage.list(relativePath)) || [];
+    if (entries.length > 0 && !recursive) {
+      return { failure: { status: 400, error: "目录不为空，无法删除", itemCount: entries.length } };
+    }
+    if (entries.length > 0) {
+      if (!confirmToken) {
+        return { failure: { status: 400, error: "递归删除需要先使用 dryRun 预览并提供确认令牌" } };
+      }
+      const files = await listDirectoryFiles(targetPath);
+      const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+      if (!verifyDeleteConfirmToken(confirmToken, relativePath, files.length, totalBytes)) {
+        return {
+          failure: { status: 409, error: "确认令牌无效、已过期或目录内容已变化，请重新预览", fileCount: files.length, totalBytes },
+        };
+      }
+    }
+  }
+  return { targetPath, relativePath, stats };
+}
+
+/**
+ * @swagger
+ * /delete/batch:
+ *   delete:
+ *     summary: 批量删除文件或目录（需要认证）
+ *     description: |
+ *       一次删除多个条目，每个条目的参数与 /delete 相同（各自指定 namespace、category 或 parentNamespace），逐个返回结果。
+ *       非空目录同样需要 recursive 和确认令牌：先用 dryRun 预览，预览结果中包含每个条目的 confirmToken。
+ *       默认尽量删除，失败的条目不影响其他条目；transactional 为 true 时先校验全部条目，任何一个不通过时不做任何修改，
+ *       删除过程中出错时从回收站恢复已删除的条目（只支持本地存储）
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: 要删除的条目，最多1000个
+ *                 items:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/FileLocation'
+ *                     - type: object
+ *                       properties:
+ *                         recursive:
+ *                           type: boolean
+ *                         confirmToken:
+ *                           type: string
+ *               dryRun:
+ *                 type: boolean
+ *                 description: 只预览，返回每个条目将被删除的文件和确认令牌
+ *               transactional:
+ *                 type: boolean
+ *                 description: 为 true 时全部成功或全部失败，默认 false
+ *           example: { "items": [{ "name": "a.jpg", "namespace": "blog" }, { "name": "old", "parentNamespace": "blog", "recursive": true, "confirmToken": "1736294400.3f2a..." }], "transactional": true }
+ *     responses:
+ *       200:
+ *         description: 批量删除完成（尽量删除时可能包含失败的条目）
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "批量删除完成", "transactional": false, "total": 2, "succeeded": 1, "failed": 1, "results": [{ "index": 0, "success": true, "type": "file", "path": "blog/a.jpg", "trashId": "a1b2c3d4e5f60718" }, { "index": 1, "success": false, "status": 404, "error": "目标不存在", "name": "b.jpg" }] }
+ *       400:
+ *         description: 缺少条目列表，或 transactional 模式下某个条目不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效、当前角色没有该操作的权限，或 transactional 模式下某个条目没有权限
+ *       404:
+ *         description: transactional 模式下某个条目不存在
+ *       409:
+ *         description: transactional 模式下某个条目的确认令牌无效
+ *       500:
+ *         description: 批量删除时发生错误
+ *       501:
+ *         description: 当前存储驱动不支持 transactional 模式
+ */
+// 批量删除接口
+app.delete("/delete/batch", authenticateToken, permissions.requirePermission("delete"), async (req, res) => {
+  const { items, transactional, error } = parseBatchRequest(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const dryRun = req.body.dryRun === true || req.body.dryRun === "true";
+  // 删除无法撤销的存储驱动不支持事务
+  if (transactional && !dryRun && storage.name !== "local") {
+    return res.status(501).json({ error: "当前存储驱动不支持事务模式的批量删除", driver: storage.name });
+  }
+
+  const deletedBy = req.user.userId || null;
+  const results = [];
+  const removed = [];
+  try {
+    if (dryRun) {
+      for (const [index, item] of items.entries()) {
+        const plan = await prepareBatchItem(item, (entry) => prepareDeleteItem(req.user, entry, true));
+        if (plan.failure) {
+          results.push({ index, success: false, ...plan.failure });
+          continue;
+        }
+        const files = plan.stats.isDirectory
+          ? await listDirectoryFiles(plan.targetPath)
+          : [{ path: plan.relativePath, size: plan.stats.size }];
+        const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+        const confirm = createDeleteConfirmToken(plan.relativePath, files.length, totalBytes);
+        results.push({
+          index,
+          success: true,
+          type: plan.stats.isDirectory ? "directory" : "file",
+          path: plan.relativePath,
+          fileCount: files.length,
+          totalBytes,
+          files,
+          confirmToken: confirm.token,
+          confirmExpiresAt: confirm.expiresAt,
+        });
+      }
+      return sendBatchSummary(res, "批量删除预览成功", transactional, results);
+    }
+
+    // 事务模式下先校验全部条目，任何一个不通过时不做任何修改
+    const plans = [];
+    for (const [index, item] of items.entries()) {
+      const plan = await prepareBatchItem(item, (entry) => prepareDeleteItem(req.user, entry, false));
+      if (transactional && plan.failure) {
+        return res.status(plan.failure.status).json({
+          error: "批量删除失败，未做任何修改",
+          transactional,
+          failedIndex: index,
+          failure: plan.failure,
+        });
+      }
+      plans.push(plan);
+      if (transactional) continue;
+
+      // 尽量删除：逐个校验并删除，前面的删除会影响后面条目的校验结果
+      if (plan.failure) {
+        results.push({ index, success: false, ...plan.failure });
+        continue;
+      }
+      const { trashId } = await removeStoredPath(plan.relativePath, { deletedBy });
+      results.push({ index, success: true, type: plan.stats.isDirectory ? "directory" : "file", path: plan.relativePath, trashId });
+    }
+
+    if (transactional) {
+      for (const [index, plan] of plans.entries()) {
+        try {
+          const { trashId } = await removeStoredPath(plan.relativePath, { deletedBy });
+          removed.push({ plan, trashId });
+          results.push({ index, success: true, type: plan.stats.isDirectory ? "directory" : "file", path: plan.relativePath, trashId });
+        } catch (err) {
+          // 同一个条目出现两次，或者目录和其中的文件都在列表中
+          if (err.code !== "ENOENT") throw err;
+          await restoreRemovedItems(removed);
+          return res.status(404).json({
+            error: "批量删除失败，已恢复全部条目",
+            transactional,
+            failedIndex: index,
+            failure: { status: 404, error: "目标不存在", path: plan.relativePath },
+          });
+        }
+      }
+    }
+
+    logger.info("批量删除完成", { total: items.length, succeeded: results.filter((r) => r.success).length, userId: deletedBy });
+    sendBatchSummary(res, "批量删除完成", transactional, results);
+  } catch (err) {
+    logger.error("批量删除失败:", { error: err.message, stack: err.stack, processed: results.length });
+    if (transactional) {
+      await restoreRemovedItems(removed);
+    }
+    res.status(500).json({ error: "批量删除时发生错误", processed: results.length });
+  }
+});
+
+/**
+ * 把事务模式中已删除的条目从回收站恢复到原位置（倒序，先恢复后删除的条目）
+ * @param {object[]} removed - [{ plan, trashId }]
+ */
+async function restoreRemovedItems(removed) {
+  for (const { plan, trashId } of [...removed].reverse()) {
+    try {
+      const entry = await trash.getTrashEntry(trashId);
+      await quota.trackChange({ size: entry?.size ?? 0, target: plan.relativePath, enforce: false }, () =>
+        trash.restoreFromTrash(trashId, plan.targetPath)
+      );
+    } catch (err) {
+      logger.error("恢复批量删除的条目失败:", { error: err.message, trashId, path: plan.relativePath });
+    }
+  }
+}
+
+/**
+ * @swagger
+ * /file/move/batch:
+ *   put:
+ *     summary: 批量移动文件或目录（需要认证）
+ *     description: |
+ *       一次移动多个条目，每个条目的参数与 /file/move 相同（各自指定源位置、targetNamespace 或 targetCategory、newName），逐个返回结果。
+ *       默认尽量移动，失败的条目不影响其他条目；transactional 为 true 时先校验全部条目，任何一个不通过时不做任何修改，
+ *       移动过程中出错时把已移动的条目移回原位置
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: 要移动的条目，最多1000个
+ *                 items:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/FileLocation'
+ *                     - type: object
+ *                       properties:
+ *                         targetNamespace:
+ *                           type: string
+ *                         targetCategory:
+ *                           type: string
+ *                         newName:
+ *                           type: string
+ *               transactional:
+ *                 type: boolean
+ *                 description: 为 true 时全部成功或全部失败，默认 false
+ *           example: { "items": [{ "name": "a.jpg", "category": "images", "targetNamespace": "blog/2024" }, { "name": "b.jpg", "category": "images", "targetNamespace": "blog/2024" }], "transactional": true }
+ *     responses:
+ *       200:
+ *         description: 批量移动完成（尽量移动时可能包含失败的条目）
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "批量移动完成", "transactional": true, "total": 1, "succeeded": 1, "failed": 0, "results": [{ "index": 0, "success": true, "type": "file", "name": "a.jpg", "from": "images/a.jpg", "to": "blog/2024/a.jpg", "url": "https://files.example.com/blog/2024/a.jpg" }] }
+ *       400:
+ *         description: 缺少条目列表，或 transactional 模式下某个条目不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效、当前角色没有该操作的权限，或 transactional 模式下某个条目没有权限
+ *       404:
+ *         description: transactional 模式下某个条目不存在
+ *       413:
+ *         description: transactional 模式下某个条目移入后会超出目标命名空间的存储配额，已撤销全部移动（尽量移动时在该条目的结果中返回）
+ *       500:
+ *         description: 批量移动时发生错误
+ *       501:
+ *         description: 当前存储驱动不支持该操作
+ */
+// 批量移动接口
+app.put("/file/move/batch", authenticateToken, requireLocalStorage, permissions.requirePermission("upload"), async (req, res) => {
+  const { items, transactional, error } = parseBatchRequest(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const results = [];
+  const moved = [];
+  const moveItem = async (index, plan) => {
+    const { finalName, destPath } = await executeTransfer("move", plan);
+    moved.push({ sourcePath: plan.sourcePath, destPath });
+    const to = toUploadRelativePath(destPath);
+    results.push({
+      index,
+      success: true,
+      type: plan.isDirectory ? "directory" : "file",
+      name: finalName,
+      from: toUploadRelativePath(plan.sourcePath),
+      to,
+      url: buildPublicUrl(to),
+    });
+  };
+
+  try {
+    const plans = [];
+    for (const [index, item] of items.entries()) {
+      const plan = await prepareBatchItem(item, (entry) => prepareTransfer(req.user, "move", entry));
+      if (transactional && plan.failure) {
+        return res.status(plan.failure.status).json({
+          error: "批量移动失败，未做任何修改",
+          transactional,
+          failedIndex: index,
+          failure: plan.failure,
+        });
+      }
+      plans.push(plan);
+      if (transactional) continue;
+
+      if (plan.failure) {
+        results.push({ index, success: false, ...plan.failure });
+        continue;
+      }
+      try {
+        await moveItem(index, plan);
+      } catch (err) {
+        if (!(err instanceof quota.QuotaExceededError)) throw err;
+        results.push({ index, success: false, status: 413, ...quotaErrorBody(err) });
+      }
+    }
+
+    if (transactional) {
+      for (const [index, plan] of plans.entries()) {
+        try {
+          await moveItem(index, plan);
+        } catch (err) {
+          if (err instanceof quota.QuotaExceededError) {
+            await rollbackMovedItems(moved);
+            return res.status(413).json({
+              error: "批量移动失败，已撤销全部移动",
+              transactional,
+              failedIndex: index,
+              failure: { status: 413, ...quotaErrorBody(err) },
+            });
+          }
+          // 前面的条目已经移走了这个条目（例如同时移动了目录和其中的文件）
+          if (err.code !== "ENOENT") throw err;
+          await rollbackMovedItems(moved);
+          return res.status(404).json({
+            error: "批量移动失败，已撤销全部移动",
+            transactional,
+            failedIndex: index,
+            failure: { status: 404, error: "目标不存在", path: toUploadRelativePath(plan.sourcePath) },
+          });
+        }
+      }
+    }
+
+    logger.info("批量移动完成", { total: items.length, succeeded: results.filter((r) => r.success).length, userId: req.user.userId });
+    sendBatchSummary(res, "批量移动完成", transactional, results);
+  } catch (err) {
+    logger.error("批量移动失败:", { error: err.message, stack: err.stack, processed: results.length });
+    if (transactional) {
+      await rollbackMovedItems(moved);
+    }
+    res.status(500).json({ error: "批量移动时发生错误", processed: results.length });
+  }
+});
+
+/**
+ * 把事务模式中已移动的条目移回原位置（倒序，先撤销后移动的条目）
+ * @param {object[]} moved - [{ sourcePath, destPath }]
+ */
+async function rollbackMovedItems(moved) {
+  for (const { sourcePath, destPath } of [...moved].reverse()) {
+    try {
+      await ensureDirectoryExists(path.dirname(sourcePath));
+      const from = toUploadRelativePath(destPath);
+      const to = toUploadRelativePath(sourcePath);
+      // 撤销时不检查配额，条目原本就在那里
+      await quota.trackChange({ source: from, removed: from, target: to, enforce: false }, async () => {
+        await fs.rename(destPath, sourcePath);
+        await metadata.moveFileMetadata(from, to);
+      });
+    } catch (err) {
+      logger.error("撤销批量移动失败:", { error: err.message, from: toUploadRelativePath(destPath), to: toUploadRelativePath(sourcePath) });
+    }
+  }
+}
+
+
+/**
+ * @swagger
+ * /trash:
+ *   get:
+ *     summary: 获取回收站列表（需要认证）
+ *     description: 列出回收站中的条目，最近删除的在前。条目会在保留天数（TRASH_RETENTION_DAYS，默认30天）后被自动彻底删除
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取回收站列表成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "获取回收站列表成功", "items": [{ "id": "3f2a9c0d1e4b5a67", "name": "xxx.jpg", "originalPath": "images/xxx.jpg", "type": "file", "size": 1024, "deletedAt": "2025-01-01T00:00:00.000Z", "deletedBy": "1" }], "retentionDays": 30 }
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 获取回收站列表时发生错误
+ *       501:
+ *         description: 当前存储驱动不支持该操作
+ */
+app.get("/trash", authenticateToken, requireLocalStorage, permissions.requirePermission("delete"), async (req, res) => {
+  try {
+    // 只返回当前用户有删除权限的位置中被删除的条目
+    const items = (await trash.listTrash()).filter((entry) =>
+      permissions.canAccess(req.user, "delete", entry.originalPath)
+    );
+    res.json({
+      code: 200,
+      message: "获取回收站列表成功",
+      items,
+      retentionDays: TRASH_RETENTION_DAYS,
+    });
+  } catch (err) {
+    logger.error("获取回收站列表失败:", { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "获取回收站列表时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /trash/restore:
+ *   post:
+ *     summary: 从回收站恢复（需要认证）
+ *     description: 恢复到删除前的位置，原位置已有同名文件时添加时间戳
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [id]
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: 回收站条目ID
+ *     responses:
+ *       200:
+ *         description: 恢复成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "恢复成功", "id": "3f2a9c0d1e4b5a67", "type": "file", "name": "xxx.jpg", "originalPath": "images/xxx.jpg", "restoredPath": "images/xxx.jpg" }
+ *       400:
+ *         description: 缺少条目ID或原位置不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 回收站条目不存在
+ *       413:
+ *         description: 恢复后会超出所在命名空间的存储配额
+ *       500:
+ *         description: 恢复时发生错误
+ *       501:
+ *         description: 当前存储驱动不支持该操作
+ */
+app.post("/trash/restore", authenticateToken, requireLocalStorage, permissions.requirePermission("delete"), async (req, res) => {
+  try {
+    const { id } = req.body;
+    if (!id) {
+      return res.status(400).json({ error: "请提供回收站条目ID" });
+    }
+
+    const entry = await trash.getTrashEntry(id);
+    if (!entry) {
+      return res.status(404).json({ error: "回收站条目不存在", id });
+    }
+    if (!permissions.canAccess(req.user, "delete", entry.originalPath)) {
+      return res.status(403).json({ error: "权限不足", ability: "delete", path: entry.originalPath });
+    }
+
+    // 原位置可能已被占用，按上传时的规则生成不冲突的名称
+    const originalPath = await resolveUploadPath({ originalPath: entry.originalPath });
+    const destDir = path.dirname(originalPath);
+    const restoredName = await getUniqueFileName(destDir, entry.name);
+    const restoredPath = path.join(destDir, restoredName);
+    await quota.trackChange({ size: entry.size, target: toUploadRelativePath(restoredPath) }, () =>
+      trash.restoreFromTrash(id, restoredPath)
+    );
+
+    res.json({
+      code: 200,
+      message: "恢复成功",
+      id,
+      type: entry.type,
+      name: restoredName,
+      originalPath: entry.originalPath,
+      restoredPath: toUploadRelativePath(restoredPath),
+    });
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    if (err instanceof quota.QuotaExceededError) {
+      return res.status(413).json(quotaErrorBody(err));
+    }
+    logger.error("恢复回收站条目失败:", { error: err.message, stack: err.stack, id: req.body.id });
+    res.status(500).json({ error: "恢复时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /trash/{id}:
+ *   delete:
+ *     summary: 彻底删除回收站条目（需要认证）
+ *     description: 彻底删除后无法恢复，不再被引用的文件内容会被释放
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 彻底删除成功
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 回收站条目不存在
+ *       500:
+ *         description: 彻底删除时发生错误
+ *       501:
+ *         description: 当前存储驱动不支持该操作
+ */
+app.delete("/trash/:id", authenticateToken, requireLocalStorage, permissions.requirePermission("delete"), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const entry = await trash.getTrashEntry(id);
+    if (!entry) {
+      return res.status(404).json({ error: "回收站条目不存在", id });
+    }
+    if (!permissions.canAccess(req.user, "delete", entry.originalPath)) {
+      return res.status(403).json({ error: "权限不足", ability: "delete", path: entry.originalPath });
+    }
+
+    await trash.purgeTrashEntry(id);
+    res.json({ code: 200, message: "彻底删除成功", id, name: entry.name, originalPath: entry.originalPath });
+  } catch (err) {
+    logger.error("彻底删除回收站条目失败:", { error: err.message, stack: err.stack, id: req.params.id });
+    res.status(500).json({ error: "彻底删除时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /trash:
+ *   delete:
+ *     summary: 清空回收站（需要认证）
+ *     description: 彻底删除回收站中的所有条目，无法恢复
+ *     tags: [Trash]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 清空成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "回收站已清空", "purged": 3 }
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 清空回收站时发生错误
+ *       501:
+ *         description: 当前存储驱动不支持该操作
+ */
+app.delete("/trash", authenticateToken, requireLocalStorage, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    const purged = await trash.emptyTrash();
+    res.json({ code: 200, message: "回收站已清空", purged });
+  } catch (err) {
+    logger.error("清空回收站失败:", { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "清空回收站时发生错误" });
+  }
+});
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const listSortFields = ["name", "size", "mtime", "birthtime"];
+
+// 列表和搜索接口共用的分页参数
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     Page:
+ *       in: query
+ *       name: page
+ *       schema:
+ *         type: integer
+ *         default: 1
+ *       description: 页码，从1开始
+ *     PageSize:
+ *       in: query
+ *       name: pageSize
+ *       schema:
+ *         type: integer
+ *         default: 50
+ *         maximum: 200
+ *       description: 每页数量
+ */
+
+/**
+ * 解析分页参数
+ * @param {object} query - 请求查询参数
+ * @returns {{page: number, pageSize: number}|null} 参数不合法时返回 null
+ */
+function parsePagination(query) {
+  const page = Number(query.page ?? 1);
+  const pageSize = Number(query.pageSize ?? DEFAULT_PAGE_SIZE);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return null;
+  }
+  return { page, pageSize };
+}
+
+/**
+ * 读取目录中的一页条目：先按类型和扩展名筛选、排序、分页，只对返回的条目调用 stat
+ * 按大小或时间排序时必须读取所有条目的 stat（对象存储在列出时已经返回了大小和时间）
+ * @param {string} dir - 目录路径
+ * @param {object} options - { sort, order, type, extensions, page, pageSize, skip }，page 为 null 时返回全部条目
+ * @returns {Promise<{total: number, entries: object[]}>} entries 中每项为 { item, itemPath, stats }，item 为 { name, isDirectory }
+ */
+async function listDirectoryPage(dir, options) {
+  const { sort, order, type, extensions, page, pageSize, skip } = options;
+  const relativeDir = toUploadRelativePath(dir);
+  let entries = ((await storage.list(relativeDir)) || [])
+    .filter((item) => !skip || !skip(item))
+    .filter((item) => !type || (type === "directory") === item.isDirectory)
+    .filter((item) => !extensions || (!item.isDirectory && extensions.includes(path.extname(item.name).toLowerCase())))
+    .map((item) => ({ item, itemPath: path.join(dir, item.name), stats: item.stats }));
+
+  const loadStats = async (entry) => {
+    entry.stats = entry.stats || (await storage.stat(toUploadRelativePath(entry.itemPath)));
+  };
+  if (sort !== "name") {
+    for (const entry of entries) {
+      await loadStats(entry);
+    }
+  }
+
+  const direction = order === "desc" ? -1 : 1;
+  entries.sort((a, b) => {
+    const result =
+      sort === "name"
+        ? a.item.name.localeCompare(b.item.name)
+        : a.stats[sort] - b.stats[sort] || a.item.name.localeCompare(b.item.name);
+    return result * direction;
+  });
+
+  const total = entries.length;
+  if (page) {
+    entries = entries.slice((page - 1) * pageSize, page * pageSize);
+  }
+  for (const entry of entries) {
+    await loadStats(entry);
+  }
+  return { total, entries };
+}
+
+/**
+ * 解析 /files 的排序、筛选和分页参数
+ * @param {object} query - 请求查询参数
+ * @returns {{options?: object, error?: string}} 参数不合法时返回错误信息
+ */
+function parseListOptions(query) {
+  const { sort = "name", order = "asc", type, ext } = query;
+  if (!listSortFields.includes(sort)) {
+    return { error: `排序字段必须是 ${listSortFields.join("、")} 之一` };
+  }
+  if (order !== "asc" && order !== "desc") {
+    return { error: "排序方向必须是 asc 或 desc" };
+  }
+  if (type !== undefined && type !== "file" && type !== "directory") {
+    return { error: "类型必须是 file 或 directory" };
+  }
+  if (ext !== undefined && typeof ext !== "string") {
+    return { error: "扩展名必须是字符串" };
+  }
+  // 只有传了 page 或 pageSize 时才分页，兼容不分页的旧客户端
+  let pagination = { page: null, pageSize: null };
+  if (query.page !== undefined || query.pageSize !== undefined) {
+    pagination = parsePagination(query);
+    if (!pagination) {
+      return { error: `页码必须是正整数，每页数量为1到${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  // 扩展名支持逗号分隔的多个值，可带或不带点
+  const extensions = ext
+    ? ext.split(",").map((item) => item.trim().toLowerCase()).filter(Boolean).map((item) => (item.startsWith(".") ? item : `.${item}`))
+    : null;
+  return { options: { sort, order, type, extensions, ...pagination } };
+}
+
+/**
+ * 把上传时记录的元数据合并到文件列表项中（没有记录时保持原样）
+ * @param {object} fileItem - 文件列表项
+ * @param {object|null} record - 文件元数据
+ * @returns {object} 文件列表项
+ */
+function applyFileMetadata(fileItem, record) {
+  if (record) {
+    fileItem.originalName = record.originalName;
+    fileItem.mimetype = record.detectedType || record.mimetype;
+    fileItem.hash = record.hash;
+    fileItem.uploadedBy = { userId: record.userId, userType: record.userType };
+  }
+  return fileItem;
+}
+
+/**
+ * @swagger
+ * /files:
+ *   get:
+ *     summary: 获取文件列表（需要认证）
+ *     description: 获取指定命名空间或分类下的文件和目录列表，有上传记录的文件附带原始文件名、类型、哈希和上传者。传入 page 或 pageSize 时分页返回并附带 total、page、pageSize、totalPages（未传的一项使用默认值），都不传时返回全部条目。分页且按名称排序时只读取当前页条目的文件信息
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: namespace
+ *         schema:
+ *           type: string
+ *         description: 命名空间（与category二选一）
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [images, videos, audios, codes, documents, archives, fonts, others]
+ *         description: 文件分类（与namespace二选一）
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, size, mtime, birthtime]
+ *           default: name
+ *         description: 排序字段
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: 排序方向
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [file, directory]
+ *         description: 只返回文件或只返回目录
+ *       - in: query
+ *         name: ext
+ *         schema:
+ *           type: string
+ *         description: 只返回指定扩展名的文件，多个用逗号分隔，例如 jpg,png
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *     responses:
+ *       200:
+ *         description: 获取文件列表成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "获取文件列表成功", "items": [{ "name": "xxx.jpg", "isDirectory": false, "size": 1024 }], "total": 1, "page": 1, "pageSize": 50, "totalPages": 1 }
+ *       400:
+ *         description: 路径参数不合法（如包含 ..、绝对路径或空字节）
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 目录不存在
+ *       500:
+ *         description: 获取文件列表时发生错误
+ */
+// 获取文件列表接口
+app.get("/files", authenticateToken, permissions.requirePermission("read"), async (req, res) => {
+  try {
+    const { namespace, category } = req.query;
+    const { options, error } = parseListOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // 不分页时保持原来的响应格式
+    const pageInfo = (total) =>
+      options.page
+        ? { total, page: options.page, pageSize: options.pageSize, totalPages: Math.ceil(total / options.pageSize) }
+        : {};
+
+    if (!namespace && !category) {
+      const { total, entries } = await listDirectoryPage(baseUploadDir, {
+        ...options,
+        // 不显示临时目录、内部存储目录和当前用户无权读取的目录
+        skip: (item) =>
+          item.name === "temp" ||
+          item.name.startsWith(".") ||
+          !permissions.canAccess(req.user, "read", item.name),
+      });
+      const result = entries.map(({ item, stats }) => ({
+        name: item.name,
+        isDirectory: item.isDirectory,
+        type: item.isDirectory ? "namespace" : "file",
+        size: stats.size,
+        mtime: stats.mtime,
+        birthtime: stats.birthtime,
+      }));
+      return res.json({
+        code: 200,
+        message: "获取根目录内容成功",
+        items: result,
+        ...pageInfo(total),
+      });
+    }
+
+    const targetDir = await getFullStoragePath(category, namespace, "", "");
+    if (!canAccessPath(req.user, "read", targetDir)) {
+      return sendPermissionDenied(res, "read", targetDir);
+    }
+    const dirStats = await storage.stat(toUploadRelativePath(targetDir));
+    if (!dirStats) {
+      return res.status(404).json({ error: "目录不存在", namespace, category });
+    }
+
+    const { total, entries } = await listDirectoryPage(targetDir, options);
+    const fileItems = [];
+
+    for (const { item, itemPath, stats } of entries) {
+      const fileItem = {
+        name: item.name,
+        isDirectory: item.isDirectory,
+        size: stats.size,
+        mtime: stats.mtime,
+        birthtime: stats.birthtime,
+        category: !namespace ? category : null,
+        namespace: namespace || null,
+      };
+      if (!item.isDirectory) {
+        applyFileMetadata(fileItem, await metadata.getFileMetadata(toUploadRelativePath(itemPath)));
+      }
+      fileItems.push(fileItem);
+    }
+
+    res.json({
+      code: 200,
+      message: "获取文件列表成功",
+      items: fileItems,
+      ...pageInfo(total),
+      directoryInfo: {
+        name: namespace || category,
+        size: dirStats.size,
+        mtime: dirStats.mtime,
+        birthtime: dirStats.birthtime,
+      },
+      namespace,
+      category,
+    });
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    logger.error("获取文件列表失败:", { error: err.message, stack: err.stack, namespace: req.query.namespace, category: req.query.category });
+    res.status(500).json({ error: "获取文件列表时发生错误" });
+  }
+});
+
+/**
+ * 把文件名通配符（* 和 ?）转换为不区分大小写的正则表达式
+ * @param {string} pattern - 通配符模式，例如 *.pdf
+ * @returns {RegExp} 匹配完整文件名的正则
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") return ".*";
+      if (char === "?") return ".";
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, "i");
+}
+
+// 解析可选的非负数查询参数，未提供时返回 undefined，不合法时返回 NaN
+function parseOptionalNumber(value) {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : NaN;
+}
+
+// 解析可选的日期查询参数，未提供时返回 undefined，不合法时返回 NaN
+function parseOptionalDate(value) {
+  if (value === undefined || value === "") return undefined;
+  return typeof value === "string" ? new Date(value).getTime() : NaN;
+}
+
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: 搜索文件（需要认证）
+ *     description: 在所有命名空间和分类中递归搜索文件，按修改时间倒序分页返回，结果项与 /files 相同并附带 path 和 url
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: 文件名包含的关键字（不区分大小写）
+ *       - in: query
+ *         name: glob
+ *         schema:
+ *           type: string
+ *         description: 文件名通配符，支持 * 和 ?，例如 *.pdf
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [images, videos, audios, codes, documents, archives, fonts, others]
+ *         description: 文件分类（按文件类型判断，与所在目录无关）
+ *       - in: query
+ *         name: namespace
+ *         schema:
+ *           type: string
+ *         description: 只搜索该命名空间（含子目录）
+ *       - in: query
+ *         name: minSize
+ *         schema:
+ *           type: integer
+ *         description: 最小文件大小（字节）
+ *       - in: query
+ *         name: maxSize
+ *         schema:
+ *           type: integer
+ *         description: 最大文件大小（字节）
+ *       - in: query
+ *         name: modifiedAfter
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 修改时间不早于该时间
+ *       - in: query
+ *         name: modifiedBefore
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: 修改时间不晚于该时间
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/PageSize'
+ *     responses:
+ *       200:
+ *         description: 搜索成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "搜索成功", "items": [{ "name": "report.pdf", "isDirectory": false, "size": 1024, "category": "documents", "namespace": "docs", "path": "docs/report.pdf", "url": "https://files.example.com/docs/report.pdf" }], "total": 1, "page": 1, "pageSize": 50, "totalPages": 1 }
+ *       400:
+ *         description: 查询参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 命名空间不存在
+ *       500:
+ *         description: 搜索文件时发生错误
+ */
+// 搜索文件接口
+app.get("/search", authenticateToken, permissions.requirePermission("read"), async (req, res) => {
+  try {
+    const { q, glob, category, namespace } = req.query;
+    if ((q !== undefined && typeof q !== "string") || (glob !== undefined && typeof glob !== "string")) {
+      return res.status(400).json({ error: "搜索关键字必须是字符串" });
+    }
+    if (category && !Object.keys(fileCategories).includes(category)) {
+      return res.status(400).json({ error: "无效的分类", category });
+    }
+
+    const minSize = parseOptionalNumber(req.query.minSize);
+    const maxSize = parseOptionalNumber(req.query.maxSize);
+    if (Number.isNaN(minSize) || Number.isNaN(maxSize)) {
+      return res.status(400).json({ error: "文件大小必须是非负数" });
+    }
+    const modifiedAfter = parseOptionalDate(req.query.modifiedAfter);
+    const modifiedBefore = parseOptionalDate(req.query.modifiedBefore);
+    if (Number.isNaN(modifiedAfter) || Number.isNaN(modifiedBefore)) {
+      return res.status(400).json({ error: "无效的日期格式" });
+    }
+
+    const pagination = parsePagination(req.query);
+    if (!pagination) {
+      return res.status(400).json({ error: `页码必须是正整数，每页数量为1到${MAX_PAGE_SIZE}` });
+    }
+    const { page, pageSize } = pagination;
+
+    const rootDir = namespace ? await resolveUploadPath({ namespace }) : baseUploadDir;
+    if (namespace && !canAccessPath(req.user, "read", rootDir)) {
+      return sendPermissionDenied(res, "read", rootDir);
+    }
+    if (!(await storageExists(rootDir))) {
+      return res.status(404).json({ error: "命名空间不存在", namespace });
+    }
+
+    const keyword = q ? q.toLowerCase() : null;
+    const namePattern = glob ? globToRegExp(glob) : null;
+    const matches = [];
+
+    // 遍历时跳过符号链接，根目录下跳过临时目录和内部存储目录
+    await storage.walk(toUploadRelativePath(rootDir), async (item) => {
+      if (keyword && !item.name.toLowerCase().includes(keyword)) return;
+      if (namePattern && !namePattern.test(item.name)) return;
+
+      const stats = await item.stat();
+      if (minSize !== undefined && stats.size < minSize) return;
+      if (maxSize !== undefined && stats.size > maxSize) return;
+      if (modifiedAfter !== undefined && stats.mtime.getTime() < modifiedAfter) return;
+      if (modifiedBefore !== undefined && stats.mtime.getTime() > modifiedBefore) return;
+
+      const relativePath = item.path;
+      // 只授权了部分命名空间的用户从根目录搜索时，跳过无权读取的文件
+      if (!permissions.canAccess(req.user, "read", relativePath)) return;
+      const record = await metadata.getFileMetadata(relativePath);
+      const fileCategory = getFileCategory(record?.detectedType || record?.mimetype || "", item.name);
+      if (category && fileCategory !== category) return;
+
+      const parentPath = path.posix.dirname(relativePath);
+      matches.push(
+        applyFileMetadata(
+          {
+            name: item.name,
+            isDirectory: false,
+            size: stats.size,
+            mtime: stats.mtime,
+            birthtime: stats.birthtime,
+            category: fileCategory,
+            namespace: parentPath === "." ? null : parentPath,
+            path: relativePath,
+            url: buildPublicUrl(relativePath),
+          },
+          record
+        )
+      );
+    });
+
+    matches.sort((a, b) => b.mtime - a.mtime);
+    const start = (page - 1) * pageSize;
+
+    res.json({
+      code: 200,
+      message: "搜索成功",
+      items: matches.slice(start, start + pageSize),
+      total: matches.length,
+      page,
+      pageSize,
+      totalPages: Math.ceil(matches.length / pageSize),
+    });
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    logger.error("搜索文件失败:", { error: err.message, stack: err.stack, query: req.query });
+    res.status(500).json({ error: "搜索文件时发生错误" });
+  }
+});
+
+// 一次最多选择的文件和目录数量
+const ZIP_MAX_SELECTION = 1000;
+
+/**
+ * 收集要打包的文件，目录会递归展开；跳过当前用户无权读取的文件
+ * @param {object} user - 请求的用户
+ * @param {string} baseDir - 压缩包内路径的起点（相对路径），根目录为空字符串
+ * @param {string[]} targetPaths - 要打包的文件或目录（相对路径）
+ * @returns {Promise<object[]>} [{ path, name, mtime }]，name 为压缩包内的路径
+ */
+async function collectZipEntries(user, baseDir, targetPaths) {
+  const entries = new Map();
+  const addEntry = (relativePath, stats) => {
+    if (!permissions.canAccess(user, "read", relativePath)) return;
+    const name = baseDir ? relativePath.slice(baseDir.length + 1) : relativePath;
+    entries.set(relativePath, { path: relativePath, name, mtime: stats.mtime });
+  };
+
+  for (const targetPath of targetPaths) {
+    const stats = await storage.stat(targetPath);
+    if (stats.isFile) {
+      addEntry(targetPath, stats);
+      continue;
+    }
+    await storage.walk(targetPath, async (item) => addEntry(item.path, await item.stat()));
+  }
+  // 选择的目录和其中的文件重叠时只打包一次
+  return [...entries.values()];
+}
+
+/**
+ * 边读取边压缩，把文件逐个写入响应，不在磁盘上生成压缩包
+ * @param {object} res - 响应对象
+ * @param {string} archiveName - 下载的文件名
+ * @param {object[]} entries - collectZipEntries 的结果
+ */
+async function streamZip(res, archiveName, entries) {
+  const archive = archiver("zip", { zlib: { level: 6 } });
+  // 客户端断开时停止读取剩余的文件
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) {
+      controller.abort();
+      archive.abort();
+    }
+  });
+  archive.on("warning", (err) => {
+    logger.warn("打包文件时出现警告", { error: err.message, archiveName });
+  });
+
+  const encodedName = encodeURIComponent(archiveName);
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Disposition", `attachment; filename="${encodedName}"; filename*=UTF-8''${encodedName}`);
+  res.setHeader("Cache-Control", "private, no-store");
+  archive.pipe(res);
+
+  try {
+    for (const entry of entries) {
+      let stream;
+      try {
+        stream = await storage.createReadStream(entry.path);
+      } catch (err) {
+        // 收集列表之后被删除的文件直接跳过
+        if (err.status === 404) continue;
+        throw err;
+      }
+      // 等上一个文件写完再打开下一个，同一时间只读取一个文件
+      const added = once(archive, "entry", { signal: controller.signal });
+      archive.append(stream, { name: entry.name, date: entry.mtime || undefined });
+      await added;
+    }
+    await archive.finalize();
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    throw err;
+  }
+}
+
+/**
+ * @swagger
+ * /download/zip:
+ *   post:
+ *     summary: 打包下载（需要认证）
+ *     description: |
+ *       把整个命名空间/分类，或者其中选择的文件和目录打包为 ZIP 下载。压缩包边读取边生成，不占用服务器磁盘空间。
+ *       压缩包内保留子目录结构，路径相对于 namespace/category（都不提供时相对于上传根目录），文件名使用 UTF-8 编码。
+ *       当前用户无权读取的文件会被跳过
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               namespace:
+ *                 type: string
+ *                 description: 命名空间（与category二选一）
+ *               category:
+ *                 type: string
+ *                 description: 文件分类（与namespace二选一）
+ *               files:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 要打包的文件或目录，相对于 namespace/category，不提供时打包整个目录
+ *           example: { "namespace": "docs", "files": ["报告.pdf", "images"] }
+ *     responses:
+ *       200:
+ *         description: ZIP 文件流
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: 参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 文件或目录不存在
+ *       500:
+ *         description: 打包下载时发生错误
+ */
+// 打包下载接口
+app.post("/download/zip", authenticateToken, permissions.requirePermission("read"), async (req, res) => {
+  try {
+    const { namespace, category, files } = req.body;
+    if (files === undefined && !namespace && !category) {
+      return res.status(400).json({ error: "请提供命名空间、分类或文件列表" });
+    }
+    if (
+      files !== undefined &&
+      (!Array.isArray(files) || files.length === 0 || files.some((file) => typeof file !== "string" || !file))
+    ) {
+      return res.status(400).json({ error: "文件列表必须是非空的字符串数组" });
+    }
+    if (files && files.length > ZIP_MAX_SELECTION) {
+      return res.status(400).json({ error: `一次最多选择${ZIP_MAX_SELECTION}个文件或目录` });
+    }
+
+    const baseDir = namespace || category ? await getFullStoragePath(category, namespace, "", "") : baseUploadDir;
+    const resolvedPaths = files
+      ? await Promise.all(files.map((file) => resolveUploadPath({ dir: toUploadRelativePath(baseDir), file })))
+      : [baseDir];
+
+    const targetPaths = [];
+    for (const targetPath of resolvedPaths) {
+      if (!canAccessPath(req.user, "read", targetPath)) {
+        return sendPermissionDenied(res, "read", targetPath);
+      }
+      const relativePath = toUploadRelativePath(targetPath);
+      if (!(await storage.stat(relativePath))) {
+        return res.status(404).json({ error: "文件或目录不存在", path: relativePath });
+      }
+      targetPaths.push(relativePath);
+    }
+
+    const baseRelativeDir = toUploadRelativePath(baseDir);
+    const entries = await collectZipEntries(req.user, baseRelativeDir, targetPaths);
+    const archiveName = `${path.posix.basename(baseRelativeDir) || "files"}.zip`;
+    logger.info("开始打包下载", { path: baseRelativeDir, fileCount: entries.length, userId: req.user.userId });
+    await streamZip(res, archiveName, entries);
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    logger.error("打包下载失败:", { error: err.message, stack: err.stack, namespace: req.body.namespace, category: req.body.category });
+    // 已经开始发送压缩包时只能中断连接，客户端会收到不完整的文件
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    res.status(500).json({ error: "打包下载时发生错误" });
+  }
+});
+
+const TREE_DEFAULT_DEPTH = 3;
+const TREE_MAX_DEPTH = 10;
+
+/**
+ * 构建目录树节点，统计数据包含所有层级，children 只展开到指定深度
+ * @param {string} dirPath - 目录路径
+ * @param {number} depth - 剩余可展开的层数
+ * @returns {Promise<object>} 目录节点
+ */
+async function buildDirectoryTree(dirPath, depth) {
+  const stats = await fs.stat(dirPath);
+  const relativePath = toUploadRelativePath(dirPath);
+  const node = {
+    name: relativePath ? path.basename(dirPath) : "",
+    path: relativePath,
+    mtime: stats.mtime,
+    fileCount: 0, // 当前目录下的文件数
+    directoryCount: 0, // 当前目录下的子目录数
+    totalFileCount: 0, // 包含所有子目录的文件数
+    totalSize: 0, // 包含所有子目录的文件大小
+    children: depth > 0 ? [] : undefined,
+  };
+
+  const items = await fs.readdir(dirPath, { withFileTypes: true });
+  for (const item of items) {
+    // 根目录下不显示临时目录和内部存储目录
+    if (dirPath === baseUploadDir && (item.name === "temp" || item.name.startsWith("."))) continue;
+    const itemPath = path.join(dirPath, item.name);
+
+    if (item.isDirectory()) {
+      const child = await buildDirectoryTree(itemPath, depth - 1);
+      node.directoryCount++;
+      node.totalFileCount += child.totalFileCount;
+      node.totalSize += child.totalSize;
+      if (node.children) node.children.push(child);
+    } else if (item.isFile()) {
+      const fileStats = await fs.stat(itemPath);
+      node.fileCount++;
+      node.totalFileCount++;
+      node.totalSize += fileStats.size;
+    }
+  }
+
+  if (node.children) {
+    node.children.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  return node;
+}
+
+/**
+ * @swagger
+ * /tree:
+ *   get:
+ *     summary: 获取目录树（需要认证）
+ *     description: 返回命名空间下的完整目录层级（只包含目录），每个节点附带文件数和文件总大小。统计包含所有层级，超过 depth 的节点不返回 children
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: namespace
+ *         schema:
+ *           type: string
+ *         description: 根命名空间，支持多级（如 blog/2024），不提供时从上传根目录开始
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *           minimum: 0
+ *           maximum: 10
+ *         description: 展开的子目录层数，0 表示只返回根节点的统计
+ *     responses:
+ *       200:
+ *         description: 获取目录树成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "获取目录树成功", "depth": 3, "tree": { "name": "blog", "path": "blog", "fileCount": 1, "directoryCount": 1, "totalFileCount": 3, "totalSize": 3072, "children": [{ "name": "avatars", "path": "blog/avatars", "fileCount": 2, "directoryCount": 0, "totalFileCount": 2, "totalSize": 2048, "children": [] }] } }
+ *       400:
+ *         description: 参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 命名空间不存在
+ *       500:
+ *         description: 获取目录树时发生错误
+ *       501:
+ *         description: 当前存储驱动不支持该操作
+ */
+// 获取目录树接口
+app.get("/tree", authenticateToken, requireLocalStorage, permissions.requirePermission("read"), async (req, res) => {
+  try {
+    const { namespace } = req.query;
+    const depth = Number(req.query.depth ?? TREE_DEFAULT_DEPTH);
+    if (!Number.isInteger(depth) || depth < 0 || depth > TREE_MAX_DEPTH) {
+      return res.status(400).json({ error: `展开层数必须是0到${TREE_MAX_DEPTH}之间的整数` });
+    }
+
+    const rootDir = namespace ? await resolveUploadPath({ namespace }) : baseUploadDir;
+    if (!canAccessPath(req.user, "read", rootDir)) {
+      return sendPermissionDenied(res, "read", rootDir);
+    }
+    const rootStats = await fs.stat(rootDir).catch(() => null);
+    if (!rootStats || !rootStats.isDirectory()) {
+      return res.status(404).json({ error: "命名空间不存在", namespace });
+    }
+
+    res.json({
+      code: 200,
+      message: "获取目录树成功",
+      depth,
+      tree: await buildDirectoryTree(rootDir, depth),
+    });
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    logger.error("获取目录树失败:", { error: err.message, stack: err.stack, namespace: req.query.namespace });
+    res.status(500).json({ error: "获取目录树时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /quota:
+ *   get:
+ *     summary: 查询存储用量和配额（需要认证）
+ *     description: 返回当前用户的用量和配额，以及当前用户可读取的、已配置配额的命名空间用量。用户用量按上传记录累计，回收站中的文件在彻底删除前仍计入。未配置配额时 limit 和 remaining 为 null
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *         description: 查询指定用户（需要管理权限），默认为当前用户
+ *     responses:
+ *       200:
+ *         description: 获取配额成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "获取配额成功", "user": { "key": "1", "limit": 10737418240, "used": 1048576, "remaining": 10736369664 }, "namespaces": [{ "key": "blog", "limit": 1073741824, "used": 2048, "remaining": 1073739776 }] }
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 获取配额时发生错误
+ */
+// 查询存储配额接口
+app.get("/quota", authenticateToken, permissions.requirePermission("read"), async (req, res) => {
+  try {
+    const userId = req.query.userId === undefined ? req.user.userId || null : String(req.query.userId);
+    if (userId !== (req.user.userId || null) && !permissions.hasGlobalAbility(req.user, "admin")) {
+      return res.status(403).json({ error: "权限不足", ability: "admin", userType: req.user.userType || null });
+    }
+
+    const namespaces = (await quota.listNamespaceQuotas()).filter((item) =>
+      permissions.canAccess(req.user, "read", item.key)
+    );
+    res.json({
+      code: 200,
+      message: "获取配额成功",
+      user: await quota.getUserQuota(userId),
+      namespaces,
+    });
+  } catch (err) {
+    logger.error("获取配额失败:", { error: err.message, stack: err.stack, userId: req.query.userId });
+    res.status(500).json({ error: "获取配额时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /namespace/private:
+ *   get:
+ *     summary: 获取私有命名空间列表（需要管理权限）
+ *     description: 私有命名空间（含子目录）中的文件不能直接访问，只能通过 /file/sign 生成的签名链接访问
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 获取成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "获取私有命名空间成功", "namespaces": ["contracts", "hr/payroll"] }
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 获取私有命名空间时发生错误
+ *   put:
+ *     summary: 把命名空间标记为私有或公开（需要管理权限）
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [namespace, private]
+ *             properties:
+ *               namespace:
+ *                 type: string
+ *                 description: 命名空间或分类目录，支持多级（如 hr/payroll）
+ *               private:
+ *                 type: boolean
+ *                 description: true 标记为私有，false 恢复公开
+ *     responses:
+ *       200:
+ *         description: 设置成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "已标记为私有", "namespace": "contracts", "private": true, "namespaces": ["contracts"] }
+ *       400:
+ *         description: 参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 设置私有命名空间时发生错误
+ */
+// 私有命名空间接口
+app.get("/namespace/private", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    res.json({
+      code: 200,
+      message: "获取私有命名空间成功",
+      namespaces: await signedUrl.listPrivateNamespaces(),
+    });
+  } catch (err) {
+    logger.error("获取私有命名空间失败:", { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "获取私有命名空间时发生错误" });
+  }
+});
+
+app.put("/namespace/private", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    const { namespace } = req.body;
+    const isPrivate = req.body.private;
+    if (!namespace) {
+      return res.status(400).json({ error: "请提供命名空间" });
+    }
+    if (typeof isPrivate !== "boolean") {
+      return res.status(400).json({ error: "private 必须是布尔值" });
+    }
+
+    // 命名空间不要求已存在，可以先标记为私有再上传
+    const namespacePath = await resolveUploadPath({ namespace });
+    const key = toUploadRelativePath(namespacePath);
+    if (!key) {
+      return res.status(400).json({ error: "不能把上传根目录标记为私有" });
+    }
+
+    const namespaces = await signedUrl.setNamespacePrivate(key, isPrivate);
+    logger.info(isPrivate ? "命名空间已标记为私有" : "命名空间已恢复公开", { namespace: key, userId: req.user.userId });
+    res.json({
+      code: 200,
+      message: isPrivate ? "已标记为私有" : "已恢复公开",
+      namespace: key,
+      private: isPrivate,
+      namespaces,
+    });
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    logger.error("设置私有命名空间失败:", { error: err.message, stack: err.stack, namespace: req.body.namespace });
+    res.status(500).json({ error: "设置私有命名空间时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /file/sign:
+ *   post:
+ *     summary: 生成带签名的临时访问链接（需要认证）
+ *     description: 为文件生成带 HMAC 签名和过期时间的链接，私有命名空间中的文件只能通过这种链接访问
+ *     tags: [File]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [filename]
+ *             properties:
+ *               filename:
+ *                 type: string
+ *                 description: 文件名
+ *               namespace:
+ *                 type: string
+ *                 description: 命名空间（与category二选一）
+ *               category:
+ *                 type: string
+ *                 description: 文件分类（与namespace二选一）
+ *               expiresIn:
+ *                 type: integer
+ *                 default: 3600
+ *                 maximum: 604800
+ *                 description: 有效期（秒），最长7天
+ *     responses:
+ *       200:
+ *         description: 生成成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "签名链接生成成功", "url": "https://files.example.com/contracts/a.pdf?expires=1735689600&signature=3q2-7w", "expiresAt": "2025-01-01T00:00:00.000Z", "private": true }
+ *       400:
+ *         description: 参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 文件不存在
+ *       500:
+ *         description: 生成签名链接时发生错误
+ */
+// 生成签名链接接口
+app.post("/file/sign", authenticateToken, permissions.requirePermission("read"), async (req, res) => {
+  try {
+    const { filename, namespace, category } = req.body;
+    const expiresIn = Number(req.body.expiresIn ?? signedUrl.DEFAULT_EXPIRES_IN);
+    if (!filename || (!namespace && !category)) {
+      return res.status(400).json({ error: "请提供文件名和命名空间或分类" });
+    }
+    if (!Number.isInteger(expiresIn) || expiresIn < 1 || expiresIn > signedUrl.MAX_EXPIRES_IN) {
+      return res.status(400).json({ error: `有效期必须是1到${signedUrl.MAX_EXPIRES_IN}秒之间的整数` });
+    }
+
+    const filePath = category
+      ? await resolveUploadPath({ category, filename })
+      : await resolveUploadPath({ namespace, filename });
+    if (!canAccessPath(req.user, "read", filePath)) {
+      return sendPermissionDenied(res, "read", filePath);
+    }
+    const stats = await storage.stat(toUploadRelativePath(filePath));
+    if (!stats || !stats.isFile) {
+      return res.status(404).json({ error: "文件不存在", filename, namespace, category });
+    }
+
+    const relativePath = toUploadRelativePath(filePath);
+    const { expires, signature } = signedUrl.createSignature(relativePath, expiresIn);
+    res.json({
+      code: 200,
+      message: "签名链接生成成功",
+      url: `${buildPublicUrl(relativePath)}?expires=${expires}&signature=${signature}`,
+      expiresAt: new Date(expires * 1000).toISOString(),
+      private: await signedUrl.isPrivatePath(relativePath),
+    });
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    logger.error("生成签名链接失败:", { error: err.message, stack: err.stack, filename: req.body.filename });
+    res.status(500).json({ error: "生成签名链接时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /share:
+ *   post:
+ *     summary: 创建分享链接（需要认证）
+ *     description: 为单个文件（提供 filename）或整个命名空间/分类创建分享链接。链接使用随机ID，可设置密码、有效期和最大下载次数
+ *     tags: [Share]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               namespace:
+ *                 type: string
+ *                 description: 命名空间（与category二选一）
+ *               category:
+ *                 type: string
+ *                 description: 文件分类（与namespace二选一）
+ *               filename:
+ *                 type: string
+ *                 description: 文件名，不提供时分享整个目录
+ *               password:
+ *                 type: string
+ *                 description: 访问密码（可选）
+ *               expiresIn:
+ *                 type: integer
+ *                 description: 有效期（秒），不提供时永久有效
+ *               maxDownloads:
+ *                 type: integer
+ *                 description: 最大下载次数，不提供时不限制
+ *     responses:
+ *       200:
+ *         description: 创建成功
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "分享链接创建成功", "url": "https://files.example.com/share/q1w2e3r4t5y6u7i8o9p0aa", "share": { "id": "q1w2e3r4t5y6u7i8o9p0aa", "path": "docs/a.pdf", "type": "file", "hasPassword": true, "expiresAt": "2025-01-08T00:00:00.000Z", "maxDownloads": 10, "downloads": 0, "active": true } }
+ *       400:
+ *         description: 参数不合法
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       404:
+ *         description: 文件或目录不存在
+ *       500:
+ *         description: 创建分享链接时发生错误
+ */
+// 创建分享链接接口
+app.post("/share", authenticateToken, permissions.requirePermission("read"), async (req, res) => {
+  try {
+    const { namespace, category, filename, password } = req.body;
+    if (!namespace && !category) {
+      return res.status(400).json({ error: "请提供命名空间或分类" });
+    }
+    if (password !== undefined && password !== null && typeof password !== "string") {
+      return res.status(400).json({ error: "密码必须是字符串" });
+    }
+    const expiresIn = req.body.expiresIn == null ? null : Number(req.body.expiresIn);
+    if (expiresIn !== null && (!Number.isInteger(expiresIn) || expiresIn < 1)) {
+      return res.status(400).json({ error: "有效期必须是正整数（秒）" });
+    }
+    const maxDownloads = req.body.maxDownloads == null ? null : Number(req.body.maxDownloads);
+    if (maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+      return res.status(400).json({ error: "最大下载次数必须是正整数" });
+    }
+
+    const dir = await getFullStoragePath(category, namespace, "", "");
+    const targetPath = filename ? await resolveUploadPath({ dir: toUploadRelativePath(dir), filename }) : dir;
+    if (!canAccessPath(req.user, "read", targetPath)) {
+      return sendPermissionDenied(res, "read", targetPath);
     }
+    const stats = await storage.stat(toUploadRelativePath(targetPath));
+    if (!stats || (filename ? !stats.isFile : !stats.isDirectory)) {
+      return res.status(404).json({ error: filename ? "文件不存在" : "目录不存在", namespace, category, filename });
+    }
+
+    const share = await shares.createShare({
+      path: toUploadRelativePath(targetPath),
+      type: filename ? "file" : "directory",
+      password,
+      expiresIn,
+      maxDownloads,
+      createdBy: req.user.userId || null,
+    });
+    logger.info("分享链接已创建", { id: share.id, path: share.path, userId: req.user.userId });
+    res.json({
+      code: 200,
+      message: "分享链接创建成功",
+      url: buildPublicUrl(`share/${share.id}`),
+      share,
+    });
   } catch (err) {
-    logger.error("删除操作失败:", { error: err.message, stack: err.stack, name: req.body.name });
-    res.status(500).json({ error: "删除时发生错误" });
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
+    logger.error("创建分享链接失败:", { error: err.message, stack: err.stack, namespace: req.body.namespace, filename: req.body.filename });
+    res.status(500).json({ error: "创建分享链接时发生错误" });
   }
 });
 
 /**
  * @swagger
- * /files:
+ * /shares:
  *   get:
- *     summary: 获取文件列表（需要认证）
- *     description: 获取指定命名空间或分类下的文件和目录列表
- *     tags: [File]
+ *     summary: 获取分享链接列表（需要管理权限）
+ *     tags: [Share]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: namespace
- *         schema:
- *           type: string
- *         description: 命名空间（与category二选一）
- *       - in: query
- *         name: category
+ *         name: active
  *         schema:
  *           type: string
- *           enum: [images, videos, audios, codes, documents, archives, fonts, others]
- *         description: 文件分类（与namespace二选一）
+ *           enum: ["1"]
+ *         description: 为 1 时只返回仍然有效（未过期、下载次数未用完）的分享
  *     responses:
  *       200:
- *         description: 获取文件列表成功
+ *         description: 获取成功
  *         content:
  *           application/json:
- *             example: { "code": 200, "message": "获取文件列表成功", "items": [{ "name": "xxx.jpg", "isDirectory": false, "size": 1024 }] }
+ *             example: { "code": 200, "message": "获取分享列表成功", "items": [{ "id": "q1w2e3r4t5y6u7i8o9p0aa", "path": "docs/a.pdf", "type": "file", "hasPassword": false, "downloads": 3, "active": true }] }
+ *       401:
+ *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
+ *       500:
+ *         description: 获取分享列表时发生错误
+ */
+// 获取分享链接列表接口
+app.get("/shares", authenticateToken, permissions.requireGlobalPermission("admin"), async (req, res) => {
+  try {
+    let items = await shares.listShares();
+    if (req.query.active === "1") {
+      items = items.filter((share) => share.active);
+    }
+    res.json({ code: 200, message: "获取分享列表成功", items });
+  } catch (err) {
+    logger.error("获取分享列表失败:", { error: err.message, stack: err.stack });
+    res.status(500).json({ error: "获取分享列表时发生错误" });
+  }
+});
+
+/**
+ * @swagger
+ * /shares/{id}:
+ *   delete:
+ *     summary: 撤销分享链接（需要认证）
+ *     description: 管理员可以撤销任何分享，其他用户只能撤销自己创建的分享
+ *     tags: [Share]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 撤销成功
  *       401:
  *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
  *       404:
- *         description: 目录不存在
+ *         description: 分享链接不存在
  *       500:
- *         description: 获取文件列表时发生错误
+ *         description: 撤销分享链接时发生错误
  */
-// 获取文件列表接口
-app.get("/files", authenticateToken, async (req, res) => {
+// 撤销分享链接接口
+app.delete("/shares/:id", authenticateToken, async (req, res) => {
   try {
-    const { namespace, category } = req.query;
+    const share = await shares.getShare(req.params.id);
+    if (!share) {
+      return res.status(404).json({ error: "分享链接不存在", id: req.params.id });
+    }
+    // 限定命名空间的管理员只能撤销自己命名空间中的分享
+    if (share.createdBy !== (req.user.userId || null) && !permissions.canAccess(req.user, "admin", share.path)) {
+      return res.status(403).json({ error: "权限不足", ability: "admin", userType: req.user.userType || null });
+    }
 
-    if (!namespace && !category) {
-      const items = await fs.readdir(baseUploadDir, { withFileTypes: true });
-      const result = [];
-      for (const item of items) {
-        if (item.name === "temp") continue; // 不显示临时目录
-        const itemPath = path.join(baseUploadDir, item.name);
-        const stats = await fs.stat(itemPath);
-        result.push({
-          name: item.name,
-          isDirectory: item.isDirectory(),
-          type: item.isDirectory() ? "namespace" : "file",
-          size: stats.size,
-          mtime: stats.mtime,
-          birthtime: stats.birthtime,
-        });
-      }
-      return res.json({
-        code: 200,
-        message: "获取根目录内容成功",
-        items: result,
-      });
+    const revoked = await shares.revokeShare(share.id);
+    logger.info("分享链接已撤销", { id: share.id, path: share.path, userId: req.user.userId });
+    res.json({ code: 200, message: "分享链接已撤销", share: revoked });
+  } catch (err) {
+    logger.error("撤销分享链接失败:", { error: err.message, stack: err.stack, id: req.params.id });
+    res.status(500).json({ error: "撤销分享链接时发生错误" });
+  }
+});
+
+/**
+ * 读取并校验请求访问的分享（存在、未失效、密码正确），校验失败时直接返回错误响应
+ * 密码只通过 Share-Password 请求头提供，不放在地址中，避免写入访问日志、浏览器历史和 Referer
+ * @returns {Promise<object|null>} 分享，校验失败时返回 null
+ */
+async function loadAccessibleShare(req, res) {
+  const share = await shares.getShare(req.params.id);
+  if (!share) {
+    res.status(404).json({ error: "分享链接不存在" });
+    return null;
+  }
+  const reason = shares.getInactiveReason(share);
+  if (reason) {
+    res.status(410).json({ error: reason });
+    return null;
+  }
+  const password = req.get("Share-Password");
+  if (!(await shares.checkSharePassword(share, password))) {
+    res.status(401).json({ error: password ? "分享密码错误" : "该分享需要密码", passwordRequired: true });
+    return null;
+  }
+  return share;
+}
+
+/**
+ * 判断分享文件的请求是否计入下载次数：返回内容包含文件第一个字节时计数，
+ * 音视频拖动进度产生的其他范围请求不重复计数。Range 格式无效或带 If-Range 时可能返回整个文件，同样计数
+ * @param {object} req - 请求
+ * @param {number} size - 文件大小
+ * @returns {boolean}
+ */
+function countsAsShareDownload(req, size) {
+  if (req.method !== "GET") return false;
+  if (!req.get("Range") || req.get("If-Range")) return true;
+  // 按发送文件时相同的规则解析（后缀范围、补零的起始位置等）
+  const ranges = req.range(size);
+  // 范围无法满足时返回 416，不发送内容
+  if (ranges === -1) return false;
+  if (!Array.isArray(ranges)) return true;
+  return ranges.some((item) => item.start === 0);
+}
+
+/**
+ * 通过分享链接发送文件，响应头与静态文件访问一致（支持 ?download=1）
+ */
+async function sendSharedFile(req, res, share, filePath) {
+  const relativePath = toUploadRelativePath(filePath);
+  const stats = await storage.stat(relativePath);
+  if (!stats || !stats.isFile) {
+    return res.status(404).json({ error: "文件不存在" });
+  }
+
+  if (countsAsShareDownload(req, stats.size)) {
+    const reason = await shares.consumeShareDownload(share.id);
+    if (reason) {
+      return res.status(410).json({ error: reason });
     }
+  }
 
-    const targetDir = getFullStoragePath(category, namespace, "", "");
-    if (!(await fileExists(targetDir))) {
-      return res.status(404).json({ error: "目录不存在", namespace, category });
+  res.locals.privateAccess = true;
+  try {
+    await storage.sendFile(req, res, relativePath, setStaticHeaders);
+  } catch (err) {
+    if (err.status === 416 && !res.headersSent) {
+      res.removeHeader("Content-Disposition");
+      return res.status(416).json({ error: "请求的范围无效" });
     }
+    logger.error("发送分享文件失败:", { error: err.message, id: share.id, path: share.path });
+    if (!res.headersSent) {
+      res.removeHeader("Content-Disposition");
+      res.status(500).json({ error: "发送文件时发生错误" });
+    }
+  }
+}
 
-    const items = await fs.readdir(targetDir, { withFileTypes: true });
-    const fileItems = [];
-    const dirStats = await fs.stat(targetDir);
+/**
+ * @swagger
+ * /share/{id}:
+ *   get:
+ *     summary: 访问分享链接（公开接口）
+ *     description: 文件分享直接返回文件（支持 ?download=1 强制下载），目录分享返回目录中的文件列表。有密码的分享需要通过 Share-Password 请求头提供密码
+ *     tags: [Share]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Share-Password
+ *         schema:
+ *           type: string
+ *         description: 分享密码
+ *       - in: query
+ *         name: download
+ *         schema:
+ *           type: string
+ *           enum: ["1"]
+ *         description: 为 1 时强制下载
+ *     responses:
+ *       200:
+ *         description: 文件内容，或目录分享的文件列表
+ *         content:
+ *           application/json:
+ *             example: { "code": 200, "message": "获取分享内容成功", "type": "directory", "name": "docs", "files": [{ "path": "a.pdf", "size": 1024, "url": "https://files.example.com/share/q1w2e3r4t5y6u7i8o9p0aa/a.pdf" }] }
+ *       401:
+ *         description: 需要密码或密码错误
+ *       404:
+ *         description: 分享链接或文件不存在
+ *       410:
+ *         description: 分享链接已过期或下载次数已用完
+ *       416:
+ *         description: 请求的范围无效
+ *       429:
+ *         description: 失败次数过多
+ * /share/{id}/{filePath}:
+ *   get:
+ *     summary: 下载目录分享中的文件（公开接口）
+ *     tags: [Share]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: filePath
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 文件相对于分享目录的路径
+ *       - in: header
+ *         name: Share-Password
+ *         schema:
+ *           type: string
+ *         description: 分享密码
+ *     responses:
+ *       200:
+ *         description: 文件内容
+ *       401:
+ *         description: 需要密码或密码错误
+ *       404:
+ *         description: 分享链接或文件不存在
+ *       410:
+ *         description: 分享链接已过期或下载次数已用完
+ *       416:
+ *         description: 请求的范围无效
+ */
+// 访问分享链接接口
+app.get("/share/:id", shareAccessLimiter, async (req, res) => {
+  try {
+    const share = await loadAccessibleShare(req, res);
+    if (!share) return;
 
-    for (const item of items) {
-      const itemPath = path.join(targetDir, item.name);
-      const stats = await fs.stat(itemPath);
-      fileItems.push({
-        name: item.name,
-        isDirectory: item.isDirectory(),
-        size: stats.size,
-        mtime: stats.mtime,
-        birthtime: stats.birthtime,
-        category: !namespace ? category : null,
-        namespace: namespace || null,
-      });
+    const sharePath = await resolveUploadPath({ share: share.path });
+    if (share.type === "file") {
+      return await sendSharedFile(req, res, share, sharePath);
     }
 
+    const stats = await storage.stat(share.path);
+    if (!stats || !stats.isDirectory) {
+      return res.status(404).json({ error: "目录不存在" });
+    }
+    const files = (await listDirectoryFiles(sharePath)).map((file) => {
+      const relativePath = path.posix.relative(share.path, file.path);
+      return {
+        path: relativePath,
+        size: file.size,
+        url: buildPublicUrl(`share/${share.id}/${relativePath}`),
+      };
+    });
     res.json({
       code: 200,
-      message: "获取文件列表成功",
-      items: fileItems,
-      directoryInfo: {
-        name: namespace || category,
-        size: dirStats.size,
-        mtime: dirStats.mtime,
-        birthtime: dirStats.birthtime,
-      },
-      namespace,
-      category,
+      message: "获取分享内容成功",
+      type: "directory",
+      name: path.posix.basename(share.path),
+      files,
+      expiresAt: share.expiresAt,
+      remainingDownloads: share.maxDownloads === null ? null : share.maxDownloads - share.downloads,
     });
   } catch (err) {
-    logger.error("获取文件列表失败:", { error: err.message, stack: err.stack, namespace: req.query.namespace, category: req.query.category });
-    res.status(500).json({ error: "获取文件列表时发生错误" });
+    if (err instanceof InvalidPathError) {
+      return res.status(404).json({ error: "文件不存在" });
+    }
+    logger.error("访问分享链接失败:", { error: err.message, stack: err.stack, id: req.params.id });
+    res.status(500).json({ error: "访问分享链接时发生错误" });
+  }
+});
+
+app.get("/share/:id/*filePath", shareAccessLimiter, async (req, res) => {
+  try {
+    const share = await loadAccessibleShare(req, res);
+    if (!share) return;
+    if (share.type !== "directory") {
+      return res.status(404).json({ error: "文件不存在" });
+    }
+
+    // 逐段校验，文件必须位于分享的目录中
+    const filePath = await resolveUploadPath({ share: share.path, filePath: req.params.filePath.join("/") });
+    await sendSharedFile(req, res, share, filePath);
+  } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(404).json({ error: "文件不存在" });
+    }
+    logger.error("下载分享文件失败:", { error: err.message, stack: err.stack, id: req.params.id });
+    res.status(500).json({ error: "下载分享文件时发生错误" });
   }
 });
 
@@ -985,7 +5341,7 @@ app.get("/files", authenticateToken, async (req, res) => {
  * /file:
  *   get:
  *     summary: 获取文件详情（需要认证）
- *     description: 获取指定文件的详细信息
+ *     description: 获取指定文件的详细信息，包含上传时记录的原始文件名、检测到的类型、内容哈希和上传者
  *     tags: [File]
  *     security:
  *       - bearerAuth: []
@@ -1012,95 +5368,104 @@ app.get("/files", authenticateToken, async (req, res) => {
  *         description: 获取文件详情成功
  *         content:
  *           application/json:
- *             example: { "code": 200, "message": "获取文件详情成功", "file": { "name": "xxx.jpg", "size": 1024, "url": "https://hanphone.top/images/xxx.jpg" } }
+ *             example: { "code": 200, "message": "获取文件详情成功", "file": { "name": "xxx.jpg", "originalName": "照片.jpg", "size": 1024, "url": "https://files.example.com/images/xxx.jpg", "mimetype": "image/jpeg", "hash": "9f86d0...", "uploader": { "userId": 1, "userType": "admin" }, "uploadedAt": "2024-01-01T00:00:00.000Z" } }
  *       400:
- *         description: 参数错误（缺少文件名或命名空间/分类）
+ *         description: 参数错误（缺少文件名或命名空间/分类、路径参数不合法）
  *       401:
  *         description: 缺少或无效的访问令牌
+ *       403:
+ *         description: 访问令牌无效或当前角色没有该操作的权限
  *       404:
  *         description: 文件不存在
  *       500:
  *         description: 获取文件详情时发生错误
  */
 // 获取文件详情接口
-app.get("/file", authenticateToken, async (req, res) => {
+app.get("/file", authenticateToken, permissions.requirePermission("read"), async (req, res) => {
   try {
     const { filename, namespace, category } = req.query;
     if (!filename || (!namespace && !category)) {
       return res.status(400).json({ error: "请提供文件名和命名空间或分类" });
     }
 
-    const targetDir = getFullStoragePath(category, namespace, "", "");
-    const filePath = path.join(targetDir, filename);
+    // 与 getFullStoragePath 一致：优先按分类查找
+    const filePath = category
+      ? await resolveUploadPath({ category, filename })
+      : await resolveUploadPath({ namespace, filename });
+    if (!canAccessPath(req.user, "read", filePath)) {
+      return sendPermissionDenied(res, "read", filePath);
+    }
 
-    if (!(await fileExists(filePath))) {
+    const stats = await storage.stat(toUploadRelativePath(filePath));
+    if (!stats || !stats.isFile) {
       return res
         .status(404)
         .json({ error: "文件不存在", filename, namespace, category });
     }
 
-    const stats = await fs.stat(filePath);
     const ext = path.extname(filename).toLowerCase();
     let fileCategory = getFileCategory("", filename);
-
-    let urlPath = "";
-    if (namespace) {
-      const encodedNamespace = encodeURIComponent(namespace);
-      const encodedFilename = encodeURIComponent(filename);
-      urlPath = `${encodedNamespace}/${encodedFilename}`;
-    } else {
-      const encodedCategory = encodeURIComponent(category);
-      const encodedFilename = encodeURIComponent(filename);
-      urlPath = `${encodedCategory}/${encodedFilename}`;
-    }
+    // 上传时记录的元数据，早于元数据索引上传的文件没有记录，按扩展名推断
+    const record = await metadata.getFileMetadata(toUploadRelativePath(filePath));
 
     res.json({
       code: 200,
       message: "获取文件详情成功",
       file: {
         name: filename,
-        originalName: filename,
+        originalName: record?.originalName || filename,
         size: stats.size,
         mtime: stats.mtime,
         birthtime: stats.birthtime,
         extension: ext,
         category: fileCategory,
         namespace: namespace || null,
-        url: `https://hanphone.top/${urlPath}`,
-        mimetype: extensionToCategory[ext]
-          ? `${extensionToCategory[ext]}/${ext.substring(1)}`
-          : "application/octet-stream",
+        url: buildPublicUrl(toUploadRelativePath(filePath)),
+        mimetype:
+          record?.detectedType ||
+          record?.mimetype ||
+          (extensionToCategory[ext]
+            ? `${extensionToCategory[ext]}/${ext.substring(1)}`
+            : "application/octet-stream"),
+        hash: record?.hash || null,
+        uploader: record ? { userId: record.userId, userType: record.userType } : null,
+        uploadedAt: record?.createdAt || null,
       },
     });
   } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
     logger.error("获取文件详情失败:", { error: err.message, stack: err.stack, filename: req.query.filename });
     res.status(500).json({ error: "获取文件详情时发生错误" });
   }
 });
 
 // 创建目录接口
-app.post("/directory", authenticateToken, async (req, res) => {
+app.post("/directory", authenticateToken, permissions.requirePermission("upload"), async (req, res) => {
   try {
     const { name, parentNamespace } = req.body;
     if (!name) {
       return res.status(400).json({ error: "请提供目录名称" });
     }
-    let parentDir = baseUploadDir;
     if (parentNamespace) {
-      parentDir = path.join(baseUploadDir, parentNamespace);
-      if (!(await fileExists(parentDir))) {
+      const parentDir = await resolveUploadPath({ parentNamespace });
+      if (!(await storageExists(parentDir))) {
         return res
           .status(404)
           .json({ error: "父命名空间不存在", parentNamespace });
       }
     }
-    const newDirPath = path.join(parentDir, name);
-    if (await fileExists(newDirPath)) {
+    const newDirPath = await resolveUploadPath({ parentNamespace, name });
+    if (!canAccessPath(req.user, "upload", newDirPath)) {
+      return sendPermissionDenied(res, "upload", newDirPath);
+    }
+    if (await storageExists(newDirPath)) {
       return res
         .status(409)
         .json({ error: "目录已存在", directoryName: name, parentNamespace });
     }
-    await fs.mkdir(newDirPath, { recursive: true });
+    await storage.createDirectory(toUploadRelativePath(newDirPath));
     res.json({
       code: 200,
       message: "目录创建成功",
@@ -1108,7 +5473,18 @@ app.post("/directory", authenticateToken, async (req, res) => {
       parentNamespace,
       path: newDirPath,
     });
+    notifyWebhooks("directory.created", {
+      type: "directory",
+      url: buildPublicUrl(toUploadRelativePath(newDirPath)),
+      path: toUploadRelativePath(newDirPath),
+      category: null,
+      namespace: toUploadRelativePath(newDirPath),
+      userId: req.user.userId ?? null,
+    });
   } catch (err) {
+    if (err instanceof InvalidPathError) {
+      return res.status(400).json({ error: err.message, param: err.param });
+    }
     logger.error("创建目录失败:", { error: err.message, stack: err.stack, directoryName: req.body.name });
     res.status(500).json({ error: "创建目录时发生错误" });
   }
@@ -1144,87 +5520,122 @@ const previewableExtensions = new Set([
   ".mkv",
 ]);
 
-// 提供文件静态访问
-app.use(
-  "/",
-  express.static(baseUploadDir, {
-    maxAge: "7d", // 延长缓存时间至7天
-    etag: true, // 启用etag支持
-    lastModified: true, // 启用last-modified支持
-    index: false, // 禁用目录索引
-    setHeaders: (res, filePath) => {
-      const ext = path.extname(filePath).toLowerCase();
-
-      // 【修改】扩展了 mimeTypes 映射，特别是增加了音频类型，以确保浏览器能正确识别
-      const mimeTypes = {
-        ".json": "application/json",
-        ".pdf": "application/pdf",
-        ".zip": "application/zip",
-        ".txt": "text/plain",
-        ".md": "text/markdown",
-        ".html": "text/html",
-        ".css": "text/css",
-        ".js": "application/javascript",
-        ".png": "image/png",
-        ".jpg": "image/jpeg",
-        ".jpeg": "image/jpeg",
-        ".gif": "image/gif",
-        ".svg": "image/svg+xml",
-        ".webp": "image/webp", // 补充 webp
-        ".bmp": "image/bmp", // 补充 bmp
-        ".avif": "image/avif", // 补充 avif
-        ".mp4": "video/mp4",
-        ".avi": "video/x-msvideo",
-        ".webm": "video/webm",
-        ".mov": "video/quicktime",
-        ".mkv": "video/x-matroska",
-        // 【新增】音频 MIME 类型，对预览至关重要
-        ".mp3": "audio/mpeg",
-        ".wav": "audio/wav",
-        ".ogg": "audio/ogg",
-        ".flac": "audio/flac",
-        ".aac": "audio/aac",
-      };
+/**
+ * 设置静态文件的响应头：Content-Type、缓存，以及根据 ?download=1 和扩展名决定预览还是下载
+ * 静态文件访问和分享链接下载共用
+ * @param {object} res - 响应对象，res.locals.privateAccess 为 true 时不允许缓存
+ * @param {string} filePath - 文件路径
+ */
+function setStaticHeaders(res, filePath) {
+  const ext = path.extname(filePath).toLowerCase();
 
-      if (mimeTypes[ext]) {
-        res.setHeader("Content-Type", mimeTypes[ext]);
-      }
+  // 【修改】扩展了 mimeTypes 映射，特别是增加了音频类型，以确保浏览器能正确识别
+  const mimeTypes = {
+    ".json": "application/json",
+    ".pdf": "application/pdf",
+    ".zip": "application/zip",
+    ".txt": "text/plain",
+    ".md": "text/markdown",
+    ".html": "text/html",
+    ".css": "text/css",
+    ".js": "application/javascript",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".svg": "image/svg+xml",
+    ".webp": "image/webp", // 补充 webp
+    ".bmp": "image/bmp", // 补充 bmp
+    ".avif": "image/avif", // 补充 avif
+    ".mp4": "video/mp4",
+    ".avi": "video/x-msvideo",
+    ".webm": "video/webm",
+    ".mov": "video/quicktime",
+    ".mkv": "video/x-matroska",
+    // 【新增】音频 MIME 类型，对预览至关重要
+    ".mp3": "audio/mpeg",
+    ".wav": "audio/wav",
+    ".ogg": "audio/ogg",
+    ".flac": "audio/flac",
+    ".aac": "audio/aac",
+  };
 
-      // 优化缓存头设置
-      res.setHeader("Cache-Control", "public, max-age=604800");
-      res.setHeader("X-Content-Type-Options", "nosniff");
+  if (mimeTypes[ext]) {
+    res.setHeader("Content-Type", mimeTypes[ext]);
+  }
 
-      const fileName = path.basename(filePath);
-      const encodedFileName = encodeURIComponent(fileName);
+  // 优化缓存头设置，通过签名链接或分享链接访问的文件不允许缓存
+  res.setHeader(
+    "Cache-Control",
+    res.locals.privateAccess ? "private, no-store" : "public, max-age=604800"
+  );
+  res.setHeader("X-Content-Type-Options", "nosniff");
 
-      // 【核心修改】根据URL参数和文件扩展名决定是预览还是下载
-      const url = new URL(res.req.url, `http://${res.req.headers.host}`);
-      const isDownload =
-        url.searchParams.has("download") &&
-        url.searchParams.get("download") === "1";
+  const fileName = path.basename(filePath);
+  const encodedFileName = encodeURIComponent(fileName);
 
-      if (isDownload) {
-        // 如果URL中包含download=1参数，强制下载
-        res.setHeader(
-          "Content-Disposition",
-          `attachment; filename="${encodedFileName}"; filename*=UTF-8''${encodedFileName}`
-        );
-      } else if (previewableExtensions.has(ext)) {
-        // 对于可预览的文件，设置为 inline，浏览器会尝试在窗口内打开
-        res.setHeader(
-          "Content-Disposition",
-          `inline; filename="${encodedFileName}"; filename*=UTF-8''${encodedFileName}`
-        );
-      } else {
-        // 对于其他文件，保持 attachment，强制浏览器下载
-        res.setHeader(
-          "Content-Disposition",
-          `attachment; filename="${encodedFileName}"; filename*=UTF-8''${encodedFileName}`
-        );
-      }
-    },
-  })
-);
+  // 【核心修改】根据URL参数和文件扩展名决定是预览还是下载
+  const url = new URL(res.req.url, `http://${res.req.headers.host}`);
+  const isDownload =
+    url.searchParams.has("download") &&
+    url.searchParams.get("download") === "1";
+
+  if (isDownload) {
+    // 如果URL中包含download=1参数，强制下载
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${encodedFileName}"; filename*=UTF-8''${encodedFileName}`
+    );
+  } else if (previewableExtensions.has(ext)) {
+    // 对于可预览的文件，设置为 inline，浏览器会尝试在窗口内打开
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${encodedFileName}"; filename*=UTF-8''${encodedFileName}`
+    );
+  } else {
+    // 对于其他文件，保持 attachment，强制浏览器下载
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${encodedFileName}"; filename*=UTF-8''${encodedFileName}`
+    );
+  }
+}
+
+// 私有命名空间中的文件必须携带有效的签名才能访问，在静态文件中间件之前检查
+app.use("/", async (req, res, next) => {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return next();
+  }
+  try {
+    let segments;
+    try {
+      segments = decodeURIComponent(req.path).split("/").filter(Boolean);
+    } catch {
+      return next(); // 无法解码的路径交给静态文件中间件处理
+    }
+    // 静态文件中间件会规范化 . 和 .. 片段，必须先拒绝，否则 /x/../secret/a.txt 可以绕过私有检查
+    if (segments.some((segment) => segment === "." || segment === "..")) {
+      return res.status(400).json({ error: "路径不能包含 . 或 .. 片段" });
+    }
+    const relativePath = segments.join("/");
+    if (!(await signedUrl.isPrivatePath(relativePath))) {
+      return next();
+    }
+
+    const reason = signedUrl.verifySignature(relativePath, req.query);
+    if (reason) {
+      logger.warn("拒绝访问私有文件", { path: relativePath, reason, ip: req.ip });
+      return res.status(403).json({ error: reason });
+    }
+    res.locals.privateAccess = true;
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// 提供文件静态访问（由存储驱动读取文件）
+app.use("/", storage.createStaticHandler({ setHeaders: setStaticHeaders }));
 
 // 【修改 4】错误处理中间件，更新提示信息
 app.use((err, req, res, next) => {
@@ -1235,20 +5646,31 @@ app.use((err, req, res, next) => {
     method: req.method 
   });
   
+  if (err instanceof InvalidPathError) {
+    return res.status(400).json({ error: err.message, param: err.param });
+  }
+  if (err.code === "LIMIT_UNEXPECTED_FILE") {
+    return res.status(400).json({ error: `文件字段不正确或文件数量超过限制（批量上传最多${MAX_BATCH_FILES}个）`, field: err.field });
+  }
   if (err.code === "LIMIT_FILE_SIZE") {
     // 根据请求路径返回不同的错误信息
     if (req.path === "/upload/avatar") {
-      return res.status(413).json({ error: "头像文件大小超过限制（最大5MB）" });
+      return res.status(413).json({ error: `头像文件大小超过限制（最大${formatSize(config.maxAvatarSize)}）` });
     }
-    return res.status(413).json({ error: "文件大小超过限制（最大1GB）" });
+    return res.status(413).json({ error: `文件大小超过限制（最大${formatSize(MAX_UPLOAD_SIZE)}）` });
   }
   res.status(500).json({ error: "服务器内部错误" });
 });
 
-app.listen(PORT, () => {
-  logger.info(`服务器启动成功`, { 
-    port: PORT, 
-    env: process.env.NODE_ENV || 'development',
-    uploadDir: baseUploadDir 
+// 直接运行时启动服务，被测试加载时只导出 app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info(`服务器启动成功`, { 
+      port: PORT, 
+      env: process.env.NODE_ENV || 'development',
+      uploadDir: baseUploadDir 
+    });
   });
-});
+}
+
+module.exports = app;
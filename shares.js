@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./jsonStore');
+const { hashPassword, verifyPassword } = require('./password');
+
+// 分享链接ID：随机生成，不包含文件路径信息
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/;
+
+const store = createJsonStore('shares.json', () => ({ shares: {} }));
+
+// 返回给接口的分享信息，不包含密码哈希
+function toPublicShare(share) {
+  const { passwordHash, ...rest } = share;
+  return { ...rest, hasPassword: !!passwordHash, active: !getInactiveReason(share) };
+}
+
+/**
+ * 判断分享是否已失效
+ * @param {object} share - 分享
+ * @returns {string|null} 失效原因，有效时返回 null
+ */
+function getInactiveReason(share) {
+  if (share.expiresAt && new Date(share.expiresAt).getTime() < Date.now()) {
+    return '分享链接已过期';
+  }
+  if (share.maxDownloads !== null && share.downloads >= share.maxDownloads) {
+    return '分享链接的下载次数已用完';
+  }
+  return null;
+}
+
+/**
+ * 创建分享链接
+ * @param {object} options - { path（相对于上传目录）, type（file 或 directory）, password, expiresIn（秒）, maxDownloads, createdBy }
+ * @returns {Promise<object>} 分享信息
+ */
+async function createShare({ path, type, password, expiresIn, maxDownloads, createdBy }) {
+  const share = {
+    id: crypto.randomBytes(16).toString('base64url'),
+    path,
+    type,
+    passwordHash: password ? await hashPassword(password) : null,
+    expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null,
+    maxDownloads: maxDownloads ?? null,
+    downloads: 0,
+    createdBy: createdBy || null,
+    createdAt: new Date().toISOString(),
+  };
+  await store.update((data) => {
+    data.shares[share.id] = share;
+  });
+  return toPublicShare(share);
+}
+
+/**
+ * 读取分享（包含密码哈希，仅供内部校验使用）
+ * @param {string} id - 分享ID
+ * @returns {Promise<object|null>}
+ */
+async function getShare(id) {
+  if (!SHARE_ID_PATTERN.test(id || '')) {
+    return null;
+  }
+  const { shares } = await store.read();
+  return shares[id] || null;
+}
+
+/**
+ * 校验访问分享时提供的密码
+ * @param {object} share - 分享
+ * @param {string} password - 请求中的密码
+ * @returns {Promise<boolean>}
+ */
+async function checkSharePassword(share, password) {
+  if (!share.passwordHash) return true;
+  if (typeof password !== 'string' || !password) return false;
+  return verifyPassword(password, share.passwordHash);
+}
+
+/**
+ * 记录一次下载，下载次数已用完时不记录
+ * 检查和计数在同一次写入中完成，并发下载不会超过上限
+ * @param {string} id - 分享ID
+ * @returns {Promise<string|null>} 无法下载的原因，成功时返回 null
+ */
+async function consumeShareDownload(id) {
+  return store.update((data) => {
+    const share = data.shares[id];
+    if (!share) return '分享链接不存在';
+    const reason = getInactiveReason(share);
+    if (reason) return reason;
+    share.downloads++;
+    return null;
+  });
+}
+
+/**
+ * 列出所有分享，最近创建的在前
+ * @returns {Promise<object[]>}
+ */
+async function listShares() {
+  const { shares } = await store.read();
+  return Object.values(shares)
+    .map(toPublicShare)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * 撤销分享
+ * @param {string} id - 分享ID
+ * @returns {Promise<object|null>} 被撤销的分享，不存在时返回 null
+ */
+async function revokeShare(id) {
+  return store.update((data) => {
+    const share = data.shares[id];
+    if (!share) return null;
+    delete data.shares[id];
+    return toPublicShare(share);
+  });
+}
+
+module.exports = {
+  createShare,
+  getShare,
+  getInactiveReason,
+  checkSharePassword,
+  consumeShareDownload,
+  listShares,
+  revokeShare,
+  toPublicShare,
+};
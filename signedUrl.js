@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const config = require('./config');
+const { createJsonStore } = require('./jsonStore');
+
+// 签名密钥，未单独配置时使用 JWT 密钥
+const signingSecret = config.urlSigningSecret;
+
+const DEFAULT_EXPIRES_IN = 60 * 60; // 默认有效期1小时（秒）
+const MAX_EXPIRES_IN = 7 * 24 * 60 * 60; // 最长有效期7天（秒）
+
+// 私有命名空间列表，其中的文件只能通过签名链接访问
+const store = createJsonStore('private-namespaces.json', () => ({ namespaces: [] }));
+
+function normalizeNamespace(namespace) {
+  return namespace.split('/').filter(Boolean).join('/');
+}
+
+/**
+ * 列出所有私有命名空间
+ * @returns {Promise<string[]>}
+ */
+async function listPrivateNamespaces() {
+  return [...(await store.read()).namespaces];
+}
+
+/**
+ * 把命名空间标记为私有或公开
+ * @param {string} namespace - 相对于上传目录的路径（可以是分类目录）
+ * @param {boolean} isPrivate - 是否私有
+ * @returns {Promise<string[]>} 修改后的私有命名空间列表
+ */
+async function setNamespacePrivate(namespace, isPrivate) {
+  const key = normalizeNamespace(namespace);
+  return store.update((data) => {
+    data.namespaces = data.namespaces.filter((item) => item !== key);
+    if (isPrivate) {
+      data.namespaces.push(key);
+      data.namespaces.sort();
+    }
+    return [...data.namespaces];
+  });
+}
+
+/**
+ * 判断文件是否位于私有命名空间中（包括私有命名空间的子目录）
+ * @param {string} relativePath - 相对于上传目录、以 / 分隔的路径
+ * @returns {Promise<boolean>}
+ */
+async function isPrivatePath(relativePath) {
+  const { namespaces } = await store.read();
+  return namespaces.some(
+    (namespace) => relativePath === namespace || relativePath.startsWith(`${namespace}/`)
+  );
+}
+
+function sign(relativePath, expires) {
+  return crypto
+    .createHmac('sha256', signingSecret)
+    .update(`${relativePath}\n${expires}`)
+    .digest('base64url');
+}
+
+/**
+ * 为文件生成签名参数
+ * @param {string} relativePath - 相对于上传目录、以 / 分隔的路径
+ * @param {number} expiresIn - 有效期（秒）
+ * @returns {{expires: number, signature: string}} expires 为过期时间的 Unix 时间戳（秒）
+ */
+function createSignature(relativePath, expiresIn) {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  return { expires, signature: sign(relativePath, expires) };
+}
+
+/**
+ * 校验请求中携带的签名参数
+ * @param {string} relativePath - 请求的文件路径
+ * @param {object} query - 请求查询参数（expires、signature）
+ * @returns {string|null} 校验失败的原因，通过时返回 null
+ */
+function verifySignature(relativePath, query) {
+  const { expires, signature } = query;
+  if (typeof expires !== 'string' || typeof signature !== 'string' || !/^\d+$/.test(expires)) {
+    return '该文件为私有文件，需要使用签名链接访问';
+  }
+
+  const expected = Buffer.from(sign(relativePath, Number(expires)));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return '签名无效';
+  }
+  if (Number(expires) * 1000 < Date.now()) {
+    return '签名链接已过期';
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_EXPIRES_IN,
+  MAX_EXPIRES_IN,
+  listPrivateNamespaces,
+  setNamespacePrivate,
+  isPrivatePath,
+  createSignature,
+  verifySignature,
+};
@@ -0,0 +1,134 @@
+const dns = require('dns');
+const net = require('net');
+
+// 私有、回环、链路本地、组播和保留地址，默认不允许访问（防止 SSRF）
+const blockedAddresses = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  blockedAddresses.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['::ffff:0:0', 96], // IPv4 映射地址，例如 ::ffff:127.0.0.1
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  blockedAddresses.addSubnet(address, prefix, 'ipv6');
+}
+
+/**
+ * 目标是内网或本机地址，并且不在允许列表中
+ */
+class BlockedAddressError extends Error {
+  constructor(host, address) {
+    super('不允许访问内网或本机地址');
+    this.name = 'BlockedAddressError';
+    this.status = 403;
+    this.host = host;
+    this.address = address;
+  }
+}
+
+/**
+ * 把允许访问的主机列表分为主机名和地址段
+ * @param {string[]} entries - 主机名、IP 或 CIDR 地址段
+ */
+function createAllowlist(entries = []) {
+  const hostnames = new Set();
+  const addresses = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const family = net.isIP(address);
+    if (!family) {
+      hostnames.add(entry.toLowerCase());
+    } else if (prefix === undefined) {
+      addresses.addAddress(address, `ipv${family}`);
+    } else {
+      addresses.addSubnet(address, Number(prefix), `ipv${family}`);
+    }
+  }
+  return { hostnames, addresses };
+}
+
+/**
+ * 检查连接的目标地址，内网和本机地址只有在允许列表中时才能访问
+ * @throws {BlockedAddressError} 地址不允许访问
+ */
+function checkAddress(hostname, address, family, allowlist) {
+  const type = `ipv${family}`;
+  if (allowlist.hostnames.has(hostname.toLowerCase()) || allowlist.addresses.check(address, type)) return;
+  if (blockedAddresses.check(address, type)) {
+    throw new BlockedAddressError(hostname, address);
+  }
+}
+
+/**
+ * 检查 URL 的主机：主机是 IP 时不会经过 DNS 解析，需要直接检查
+ * @param {URL} url - 已解析的地址
+ * @throws {BlockedAddressError} 地址不允许访问
+ */
+function checkUrlHost(url, allowlist) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  const family = net.isIP(hostname);
+  if (family) {
+    checkAddress(hostname, hostname, family, allowlist);
+  }
+}
+
+/**
+ * 解析主机名后先检查地址再连接，连接使用的就是检查过的地址，避免 DNS 重绑定绕过检查
+ * 作为 http.request 的 lookup 选项使用
+ */
+function createSafeLookup(allowlist) {
+  return (hostname, options, callback) => {
+    dns.lookup(hostname, options, (err, address, family) => {
+      if (err) return callback(err);
+      try {
+        const resolved = Array.isArray(address) ? address : [{ address, family }];
+        for (const entry of resolved) {
+          checkAddress(hostname, entry.address, entry.family, allowlist);
+        }
+      } catch (checkErr) {
+        return callback(checkErr);
+      }
+      callback(null, address, family);
+    });
+  };
+}
+
+/**
+ * 提前检查 URL 的主机解析出的所有地址（例如保存地址时），实际连接时仍需使用 createSafeLookup
+ * @param {URL} url - 已解析的地址
+ * @throws {BlockedAddressError} 地址不允许访问；主机名无法解析时抛出 DNS 错误
+ */
+async function assertPublicUrl(url, allowlist) {
+  checkUrlHost(url, allowlist);
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) return;
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  for (const { address, family } of addresses) {
+    checkAddress(hostname, address, family, allowlist);
+  }
+}
+
+module.exports = {
+  BlockedAddressError,
+  createAllowlist,
+  checkUrlHost,
+  createSafeLookup,
+  assertPublicUrl,
+};
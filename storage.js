@@ -0,0 +1,26 @@
+const config = require('./config');
+
+/**
+ * 存储驱动：上传、列表、查询、删除和访问文件都通过这里进行，由 STORAGE_DRIVER 选择
+ * - local（默认）：保存在上传目录中，支持内容去重和回收站
+ * - s3：保存在 S3 兼容的对象存储（AWS S3、MinIO 等）中
+ *
+ * 所有方法中的路径都是相对于上传根目录、以 / 分隔的路径，根目录为空字符串；调用方负责先用 resolveUploadPath 校验
+ * 驱动需要实现：
+ * - name: 驱动名称
+ * - storeFile(tempPath, relativePath, { hash, mimetype }): 把临时文件存为最终文件，返回 { duplicate }
+ * - stat(relativePath): 返回 { isFile, isDirectory, size, mtime, birthtime }，不存在时返回 null
+ * - list(relativeDir): 返回目录中的条目 [{ name, isDirectory, stats }]（stats 可能为 null），目录不存在时返回 null
+ * - walk(relativeDir, visit): 递归遍历文件，对每个文件调用 visit({ path, name, stat })，stat() 返回文件信息
+ * - createDirectory(relativePath): 创建目录
+ * - remove(relativePath, { deletedBy }): 删除文件或目录，返回 { trashId }（不支持回收站时为 null）
+ * - createReadStream(relativePath): 返回文件内容的可读流，不存在时抛出 status 为 404 的错误
+ * - sendFile(req, res, relativePath, setHeaders): 发送文件（支持 Range 和条件请求），不存在时抛出 status 为 404 的错误
+ * - createStaticHandler({ setHeaders }): 返回按请求路径提供文件的中间件，文件不存在时交给下一个中间件
+ */
+const drivers = {
+  local: () => require('./localDriver'),
+  s3: () => require('./s3Driver'),
+};
+
+module.exports = drivers[config.storageDriver]();
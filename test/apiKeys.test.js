@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { useTempDirs, startServer, request } = require('./setup');
+
+const { root } = useTempDirs();
+const tokens = require('../token');
+const apiKeys = require('../apiKeys');
+const app = require('../server');
+
+let server;
+const adminAuth = { Authorization: `Bearer ${tokens.createToken('1', 'admin')}` };
+
+test.before(async () => {
+  server = await startServer(app);
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('只限定在 blog/ 的 admin 密钥不能管理 API 密钥', async () => {
+  const { key } = await apiKeys.createApiKey({ name: 'blog-admin', scopes: [{ abilities: ['admin'], namespaces: ['blog'] }] });
+  const auth = { Authorization: `Bearer ${key}` };
+
+  const created = await request(server.port, 'POST', '/api-keys', {
+    headers: auth,
+    body: { name: 'escalate', scopes: [{ abilities: ['admin'] }] },
+  });
+  assert.strictEqual(created.status, 403);
+  assert.strictEqual((await request(server.port, 'GET', '/api-keys', { headers: auth })).status, 403);
+});
+
+test('全局管理员可以创建和轮换密钥', async () => {
+  const created = await request(server.port, 'POST', '/api-keys', {
+    headers: adminAuth,
+    body: { name: 'ci', scopes: [{ abilities: ['upload'], namespaces: ['blog'] }] },
+  });
+  assert.strictEqual(created.status, 200);
+  const rotated = await request(server.port, 'POST', `/api-keys/${created.json().apiKey.id}/rotate`, { headers: adminAuth });
+  assert.strictEqual(rotated.status, 200);
+  assert.notStrictEqual(rotated.json().key, created.json().key);
+});
+
+test('限定在 blog/ 的上传密钥可以完成分片上传', async () => {
+  const { key } = await apiKeys.createApiKey({ name: 'blog-upload', scopes: [{ abilities: ['upload'], namespaces: ['blog'] }] });
+  const auth = { Authorization: `Bearer ${key}` };
+  const content = 'chunked upload from an api key';
+
+  const init = await request(server.port, 'POST', '/upload/chunk/init', {
+    headers: auth,
+    body: { filename: 'post.txt', size: content.length, mimetype: 'text/plain', namespace: 'blog' },
+  });
+  assert.strictEqual(init.status, 200, init.body);
+  const { uploadId } = init.json();
+
+  for (const [offset, chunk] of [[0, content.slice(0, 10)], [10, content.slice(10)]]) {
+    const put = await request(server.port, 'PUT', `/upload/chunk/${uploadId}`, {
+      headers: { ...auth, 'Upload-Offset': String(offset), 'Content-Type': 'application/offset+octet-stream' },
+      body: chunk,
+    });
+    assert.strictEqual(put.status, 200, put.body);
+  }
+
+  const completed = await request(server.port, 'POST', `/upload/chunk/${uploadId}/complete`, { headers: auth });
+  assert.strictEqual(completed.status, 200, completed.body);
+  const { url } = completed.json();
+  assert.match(url, /\/blog\/post\.txt$/);
+  const downloaded = await fetch(url.replace(/^https?:\/\/[^/]+/, `http://127.0.0.1:${server.port}`));
+  assert.strictEqual(await downloaded.text(), content);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { useTempDirs, startServer, request } = require('./setup');
+
+const { root } = useTempDirs();
+const users = require('../users');
+const app = require('../server');
+
+let server;
+
+async function login(username, password = 'correct horse') {
+  return request(server.port, 'POST', '/auth/login', { body: { username, password } });
+}
+
+async function refresh(refreshToken) {
+  return request(server.port, 'POST', '/auth/refresh', { body: { refreshToken } });
+}
+
+test.before(async () => {
+  await users.createUser({ username: 'alice', password: 'correct horse', userType: 'admin' });
+  await users.createUser({ username: 'bob', password: 'correct horse', userType: 'admin' });
+  await users.createUser({ username: 'carol', password: 'correct horse', userType: 'editor' });
+  await users.createUser({ username: 'dave', password: 'correct horse', userType: 'editor' });
+  server = await startServer(app);
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('用户名不存在和密码错误时返回相同的错误', async () => {
+  const unknown = await login('nobody');
+  const wrong = await login('alice', 'wrong password');
+  assert.strictEqual(unknown.status, 401);
+  assert.strictEqual(wrong.status, 401);
+  assert.strictEqual(unknown.body, wrong.body);
+});
+
+test('已使用过的刷新令牌再次出现时撤销整个登录会话', async () => {
+  const { refreshToken: first } = (await login('alice')).json();
+  const rotated = await refresh(first);
+  assert.strictEqual(rotated.status, 200);
+  const { refreshToken: second } = rotated.json();
+  assert.notStrictEqual(second, first);
+
+  assert.strictEqual((await refresh(first)).status, 401);
+  // 同一会话中尚未使用的令牌也已失效
+  assert.strictEqual((await refresh(second)).status, 401);
+});
+
+test('退出登录后访问令牌和刷新令牌都失效', async () => {
+  const { accessToken, refreshToken } = (await login('alice')).json();
+  const revoked = await request(server.port, 'POST', '/auth/logout', {
+    headers: { Authorization: `Bearer ${accessToken}` },
+    body: { refreshToken },
+  });
+  assert.strictEqual(revoked.status, 200, revoked.body);
+  assert.strictEqual((await refresh(refreshToken)).status, 401);
+  const listed = await request(server.port, 'GET', '/files?namespace=docs', { headers: { Authorization: `Bearer ${accessToken}` } });
+  assert.strictEqual(listed.status, 403);
+});
+
+test('刷新时按用户库中的当前角色签发访问令牌', async () => {
+  const { refreshToken } = (await login('carol')).json();
+  await users.setUserType('carol', 'viewer');
+
+  const res = await refresh(refreshToken);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(jwt.decode(res.json().accessToken).userType, 'viewer');
+});
+
+test('用户被删除后刷新令牌失效', async () => {
+  const { refreshToken } = (await login('bob')).json();
+  await users.deleteUser('bob');
+  assert.strictEqual((await refresh(refreshToken)).status, 401);
+});
+
+test('管理员撤销用户的令牌后，访问令牌和刷新令牌都失效，重新登录后恢复', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const admin = (await login('alice')).json();
+  const dave = (await login('dave')).json();
+  const daveAuth = { Authorization: `Bearer ${dave.accessToken}` };
+  assert.strictEqual((await request(server.port, 'GET', '/quota', { headers: daveAuth })).status, 200);
+
+  const revoked = await request(server.port, 'POST', '/auth/revoke', {
+    headers: { Authorization: `Bearer ${admin.accessToken}` },
+    body: { userId: dave.user.id },
+  });
+  assert.strictEqual(revoked.status, 200, revoked.body);
+  assert.strictEqual((await request(server.port, 'GET', '/quota', { headers: daveAuth })).status, 403);
+  assert.strictEqual((await refresh(dave.refreshToken)).status, 401);
+
+  // 与撤销时间在同一秒内签发的令牌也视为已撤销，之后重新登录的令牌有效
+  t.mock.timers.tick(1000);
+  const again = (await login('dave')).json();
+  const listed = await request(server.port, 'GET', '/quota', { headers: { Authorization: `Bearer ${again.accessToken}` } });
+  assert.strictEqual(listed.status, 200);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDirs, startServer } = require('./setup');
+
+const { root, uploadDir } = useTempDirs();
+const tokens = require('../token');
+const app = require('../server');
+
+let server;
+const auth = { Authorization: `Bearer ${tokens.createToken('1', 'admin')}` };
+// 伪装成图片的 ELF 可执行文件，上传时被拒绝（415）
+const disguised = Buffer.concat([Buffer.from([0x7f, 0x45, 0x4c, 0x46]), Buffer.alloc(60)]);
+
+async function batchUpload(namespace, files, atomic) {
+  const form = new FormData();
+  form.append('namespace', namespace);
+  if (atomic) form.append('atomic', 'true');
+  for (const [name, content, type] of files) {
+    form.append('files', new Blob([content], { type }), name);
+  }
+  const res = await fetch(`http://127.0.0.1:${server.port}/upload/batch`, { method: 'POST', headers: auth, body: form });
+  return { status: res.status, body: await res.json() };
+}
+
+async function listNames(namespace) {
+  const res = await fetch(`http://127.0.0.1:${server.port}/files?namespace=${namespace}`, { headers: auth });
+  if (res.status === 404) return [];
+  return (await res.json()).items.map((item) => item.name).sort();
+}
+
+const files = [
+  ['a.txt', 'first', 'text/plain'],
+  ['b.txt', 'second', 'text/plain'],
+  ['photo.png', disguised, 'image/png'],
+];
+
+test.before(async () => {
+  server = await startServer(app);
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('默认尽量上传，失败的文件不影响其他文件', async () => {
+  const { status, body } = await batchUpload('loose', files, false);
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual([body.total, body.succeeded, body.failed], [3, 2, 1]);
+  assert.strictEqual(body.results[2].status, 415);
+  assert.deepStrictEqual(await listNames('loose'), ['a.txt', 'b.txt']);
+});
+
+test('atomic 为 true 时任何文件失败都撤销已保存的文件', async () => {
+  const { status, body } = await batchUpload('strict', files, true);
+  assert.strictEqual(status, 415);
+  assert.strictEqual(body.failedIndex, 2);
+  assert.deepStrictEqual(body.results.map((result) => result.rolledBack || false), [true, true, false]);
+  assert.deepStrictEqual(await listNames('strict'), []);
+  assert.deepStrictEqual(fs.readdirSync(path.join(uploadDir, 'temp')).filter((name) => !fs.statSync(path.join(uploadDir, 'temp', name)).isDirectory()), []);
+
+  const retried = await batchUpload('strict', files.slice(0, 2), true);
+  assert.strictEqual(retried.status, 200);
+  assert.deepStrictEqual(await listNames('strict'), ['a.txt', 'b.txt']);
+});
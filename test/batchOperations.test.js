@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDirs, startServer, request } = require('./setup');
+
+const { root, uploadDir } = useTempDirs();
+const tokens = require('../token');
+const app = require('../server');
+
+let server;
+const auth = { Authorization: `Bearer ${tokens.createToken('1', 'admin')}` };
+
+function writeFiles(namespace, names) {
+  fs.mkdirSync(path.join(uploadDir, namespace), { recursive: true });
+  for (const name of names) {
+    fs.writeFileSync(path.join(uploadDir, namespace, name), name);
+  }
+}
+
+function listNames(namespace) {
+  const dir = path.join(uploadDir, namespace);
+  return fs.existsSync(dir) ? fs.readdirSync(dir).sort() : [];
+}
+
+test.before(async () => {
+  server = await startServer(app);
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('批量删除默认尽量删除，失败的条目不影响其他条目', async () => {
+  writeFiles('loose', ['a.txt', 'b.txt']);
+  const res = await request(server.port, 'DELETE', '/delete/batch', {
+    headers: auth,
+    body: { items: [{ name: 'a.txt', namespace: 'loose' }, { name: 'missing.txt', namespace: 'loose' }] },
+  });
+  assert.strictEqual(res.status, 200, res.body);
+  const body = res.json();
+  assert.deepStrictEqual([body.succeeded, body.failed], [1, 1]);
+  assert.strictEqual(body.results[1].status, 404);
+  assert.deepStrictEqual(listNames('loose'), ['b.txt']);
+});
+
+test('事务模式的批量删除在校验失败时不做任何修改', async () => {
+  writeFiles('strict', ['a.txt', 'b.txt']);
+  const res = await request(server.port, 'DELETE', '/delete/batch', {
+    headers: auth,
+    body: {
+      transactional: true,
+      items: [{ name: 'a.txt', namespace: 'strict' }, { name: 'missing.txt', namespace: 'strict' }],
+    },
+  });
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.json().failedIndex, 1);
+  assert.deepStrictEqual(listNames('strict'), ['a.txt', 'b.txt']);
+});
+
+test('事务模式的批量删除在执行中失败时从回收站恢复已删除的条目', async () => {
+  writeFiles('twice', ['a.txt', 'b.txt']);
+  // 同一个文件出现两次：校验都能通过，删除第二次时失败
+  const res = await request(server.port, 'DELETE', '/delete/batch', {
+    headers: auth,
+    body: {
+      transactional: true,
+      items: [{ name: 'a.txt', namespace: 'twice' }, { name: 'b.txt', namespace: 'twice' }, { name: 'a.txt', namespace: 'twice' }],
+    },
+  });
+  assert.strictEqual(res.status, 404, res.body);
+  assert.strictEqual(res.json().failedIndex, 2);
+  assert.deepStrictEqual(listNames('twice'), ['a.txt', 'b.txt']);
+  assert.strictEqual(fs.readFileSync(path.join(uploadDir, 'twice', 'a.txt'), 'utf8'), 'a.txt');
+
+  const trash = (await request(server.port, 'GET', '/trash', { headers: auth })).json().items;
+  assert.strictEqual(trash.some((entry) => entry.originalPath.startsWith('twice/')), false);
+});
+
+test('事务模式的批量移动在执行中失败时把已移动的条目移回原位置', async () => {
+  writeFiles('from', ['a.txt', 'b.txt']);
+  const res = await request(server.port, 'PUT', '/file/move/batch', {
+    headers: auth,
+    body: {
+      transactional: true,
+      items: [
+        { name: 'a.txt', namespace: 'from', targetNamespace: 'to' },
+        { name: 'b.txt', namespace: 'from', targetNamespace: 'to' },
+        { name: 'a.txt', namespace: 'from', targetNamespace: 'to' },
+      ],
+    },
+  });
+  assert.strictEqual(res.status, 404, res.body);
+  assert.strictEqual(res.json().failedIndex, 2);
+  assert.deepStrictEqual(listNames('from'), ['a.txt', 'b.txt']);
+  assert.deepStrictEqual(listNames('to'), []);
+});
+
+test('事务模式的批量移动全部成功', async () => {
+  writeFiles('src', ['a.txt', 'b.txt']);
+  const res = await request(server.port, 'PUT', '/file/move/batch', {
+    headers: auth,
+    body: {
+      transactional: true,
+      items: [
+        { name: 'a.txt', namespace: 'src', targetNamespace: 'dest' },
+        { name: 'b.txt', namespace: 'src', targetNamespace: 'dest', newName: 'c.txt' },
+      ],
+    },
+  });
+  assert.strictEqual(res.status, 200, res.body);
+  assert.deepStrictEqual(res.json().results.map((result) => result.to), ['dest/a.txt', 'dest/c.txt']);
+  assert.deepStrictEqual(listNames('src'), []);
+  assert.deepStrictEqual(listNames('dest'), ['a.txt', 'c.txt']);
+});
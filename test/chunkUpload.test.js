@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { useTempDirs } = require('./setup');
+
+const { root } = useTempDirs();
+const chunkUpload = require('../chunkUpload');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test.after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// 把会话的创建时间改到 createdAgo 毫秒之前，最后一次收到数据的时间改到 updatedAgo 毫秒之前
+async function ageSession(uploadId, createdAgo, updatedAgo) {
+  const { partPath } = await chunkUpload.getSession(uploadId);
+  const metaPath = partPath.replace(/\.part$/, '.json');
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  meta.createdAt = new Date(Date.now() - createdAgo).toISOString();
+  fs.writeFileSync(metaPath, JSON.stringify(meta));
+  const updated = new Date(Date.now() - updatedAgo);
+  fs.utimesSync(partPath, updated, updated);
+}
+
+test('仍在接收分片的上传不会因为创建时间超过24小时被清理', async () => {
+  const { uploadId } = await chunkUpload.createSession({ filename: 'big.bin', size: 10, userId: '1' });
+  const { partPath } = await chunkUpload.getSession(uploadId);
+  fs.appendFileSync(partPath, 'abcde');
+  await ageSession(uploadId, 2 * DAY, 60 * 1000);
+
+  await chunkUpload.cleanupExpiredSessions();
+  const session = await chunkUpload.getSession(uploadId);
+  assert.ok(session);
+  assert.strictEqual(session.offset, 5);
+});
+
+test('超过24小时没有收到数据的上传被清理', async () => {
+  const { uploadId } = await chunkUpload.createSession({ filename: 'stale.bin', size: 10, userId: '1' });
+  const { partPath } = await chunkUpload.getSession(uploadId);
+  await ageSession(uploadId, 2 * DAY, DAY + 60 * 1000);
+
+  await chunkUpload.cleanupExpiredSessions();
+  assert.strictEqual(await chunkUpload.getSession(uploadId), null);
+  assert.strictEqual(fs.existsSync(partPath), false);
+});
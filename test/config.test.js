@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { useTempDirs } = require('./setup');
+
+useTempDirs();
+
+// config 在加载时校验，每种配置在独立的进程中加载
+function loadConfig(env) {
+  const result = spawnSync(
+    process.execPath,
+    ['-e', "process.stdout.write(JSON.stringify(require('./config')))"],
+    { cwd: path.join(__dirname, '..'), env: { ...process.env, DOTENV_CONFIG_QUIET: 'true', ...env }, encoding: 'utf8' }
+  );
+  if (result.status !== 0) {
+    return { error: result.stderr };
+  }
+  return { config: JSON.parse(result.stdout) };
+}
+
+test('未配置时使用默认的角色、配额和令牌设置', () => {
+  const { config, error } = loadConfig({});
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(config.roles.admin, [{ abilities: ['admin'], namespaces: null }]);
+  assert.deepStrictEqual(config.storageQuotas, { defaultUser: null, users: {}, namespaces: {} });
+  assert.deepStrictEqual(config.tokenKeys, [{ kid: 'default', secret: config.secretKey }]);
+  assert.strictEqual(config.urlSigningSecret, config.secretKey);
+  assert.strictEqual(config.accessTokenTtl, '15m');
+  assert.strictEqual(config.refreshTokenDays, 7);
+});
+
+test('读取有效的角色、配额和令牌设置', () => {
+  const { config, error } = loadConfig({
+    ROLE_PERMISSIONS: '{"blog":[{"abilities":["upload"],"namespaces":["/blog/"]}]}',
+    STORAGE_QUOTAS: '{"defaultUser":100,"namespaces":{"/blog/":50}}',
+    TOKEN_KEYS: 'k2:new-secret,k1:old-secret',
+    ACCESS_TOKEN_TTL: '1h',
+  });
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(config.roles, { blog: [{ abilities: ['upload'], namespaces: ['blog'] }] });
+  assert.deepStrictEqual(config.storageQuotas, { defaultUser: 100, users: {}, namespaces: { blog: 50 } });
+  assert.deepStrictEqual(config.tokenKeys.map((key) => key.kid), ['k2', 'k1']);
+  assert.strictEqual(config.accessTokenTtl, '1h');
+});
+
+for (const [name, env, message] of [
+  ['ROLE_PERMISSIONS 不是 JSON', { ROLE_PERMISSIONS: '{admin' }, 'ROLE_PERMISSIONS 不是有效的 JSON'],
+  ['ROLE_PERMISSIONS 包含未知权限', { ROLE_PERMISSIONS: '{"admin":[{"abilities":["root"]}]}' }, '未知权限: root'],
+  ['STORAGE_QUOTAS 不是 JSON', { STORAGE_QUOTAS: 'abc' }, 'STORAGE_QUOTAS 不是有效的 JSON'],
+  ['STORAGE_QUOTAS 的配额为负数', { STORAGE_QUOTAS: '{"users":{"1":-1}}' }, 'STORAGE_QUOTAS.users.1'],
+  ['STORAGE_QUOTAS 包含未知的键', { STORAGE_QUOTAS: '{"namespace":{}}' }, '未知的配置项: namespace'],
+  ['TOKEN_KEYS 缺少 kid', { TOKEN_KEYS: 'only-a-secret' }, 'TOKEN_KEYS 格式应为'],
+  ['TOKEN_KEYS 的 kid 重复', { TOKEN_KEYS: 'k1:a,k1:b' }, 'kid 重复: k1'],
+  ['ACCESS_TOKEN_TTL 格式无效', { ACCESS_TOKEN_TTL: 'forever' }, 'ACCESS_TOKEN_TTL'],
+  ['REFRESH_TOKEN_DAYS 不是正整数', { REFRESH_TOKEN_DAYS: '0' }, 'REFRESH_TOKEN_DAYS'],
+]) {
+  test(`${name}时启动失败`, () => {
+    const { error } = loadConfig(env);
+    assert.ok(error, '配置无效时应抛出错误');
+    assert.match(error, /配置无效/);
+    assert.ok(error.includes(message), error);
+  });
+}
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const tar = require('tar-stream');
+const { useTempDirs, startServer } = require('./setup');
+
+const { root, uploadDir } = useTempDirs();
+const tokens = require('../token');
+const app = require('../server');
+
+let server;
+const auth = { Authorization: `Bearer ${tokens.createToken('1', 'admin')}` };
+
+// 在内存中打包 tar，entries 为 [路径, 内容]
+async function createTar(entries) {
+  const pack = tar.pack();
+  for (const [name, content] of entries) {
+    pack.entry({ name }, content);
+  }
+  pack.finalize();
+  const chunks = [];
+  for await (const chunk of pack) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function extract(namespace, archive) {
+  const form = new FormData();
+  form.append('namespace', namespace);
+  form.append('file', new Blob([archive], { type: 'application/x-tar' }), 'site.tar');
+  return fetch(`http://127.0.0.1:${server.port}/upload/extract`, { method: 'POST', headers: auth, body: form });
+}
+
+test.before(async () => {
+  server = await startServer(app);
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('解压后保留目录结构', async () => {
+  const res = await extract('site', await createTar([['index.txt', 'home'], ['css/main.txt', 'styles']]));
+  assert.strictEqual(res.status, 200);
+  const body = await res.json();
+  assert.deepStrictEqual(body.files.map((file) => file.path), ['index.txt', 'css/main.txt']);
+  assert.strictEqual(fs.readFileSync(path.join(uploadDir, 'site', 'css', 'main.txt'), 'utf8'), 'styles');
+});
+
+test('保存中途失败时撤销已经保存的文件', async () => {
+  // 第二个条目的目录位置已经是一个文件，保存时出错
+  fs.mkdirSync(path.join(uploadDir, 'partial'), { recursive: true });
+  fs.writeFileSync(path.join(uploadDir, 'partial', 'sub'), 'existing');
+
+  const res = await extract('partial', await createTar([['first.txt', 'first'], ['sub/second.txt', 'second']]));
+  assert.notStrictEqual(res.status, 200);
+  assert.deepStrictEqual(fs.readdirSync(path.join(uploadDir, 'partial')), ['sub']);
+  assert.strictEqual(fs.readFileSync(path.join(uploadDir, 'partial', 'sub'), 'utf8'), 'existing');
+
+  const listed = await fetch(`http://127.0.0.1:${server.port}/files?namespace=partial`, { headers: auth });
+  assert.deepStrictEqual((await listed.json()).items.map((item) => item.name), ['sub']);
+});
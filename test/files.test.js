@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDirs, startServer, request } = require('./setup');
+
+const { root, uploadDir } = useTempDirs();
+const tokens = require('../token');
+const app = require('../server');
+
+let server;
+const auth = { Authorization: `Bearer ${tokens.createToken('1', 'admin')}` };
+
+test.before(async () => {
+  const dir = path.join(uploadDir, 'docs');
+  fs.mkdirSync(dir, { recursive: true });
+  for (let i = 0; i < 60; i++) {
+    fs.writeFileSync(path.join(dir, `file-${String(i).padStart(2, '0')}.txt`), 'x');
+  }
+  server = await startServer(app);
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('不传分页参数时返回全部条目，不附带分页信息', async () => {
+  const res = await request(server.port, 'GET', '/files?namespace=docs', { headers: auth });
+  assert.strictEqual(res.status, 200);
+  const body = res.json();
+  assert.strictEqual(body.items.length, 60);
+  assert.strictEqual(body.page, undefined);
+  assert.strictEqual(body.totalPages, undefined);
+});
+
+test('传入 page 或 pageSize 时分页返回', async () => {
+  const res = await request(server.port, 'GET', '/files?namespace=docs&page=2', { headers: auth });
+  const body = res.json();
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(body.items.length, 10);
+  assert.strictEqual(body.items[0].name, 'file-50.txt');
+  assert.deepStrictEqual([body.total, body.page, body.pageSize, body.totalPages], [60, 2, 50, 2]);
+
+  const sized = (await request(server.port, 'GET', '/files?namespace=docs&pageSize=7', { headers: auth })).json();
+  assert.deepStrictEqual([sized.items.length, sized.page, sized.totalPages], [7, 1, 9]);
+});
+
+test('分页参数不合法时返回 400', async () => {
+  const res = await request(server.port, 'GET', '/files?namespace=docs&pageSize=0', { headers: auth });
+  assert.strictEqual(res.status, 400);
+});
+
+test('多级命名空间中的文件地址不编码 /', async () => {
+  const form = new FormData();
+  form.append('namespace', 'blog/2024');
+  form.append('file', new Blob(['hello'], { type: 'text/plain' }), '笔记 1.txt');
+  const uploaded = await fetch(`http://127.0.0.1:${server.port}/upload`, { method: 'POST', headers: auth, body: form });
+  assert.strictEqual(uploaded.status, 200);
+  const { url, filename } = await uploaded.json();
+  assert.ok(url.endsWith(`/blog/2024/${encodeURIComponent(filename)}`), url);
+
+  const query = `namespace=${encodeURIComponent('blog/2024')}&filename=${encodeURIComponent(filename)}`;
+  const detail = await request(server.port, 'GET', `/file?${query}`, { headers: auth });
+  assert.strictEqual(detail.status, 200);
+  assert.strictEqual(detail.json().file.url, url);
+  assert.strictEqual((await fetch(url.replace(/^https?:\/\/[^/]+/, `http://127.0.0.1:${server.port}`))).status, 200);
+});
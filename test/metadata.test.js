@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { useTempDirs } = require('./setup');
+
+const { root } = useTempDirs();
+const metadata = require('../metadata');
+
+test.after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// 按全部记录重新统计，与增量维护的用量比较
+async function countUsage(userId) {
+  const records = await metadata.listFileMetadata();
+  return records.filter((record) => record.userId === userId).reduce((sum, record) => sum + (record.size || 0), 0);
+}
+
+async function assertUsage(expected) {
+  for (const [userId, bytes] of Object.entries(expected)) {
+    assert.strictEqual(await metadata.getUserUsage(userId), bytes, userId);
+    assert.strictEqual(await countUsage(userId), bytes, userId);
+  }
+}
+
+test('用户用量随元数据的写入、覆盖、复制、移动和删除增减', async () => {
+  await metadata.putFileMetadata('docs/a.txt', { size: 100, userId: '1' });
+  await metadata.putFileMetadata('docs/b.txt', { size: 50, userId: '1' });
+  await metadata.putFileMetadata('blog/c.txt', { size: 30, userId: '2' });
+  await assertUsage({ 1: 150, 2: 30 });
+
+  // 覆盖时先扣除原记录的大小，上传者变化时从原上传者扣除
+  await metadata.putFileMetadata('docs/b.txt', { size: 70, userId: '2' });
+  await assertUsage({ 1: 100, 2: 100 });
+
+  // 复制保留原上传者
+  await metadata.copyFileMetadata('docs', 'backup');
+  await assertUsage({ 1: 200, 2: 170 });
+
+  await metadata.moveFileMetadata('backup', 'archive/backup');
+  await assertUsage({ 1: 200, 2: 170 });
+
+  await metadata.removeFileMetadata('archive');
+  await metadata.removeFileMetadata('blog/c.txt');
+  await assertUsage({ 1: 100, 2: 70 });
+  assert.strictEqual(await metadata.getUserUsage('3'), 0);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { useTempDirs } = require('./setup');
+
+const { root, uploadDir } = useTempDirs();
+const objectStore = require('../objectStore');
+
+const filesDir = path.join(uploadDir, 'files');
+let counter = 0;
+
+function getObjectPath(hash) {
+  return path.join(uploadDir, '.objects', hash.substring(0, 2), hash);
+}
+
+// 写入临时文件并存入内容存储，返回最终文件路径
+async function store(content) {
+  const tempPath = path.join(root, `temp-${counter}`);
+  const destPath = path.join(filesDir, `file-${counter++}`);
+  fs.writeFileSync(tempPath, content);
+  const hash = crypto.createHash('sha256').update(content).digest('hex');
+  await objectStore.storeFile(tempPath, hash, destPath);
+  return { destPath, hash };
+}
+
+test.before(() => {
+  fs.mkdirSync(filesDir, { recursive: true });
+});
+
+test.after(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('最后一个引用删除后才释放内容', async () => {
+  const first = await store('shared');
+  const second = await store('shared');
+
+  await objectStore.releaseFile(first.destPath, first.hash);
+  assert.ok(fs.existsSync(getObjectPath(first.hash)));
+  await objectStore.releaseFile(second.destPath, second.hash);
+  assert.ok(!fs.existsSync(getObjectPath(first.hash)));
+});
+
+test('哈希未知或与内容不符时按实际内容释放', async () => {
+  const file = await store('unknown hash');
+  await objectStore.releaseFile(file.destPath, null);
+  assert.ok(!fs.existsSync(getObjectPath(file.hash)));
+
+  const other = await store('wrong hash');
+  await objectStore.releaseFile(other.destPath, file.hash);
+  assert.ok(!fs.existsSync(getObjectPath(other.hash)));
+});
+
+test('删除文件时只检查这份内容，不遍历整个内容存储', async () => {
+  // 没有引用的内容只会在启动时的 collectGarbage 中回收
+  const orphan = await store('orphan');
+  fs.unlinkSync(orphan.destPath);
+  const file = await store('released');
+  await objectStore.releaseFile(file.destPath, file.hash);
+  assert.ok(fs.existsSync(getObjectPath(orphan.hash)));
+
+  await objectStore.collectGarbage();
+  assert.ok(!fs.existsSync(getObjectPath(orphan.hash)));
+});
+
+test('回收和存入相同内容并发执行时不会丢失内容', async () => {
+  // 逐步推迟存入的开始时间，覆盖回收过程中的各个时间点
+  const delay = (rounds) => (rounds > 0 ? new Promise(setImmediate).then(() => delay(rounds - 1)) : Promise.resolve());
+  for (let i = 0; i < 60; i++) {
+    const existing = await store('racing');
+    const [, stored] = await Promise.all([
+      objectStore.releaseFile(existing.destPath, existing.hash),
+      delay(i % 20).then(() => store('racing')),
+    ]);
+    assert.strictEqual(fs.readFileSync(stored.destPath, 'utf8'), 'racing');
+    assert.ok(fs.existsSync(getObjectPath(stored.hash)));
+    await objectStore.releaseFile(stored.destPath, stored.hash);
+  }
+});
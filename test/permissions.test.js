@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { useTempDirs } = require('./setup');
+
+useTempDirs();
+const permissions = require('../permissions');
+
+const globalAdmin = { grants: [{ abilities: ['admin'], namespaces: null }] };
+const blogAdmin = { grants: [{ abilities: ['admin'], namespaces: ['blog'] }] };
+
+function runMiddleware(middleware, user) {
+  let status = null;
+  let nextCalled = false;
+  const req = { user, path: '/api-keys' };
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+  middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { status, nextCalled };
+}
+
+test('限定命名空间的 admin 只对这些命名空间中的路径有效', () => {
+  assert.strictEqual(permissions.canAccess(blogAdmin, 'delete', 'blog/a.png'), true);
+  assert.strictEqual(permissions.canAccess(blogAdmin, 'delete', 'images/a.png'), false);
+  assert.strictEqual(permissions.canAccess(blogAdmin, 'admin', ''), false);
+});
+
+test('限定命名空间的 admin 不能通过全局管理接口的检查', () => {
+  assert.strictEqual(permissions.hasGlobalAbility(blogAdmin, 'admin'), false);
+  assert.deepStrictEqual(runMiddleware(permissions.requireGlobalPermission('admin'), blogAdmin), { status: 403, nextCalled: false });
+});
+
+test('不限命名空间的 admin 可以通过全局管理接口的检查', () => {
+  assert.strictEqual(permissions.hasGlobalAbility(globalAdmin, 'admin'), true);
+  assert.deepStrictEqual(runMiddleware(permissions.requireGlobalPermission('admin'), globalAdmin), { status: null, nextCalled: true });
+});
+
+test('按角色查找授权', () => {
+  assert.strictEqual(permissions.hasGlobalAbility({ userType: 'admin' }, 'admin'), true);
+  assert.strictEqual(permissions.hasGlobalAbility({ userType: 'blog' }, 'upload'), false);
+  assert.strictEqual(permissions.hasAbility({ userType: 'blog' }, 'upload'), true);
+  assert.strictEqual(permissions.hasGlobalAbility({ userType: 'unknown' }, 'read'), false);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { useTempDirs, startServer, request } = require('./setup');
+
+const { root, uploadDir } = useTempDirs();
+const signedUrl = require('../signedUrl');
+const app = require('../server');
+
+let server;
+
+test.before(async () => {
+  fs.mkdirSync(path.join(uploadDir, 'secret'), { recursive: true });
+  fs.writeFileSync(path.join(uploadDir, 'secret', 'a.txt'), 'top secret');
+  fs.mkdirSync(path.join(uploadDir, 'public'), { recursive: true });
+  fs.writeFileSync(path.join(uploadDir, 'public', 'b.txt'), 'hello');
+  await signedUrl.setNamespacePrivate('secret', true);
+  server = await startServer(app);
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('私有命名空间中的文件没有签名时拒绝访问', async () => {
+  const res = await request(server.port, 'GET', '/secret/a.txt');
+  assert.strictEqual(res.status, 403);
+  assert.doesNotMatch(res.body, /top secret/);
+});
+
+test('带有效签名时可以访问私有文件', async () => {
+  const { expires, signature } = signedUrl.createSignature('secret/a.txt', 60);
+  const res = await request(server.port, 'GET', `/secret/a.txt?expires=${expires}&signature=${signature}`);
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body, 'top secret');
+});
+
+test('不能用 . 或 .. 片段绕过私有检查', async () => {
+  for (const rawPath of ['/./secret/a.txt', '/x/../secret/a.txt', '/%2e/secret/a.txt', '/public/%2e%2e/secret/a.txt']) {
+    const res = await request(server.port, 'GET', rawPath);
+    assert.notStrictEqual(res.status, 200, rawPath);
+    assert.doesNotMatch(res.body, /top secret/, rawPath);
+  }
+});
+
+test('不能用编码的 / 或重复的 / 绕过私有检查', async () => {
+  for (const rawPath of ['/secret%2Fa.txt', '//secret/a.txt', '/secret//a.txt']) {
+    const res = await request(server.port, 'GET', rawPath);
+    assert.notStrictEqual(res.status, 200, rawPath);
+    assert.doesNotMatch(res.body, /top secret/, rawPath);
+  }
+});
+
+test('公开文件不受影响', async () => {
+  const res = await request(server.port, 'GET', '/public/b.txt');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body, 'hello');
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { useTempDirs, startServer, request } = require('./setup');
+
+const { root } = useTempDirs();
+process.env.STORAGE_QUOTAS = JSON.stringify({ namespaces: { limited: 100 } });
+const tokens = require('../token');
+const app = require('../server');
+
+let server;
+const auth = { Authorization: `Bearer ${tokens.createToken('1', 'admin')}` };
+
+function upload(namespace, name, size) {
+  const form = new FormData();
+  form.append('namespace', namespace);
+  form.append('file', new Blob(['x'.repeat(size)], { type: 'text/plain' }), name);
+  return fetch(`http://127.0.0.1:${server.port}/upload`, { method: 'POST', headers: auth, body: form });
+}
+
+async function usage() {
+  const res = await request(server.port, 'GET', '/quota', { headers: auth });
+  return res.json().namespaces.find((item) => item.key === 'limited').used;
+}
+
+test.before(async () => {
+  server = await startServer(app);
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('并发上传不能一起超出命名空间配额', async () => {
+  const responses = await Promise.all([upload('limited', 'a.txt', 60), upload('limited', 'b.txt', 60)]);
+  assert.deepStrictEqual(responses.map((res) => res.status).sort(), [200, 413]);
+  assert.strictEqual(await usage(), 60);
+});
+
+test('复制和移动到有配额的命名空间时检查配额', async () => {
+  assert.strictEqual((await upload('free', 'big.txt', 50)).status, 200);
+
+  const copy = await request(server.port, 'POST', '/file/copy', {
+    headers: auth,
+    body: { name: 'big.txt', namespace: 'free', targetNamespace: 'limited' },
+  });
+  assert.strictEqual(copy.status, 413);
+  assert.strictEqual(copy.json().key, 'limited');
+
+  const move = await request(server.port, 'PUT', '/file/move', {
+    headers: auth,
+    body: { name: 'big.txt', namespace: 'free', targetNamespace: 'limited' },
+  });
+  assert.strictEqual(move.status, 413);
+  assert.strictEqual(await usage(), 60);
+});
+
+test('删除、移出和移入后更新命名空间用量', async () => {
+  const files = (await request(server.port, 'GET', '/files?namespace=limited', { headers: auth })).json().items;
+  assert.strictEqual(files.length, 1);
+
+  const moveOut = await request(server.port, 'PUT', '/file/move', {
+    headers: auth,
+    body: { name: files[0].name, namespace: 'limited', targetNamespace: 'free' },
+  });
+  assert.strictEqual(moveOut.status, 200);
+  assert.strictEqual(await usage(), 0);
+
+  const moveIn = await request(server.port, 'PUT', '/file/move', {
+    headers: auth,
+    body: { name: 'big.txt', namespace: 'free', targetNamespace: 'limited' },
+  });
+  assert.strictEqual(moveIn.status, 200);
+  assert.strictEqual(await usage(), 50);
+
+  const removed = await request(server.port, 'DELETE', '/delete', {
+    headers: auth,
+    body: { name: 'big.txt', namespace: 'limited' },
+  });
+  assert.strictEqual(removed.status, 200);
+  assert.strictEqual(await usage(), 0);
+});
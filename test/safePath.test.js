@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { useTempDirs } = require('./setup');
+
+const { root, uploadDir } = useTempDirs();
+const { InvalidPathError, resolveUploadPath } = require('../safePath');
+
+async function assertRejected(parts, message) {
+  await assert.rejects(resolveUploadPath(parts), (err) => {
+    assert.ok(err instanceof InvalidPathError);
+    assert.strictEqual(err.status, 400);
+    assert.strictEqual(err.message, message);
+    return true;
+  });
+}
+
+test('普通参数解析为上传目录中的路径', async () => {
+  assert.strictEqual(await resolveUploadPath({ namespace: 'blog', name: 'a.png' }), path.join(uploadDir, 'blog', 'a.png'));
+  assert.strictEqual(await resolveUploadPath({ namespace: 'blog/2024/', name: '' }), path.join(uploadDir, 'blog', '2024'));
+  assert.strictEqual(await resolveUploadPath({}), uploadDir);
+});
+
+test('拒绝非字符串参数', async () => {
+  await assertRejected({ namespace: ['blog'] }, '路径参数必须是字符串');
+});
+
+test('拒绝空字节', async () => {
+  await assertRejected({ name: 'a.png\0.txt' }, '路径参数不能包含空字节');
+});
+
+test('拒绝绝对路径、盘符和 UNC 路径', async () => {
+  await assertRejected({ namespace: '/etc' }, '路径参数不能是绝对路径');
+  await assertRejected({ namespace: 'C:\\Windows' }, '路径参数不能是绝对路径');
+  await assertRejected({ namespace: '\\\\server\\share' }, '路径参数不能是绝对路径');
+});
+
+test('拒绝 . 和 .. 片段', async () => {
+  await assertRejected({ namespace: '..' }, '路径参数不能包含 . 或 .. 片段');
+  await assertRejected({ namespace: 'blog/../../etc' }, '路径参数不能包含 . 或 .. 片段');
+  await assertRejected({ namespace: 'blog\\..\\..\\etc' }, '路径参数不能包含 . 或 .. 片段');
+  await assertRejected({ name: './a.png' }, '路径参数不能包含 . 或 .. 片段');
+});
+
+test('不解码百分号编码，%2e%2e 只是普通的名称', async () => {
+  assert.strictEqual(await resolveUploadPath({ namespace: '%2e%2e', name: 'passwd' }), path.join(uploadDir, '%2e%2e', 'passwd'));
+});
+
+test('拒绝根目录下的系统目录', async () => {
+  for (const reserved of ['temp', '.objects', '.trash']) {
+    await assertRejected({ namespace: reserved }, '不允许访问系统目录');
+    await assertRejected({ namespace: `${reserved}/x` }, '不允许访问系统目录');
+  }
+  // 只保留根目录下的名称，子目录中同名的目录可以使用
+  assert.strictEqual(await resolveUploadPath({ namespace: 'blog/temp' }), path.join(uploadDir, 'blog', 'temp'));
+});
+
+test('拒绝指向上传目录之外的符号链接', async () => {
+  const outside = path.join(root, 'outside');
+  fs.mkdirSync(outside, { recursive: true });
+  fs.symlinkSync(outside, path.join(uploadDir, 'escape'));
+  await assertRejected({ namespace: 'escape' }, '路径指向了上传目录之外');
+  await assertRejected({ namespace: 'escape', name: 'new.txt' }, '路径指向了上传目录之外');
+});
+
+test('拒绝目标不存在的符号链接', async () => {
+  fs.symlinkSync(path.join(root, 'missing'), path.join(uploadDir, 'dangling'));
+  await assertRejected({ name: 'dangling' }, '路径指向了上传目录之外');
+});
+
+test('允许指向上传目录之内的符号链接', async () => {
+  fs.mkdirSync(path.join(uploadDir, 'real'), { recursive: true });
+  fs.symlinkSync(path.join(uploadDir, 'real'), path.join(uploadDir, 'alias'));
+  assert.strictEqual(await resolveUploadPath({ namespace: 'alias' }), path.join(uploadDir, 'alias'));
+});
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
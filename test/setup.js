@@ -0,0 +1,63 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+
+/**
+ * 为当前测试进程创建独立的上传目录和数据目录，必须在加载 config 之前调用
+ * @returns {{root: string, uploadDir: string, dataDir: string}}
+ */
+function useTempDirs() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'admin-file-test-'));
+  const uploadDir = path.join(root, 'uploads');
+  const dataDir = path.join(root, 'data');
+  process.env.UPLOAD_DIR = uploadDir;
+  process.env.DATA_DIR = dataDir;
+  process.env.TEMP_DIR = path.join(uploadDir, 'temp');
+  process.env.AVATAR_DIR = path.join(uploadDir, 'blog', 'avatars');
+  process.env.STORAGE_DRIVER = 'local';
+  process.env.NODE_ENV = 'production';
+  return { root, uploadDir, dataDir };
+}
+
+/**
+ * 在随机端口启动 app
+ * @returns {Promise<{port: number, close: function}>}
+ */
+function startServer(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({ port: server.address().port, close: () => new Promise((done) => server.close(done)) });
+    });
+  });
+}
+
+/**
+ * 发送请求，路径原样发送（fetch 会规范化 . 和 .. 片段，无法测试这类请求）
+ * @param {number} port - 端口
+ * @param {string} method - 请求方法
+ * @param {string} rawPath - 请求路径
+ * @param {object} options - { headers, body }，body 为对象时按 JSON 发送
+ * @returns {Promise<{status: number, headers: object, body: string, json: function}>}
+ */
+function request(port, method, rawPath, { headers = {}, body } = {}) {
+  const payload = body === undefined ? null : typeof body === 'string' ? body : JSON.stringify(body);
+  const requestHeaders = { ...headers };
+  if (payload !== null && typeof body !== 'string') requestHeaders['Content-Type'] = 'application/json';
+  // DELETE 请求默认不带 Content-Length，请求体会被当作下一个请求解析
+  if (payload !== null) requestHeaders['Content-Length'] = Buffer.byteLength(payload);
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: rawPath, headers: requestHeaders }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => (text += chunk));
+      res.on('end', () =>
+        resolve({ status: res.statusCode, headers: res.headers, body: text, json: () => JSON.parse(text) })
+      );
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+module.exports = { useTempDirs, startServer, request };
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDirs, startServer, request } = require('./setup');
+
+const { root, uploadDir } = useTempDirs();
+const tokens = require('../token');
+const app = require('../server');
+
+const content = '0123456789abcdef';
+let server;
+const auth = { Authorization: `Bearer ${tokens.createToken('1', 'admin')}` };
+
+async function createShare(options = {}) {
+  const res = await request(server.port, 'POST', '/share', {
+    headers: auth,
+    body: { namespace: 'docs', filename: 'a.txt', ...options },
+  });
+  assert.strictEqual(res.status, 200, res.body);
+  return res.json().share;
+}
+
+async function getDownloads(id) {
+  const { items } = (await request(server.port, 'GET', '/shares', { headers: auth })).json();
+  return items.find((item) => item.id === id).downloads;
+}
+
+test.before(async () => {
+  fs.mkdirSync(path.join(uploadDir, 'docs'), { recursive: true });
+  fs.writeFileSync(path.join(uploadDir, 'docs', 'a.txt'), content);
+  server = await startServer(app);
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('包含第一个字节的范围请求计入下载次数', async () => {
+  const share = await createShare({ maxDownloads: 2 });
+
+  const suffix = await request(server.port, 'GET', `/share/${share.id}`, { headers: { Range: `bytes=-${content.length}` } });
+  assert.strictEqual(suffix.status, 206);
+  assert.strictEqual(suffix.body, content);
+  assert.strictEqual(await getDownloads(share.id), 1);
+
+  const padded = await request(server.port, 'GET', `/share/${share.id}`, { headers: { Range: 'bytes=00-' } });
+  assert.strictEqual(padded.status, 206);
+  assert.strictEqual(padded.body, content);
+  assert.strictEqual(await getDownloads(share.id), 2);
+
+  const exhausted = await request(server.port, 'GET', `/share/${share.id}`, { headers: { Range: 'bytes= 0-' } });
+  assert.strictEqual(exhausted.status, 410);
+});
+
+test('不包含第一个字节或无法满足的范围请求不计数，格式无效的 Range 计数', async () => {
+  const share = await createShare({ maxDownloads: 5 });
+
+  // 无法满足的范围返回 416，不发送内容
+  const unsatisfiable = await request(server.port, 'GET', `/share/${share.id}`, { headers: { Range: 'bytes=-999999999' } });
+  assert.strictEqual(unsatisfiable.status, 416);
+  assert.strictEqual(await getDownloads(share.id), 0);
+
+  const tail = await request(server.port, 'GET', `/share/${share.id}`, { headers: { Range: 'bytes=4-7' } });
+  assert.strictEqual(tail.status, 206);
+  assert.strictEqual(tail.body, '4567');
+  assert.strictEqual(await getDownloads(share.id), 0);
+
+  const malformed = await request(server.port, 'GET', `/share/${share.id}`, { headers: { Range: 'bytes=abc' } });
+  assert.strictEqual(malformed.status, 200);
+  assert.strictEqual(malformed.body, content);
+  assert.strictEqual(await getDownloads(share.id), 1);
+});
+
+test('分享密码只从 Share-Password 请求头读取', async () => {
+  const share = await createShare({ password: 'open sesame' });
+
+  const missing = await request(server.port, 'GET', `/share/${share.id}`);
+  assert.strictEqual(missing.status, 401);
+  assert.strictEqual(missing.json().passwordRequired, true);
+
+  const query = await request(server.port, 'GET', `/share/${share.id}?password=${encodeURIComponent('open sesame')}`);
+  assert.strictEqual(query.status, 401);
+
+  const wrong = await request(server.port, 'GET', `/share/${share.id}`, { headers: { 'Share-Password': 'guess' } });
+  assert.strictEqual(wrong.status, 401);
+  assert.strictEqual(wrong.json().error, '分享密码错误');
+
+  const ok = await request(server.port, 'GET', `/share/${share.id}`, { headers: { 'Share-Password': 'open sesame' } });
+  assert.strictEqual(ok.status, 200);
+  assert.strictEqual(ok.body, content);
+});
+
+test('下载次数用完后返回 410，目录列表不计数', async () => {
+  const share = await createShare({ maxDownloads: 1 });
+  const first = await request(server.port, 'GET', `/share/${share.id}`);
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(first.body, content);
+
+  const second = await request(server.port, 'GET', `/share/${share.id}`);
+  assert.strictEqual(second.status, 410);
+  assert.match(second.json().error, /下载次数已用完/);
+
+  const dirRes = await request(server.port, 'POST', '/share', { headers: auth, body: { namespace: 'docs', maxDownloads: 1 } });
+  const dir = dirRes.json().share;
+  const listing = await request(server.port, 'GET', `/share/${dir.id}`);
+  assert.strictEqual(listing.status, 200);
+  assert.deepStrictEqual(listing.json().files.map((file) => file.path), ['a.txt']);
+  assert.strictEqual(listing.json().remainingDownloads, 1);
+  assert.strictEqual((await request(server.port, 'GET', `/share/${dir.id}/a.txt`)).status, 200);
+  assert.strictEqual((await request(server.port, 'GET', `/share/${dir.id}/a.txt`)).status, 410);
+});
+
+test('过期的分享返回 410', async (t) => {
+  const share = await createShare({ expiresIn: 60 });
+  assert.strictEqual((await request(server.port, 'GET', `/share/${share.id}`)).status, 200);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 61 * 1000 });
+  const expired = await request(server.port, 'GET', `/share/${share.id}`);
+  assert.strictEqual(expired.status, 410);
+  assert.match(expired.json().error, /已过期/);
+});
+
+test('目录分享不能访问目录之外的文件', async () => {
+  fs.mkdirSync(path.join(uploadDir, 'docs', 'public'), { recursive: true });
+  fs.writeFileSync(path.join(uploadDir, 'docs', 'public', 'b.txt'), 'public');
+  const res = await request(server.port, 'POST', '/share', { headers: auth, body: { namespace: 'docs/public' } });
+  const { id } = res.json().share;
+
+  assert.strictEqual((await request(server.port, 'GET', `/share/${id}/b.txt`)).body, 'public');
+  assert.strictEqual((await request(server.port, 'GET', `/share/${id}/../a.txt`)).status, 404);
+  assert.strictEqual((await request(server.port, 'GET', `/share/${id}/%2e%2e/a.txt`)).status, 404);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { useTempDirs, startServer, request } = require('./setup');
+
+const { root, uploadDir } = useTempDirs();
+const tokens = require('../token');
+const app = require('../server');
+
+let server;
+const auth = { Authorization: `Bearer ${tokens.createToken('1', 'admin')}` };
+
+async function upload(namespace, name, content) {
+  const form = new FormData();
+  form.append('namespace', namespace);
+  form.append('file', new Blob([content], { type: 'text/plain' }), name);
+  const res = await fetch(`http://127.0.0.1:${server.port}/upload`, { method: 'POST', headers: auth, body: form });
+  assert.strictEqual(res.status, 200);
+  return (await res.json()).filename;
+}
+
+async function remove(namespace, name) {
+  const res = await request(server.port, 'DELETE', '/delete', { headers: auth, body: { name, namespace } });
+  assert.strictEqual(res.status, 200, res.body);
+  return res.json().trashId;
+}
+
+async function listTrash() {
+  return (await request(server.port, 'GET', '/trash', { headers: auth })).json().items;
+}
+
+// 对象目录中仍然保存的文件内容数量
+function countObjects() {
+  const objectDir = path.join(uploadDir, '.objects');
+  if (!fs.existsSync(objectDir)) return 0;
+  return fs.readdirSync(objectDir, { recursive: true }).filter((name) => fs.statSync(path.join(objectDir, name)).isFile()).length;
+}
+
+test.before(async () => {
+  server = await startServer(app);
+});
+
+test.after(async () => {
+  await server.close();
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('删除的文件进入回收站，可以恢复到原位置', async () => {
+  const filename = await upload('docs', 'report.txt', 'quarterly report');
+  const trashId = await remove('docs', filename);
+  assert.strictEqual(fs.existsSync(path.join(uploadDir, 'docs', filename)), false);
+  const entry = (await listTrash()).find((item) => item.id === trashId);
+  assert.strictEqual(entry.originalPath, `docs/${filename}`);
+
+  const restored = await request(server.port, 'POST', '/trash/restore', { headers: auth, body: { id: trashId } });
+  assert.strictEqual(restored.status, 200, restored.body);
+  assert.strictEqual(restored.json().restoredPath, `docs/${filename}`);
+  assert.strictEqual(fs.readFileSync(path.join(uploadDir, 'docs', filename), 'utf8'), 'quarterly report');
+  assert.strictEqual((await listTrash()).some((item) => item.id === trashId), false);
+
+  // 元数据随文件一起恢复
+  const detail = await request(server.port, 'GET', `/file?namespace=docs&filename=${encodeURIComponent(filename)}`, { headers: auth });
+  assert.strictEqual(detail.status, 200);
+  assert.strictEqual(detail.json().file.originalName, 'report.txt');
+});
+
+test('原位置已有同名文件时恢复为新名称', async () => {
+  const filename = await upload('docs', 'notes.txt', 'old notes');
+  const trashId = await remove('docs', filename);
+  fs.writeFileSync(path.join(uploadDir, 'docs', filename), 'new notes');
+
+  const restored = await request(server.port, 'POST', '/trash/restore', { headers: auth, body: { id: trashId } });
+  assert.strictEqual(restored.status, 200, restored.body);
+  const { name } = restored.json();
+  assert.notStrictEqual(name, filename);
+  assert.strictEqual(fs.readFileSync(path.join(uploadDir, 'docs', filename), 'utf8'), 'new notes');
+  assert.strictEqual(fs.readFileSync(path.join(uploadDir, 'docs', name), 'utf8'), 'old notes');
+});
+
+test('彻底删除后不能恢复，文件内容被释放', async () => {
+  const objectsBefore = countObjects();
+  const filename = await upload('docs', 'secret.txt', 'purge me please');
+  assert.strictEqual(countObjects(), objectsBefore + 1);
+  const trashId = await remove('docs', filename);
+
+  const purged = await request(server.port, 'DELETE', `/trash/${trashId}`, { headers: auth });
+  assert.strictEqual(purged.status, 200, purged.body);
+  assert.strictEqual(countObjects(), objectsBefore);
+  assert.strictEqual((await listTrash()).some((item) => item.id === trashId), false);
+  const restored = await request(server.port, 'POST', '/trash/restore', { headers: auth, body: { id: trashId } });
+  assert.strictEqual(restored.status, 404);
+});
+
+test('清空回收站', async () => {
+  await remove('docs', await upload('docs', 'one.txt', 'one'));
+  await remove('docs', await upload('docs', 'two.txt', 'two'));
+  const count = (await listTrash()).length;
+  assert.ok(count >= 2);
+
+  const emptied = await request(server.port, 'DELETE', '/trash', { headers: auth });
+  assert.strictEqual(emptied.status, 200, emptied.body);
+  assert.strictEqual(emptied.json().purged, count);
+  assert.deepStrictEqual(await listTrash(), []);
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { useTempDirs } = require('./setup');
+
+const { root } = useTempDirs();
+const { UrlImportError, downloadToFile } = require('../urlImport');
+
+const body = 'hello from the stub server';
+let server;
+let base;
+
+// 本地源站：/file 返回文件，/redirect 重定向到 to 参数，/stream 不带 Content-Length，/hang 和 /stall 不再响应
+function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname === '/file') {
+    res.writeHead(200, { 'Content-Type': 'text/plain', 'Content-Disposition': 'attachment; filename="stub.txt"' });
+    return res.end(body);
+  }
+  if (url.pathname === '/redirect') {
+    res.writeHead(302, { Location: url.searchParams.get('to') });
+    return res.end();
+  }
+  if (url.pathname === '/stream') {
+    res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+    res.write('x'.repeat(64));
+    return res.end('x'.repeat(64));
+  }
+  if (url.pathname === '/stall') {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    return res.write('partial');
+  }
+  if (url.pathname === '/hang') return;
+  res.writeHead(404);
+  res.end();
+}
+
+let destCounter = 0;
+function destPath() {
+  return path.join(root, `download-${destCounter++}`);
+}
+
+async function assertImportError(promise, status, pattern) {
+  await assert.rejects(promise, (err) => {
+    assert.ok(err instanceof UrlImportError, err.stack);
+    assert.strictEqual(err.status, status);
+    if (pattern) assert.match(err.message, pattern);
+    return true;
+  });
+}
+
+test.before(async () => {
+  server = http.createServer(handle);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('默认拒绝本机和内网地址', async () => {
+  const dest = destPath();
+  await assertImportError(downloadToFile(`http://${base}/file`, dest, { maxSize: 1024 }), 403, /内网或本机/);
+  await assertImportError(downloadToFile(`http://localhost:${server.address().port}/file`, destPath(), { maxSize: 1024 }), 403);
+  await assertImportError(downloadToFile('http://[::ffff:127.0.0.1]/file', destPath(), { maxSize: 1024 }), 403);
+  assert.ok(!fs.existsSync(dest));
+});
+
+test('允许列表中的地址可以访问', async () => {
+  for (const allowedHosts of [['127.0.0.1'], ['127.0.0.0/8']]) {
+    const dest = destPath();
+    const result = await downloadToFile(`http://${base}/file`, dest, { maxSize: 1024, allowedHosts });
+    assert.strictEqual(fs.readFileSync(dest, 'utf8'), body);
+    assert.strictEqual(result.filename, 'stub.txt');
+    assert.strictEqual(result.mimetype, 'text/plain');
+    assert.strictEqual(result.size, body.length);
+  }
+});
+
+test('重定向到内网地址时拒绝', async () => {
+  const port = server.address().port;
+  // 起始地址按主机名放行，重定向的目标地址不在允许列表中
+  const to = encodeURIComponent(`http://127.0.0.1:${port}/file`);
+  await assertImportError(
+    downloadToFile(`http://localhost:${port}/redirect?to=${to}`, destPath(), { maxSize: 1024, allowedHosts: ['localhost'] }),
+    403
+  );
+  await assertImportError(
+    downloadToFile(`http://localhost:${port}/redirect?to=${encodeURIComponent('http://169.254.169.254/')}`, destPath(), {
+      maxSize: 1024,
+      allowedHosts: ['localhost'],
+    }),
+    403
+  );
+
+  const dest = destPath();
+  await downloadToFile(`http://localhost:${port}/redirect?to=${encodeURIComponent(`http://localhost:${port}/file`)}`, dest, {
+    maxSize: 1024,
+    allowedHosts: ['localhost'],
+  });
+  assert.strictEqual(fs.readFileSync(dest, 'utf8'), body);
+});
+
+test('超出大小限制时拒绝并删除已下载的部分', async () => {
+  const options = { maxSize: 10, allowedHosts: ['127.0.0.1'] };
+  await assertImportError(downloadToFile(`http://${base}/file`, destPath(), options), 413);
+
+  // 没有 Content-Length 时按实际收到的字节数限制
+  const dest = destPath();
+  await assertImportError(downloadToFile(`http://${base}/stream`, dest, { ...options, maxSize: 100 }), 413);
+  assert.ok(!fs.existsSync(dest));
+});
+
+test('源站无响应时超时', async () => {
+  const options = { maxSize: 1024, allowedHosts: ['127.0.0.1'], timeout: 200 };
+  await assertImportError(downloadToFile(`http://${base}/hang`, destPath(), options), 504, /超时/);
+
+  const dest = destPath();
+  await assertImportError(downloadToFile(`http://${base}/stall`, dest, options), 504, /超时/);
+  assert.ok(!fs.existsSync(dest));
+});
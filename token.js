@@ -1,38 +1,228 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
-require('dotenv').config();
+const config = require('./config');
 const { logger } = require('./logger');
+const { createJsonStore } = require('./jsonStore');
+const { getUserById } = require('./users');
 
-const config = {
-  SECRET_KEY: process.env.SECRET_KEY || 'your-default-secret-key-change-in-production'
-};
+/**
+ * 签名密钥列表（config.tokenKeys），每个密钥有一个 kid，令牌头中的 kid 决定用哪个密钥验证
+ * 第一个用于签发新令牌，其余只用于验证旧令牌；没有 kid 的旧令牌按 default 验证
+ * 轮换时把新密钥放在最前面，旧密钥保留到其签发的令牌全部过期
+ */
+const keys = config.tokenKeys;
+const signingKey = keys[0];
+
+// 已撤销的访问令牌（jti 到过期时间）和用户级别的撤销时间（早于该时间签发的令牌全部失效）
+const revocationStore = createJsonStore('revoked-tokens.json', () => ({ tokens: {}, users: {} }));
+// 刷新令牌只保存哈希；同一次登录轮换出的令牌属于同一个 family
+const refreshStore = createJsonStore('refresh-tokens.json', () => ({ tokens: {} }));
+
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+// 删除同一次登录轮换出的全部刷新令牌
+function removeFamily(data, family) {
+  for (const [key, value] of Object.entries(data.tokens)) {
+    if (value.family === family) delete data.tokens[key];
+  }
+}
+
+// 清理已过期的撤销记录和刷新令牌，避免文件无限增长
+function pruneExpired(data, now) {
+  for (const [key, value] of Object.entries(data.tokens)) {
+    const expiresAt = typeof value === 'number' ? value * 1000 : new Date(value.expiresAt).getTime();
+    if (expiresAt < now) delete data.tokens[key];
+  }
+}
 
+/**
+ * 签发访问令牌
+ * @param {string|number} userId - 用户ID
+ * @param {string} userType - 用户角色
+ * @returns {string} JWT
+ */
 function createToken(userId, userType) {
   userId = userId.toString();
   return jwt.sign(
-    {  userId,userType },  // 载荷
-    config.SECRET_KEY,                     // 密钥
+    { userId, userType },  // 载荷
+    signingKey.secret,                     // 密钥
     {                                         // 配置项（合并所有参数）
       issuer: 'auth0',
-      expiresIn: '7d',
-      algorithm: 'HS256'                     // 算法配置移到这里
+      expiresIn: config.accessTokenTtl,
+      algorithm: 'HS256',                    // 算法配置移到这里
+      keyid: signingKey.kid,
+      jwtid: crypto.randomBytes(16).toString('hex'),
     }
   );
 }
 
-function verifyToken(token) {
+/**
+ * 签发刷新令牌（随机字符串，不是 JWT），角色在刷新时从用户库重新读取，不保存在令牌记录中
+ * @param {object} user - { userId }
+ * @param {string} family - 所属的登录会话，首次登录时不提供
+ * @returns {Promise<string>} 刷新令牌
+ */
+async function createRefreshToken({ userId }, family) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  await refreshStore.update((data) => {
+    pruneExpired(data, Date.now());
+    data.tokens[hashRefreshToken(refreshToken)] = {
+      userId: userId.toString(),
+      family: family || crypto.randomBytes(8).toString('hex'),
+      issuedAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + config.refreshTokenDays * 24 * 60 * 60 * 1000).toISOString(),
+      usedAt: null,
+    };
+  });
+  return refreshToken;
+}
+
+/**
+ * 签发一对访问令牌和刷新令牌
+ * @param {object} user - { userId, userType }
+ * @param {string} family - 所属的登录会话，首次登录时不提供
+ * @returns {Promise<object>} { accessToken, refreshToken, tokenType, expiresIn }
+ */
+async function issueTokens(user, family) {
+  const accessToken = createToken(user.userId, user.userType);
+  const { exp, iat } = jwt.decode(accessToken);
+  return {
+    accessToken,
+    refreshToken: await createRefreshToken(user, family),
+    tokenType: 'Bearer',
+    expiresIn: exp - iat,
+  };
+}
+
+/**
+ * 使用刷新令牌换取新的令牌对，旧的刷新令牌随即失效
+ * 已使用过的刷新令牌再次出现说明可能被盗用，整个登录会话的刷新令牌都会被撤销
+ * @param {string} refreshToken - 刷新令牌
+ * @returns {Promise<object|null>} 新的令牌对，刷新令牌无效时返回 null
+ */
+async function refreshTokens(refreshToken) {
+  const hash = hashRefreshToken(refreshToken);
+  const record = await refreshStore.update((data) => {
+    const now = Date.now();
+    pruneExpired(data, now);
+    const current = data.tokens[hash];
+    if (!current) return null;
+
+    if (current.usedAt) {
+      removeFamily(data, current.family);
+      logger.warn('检测到刷新令牌被重复使用，已撤销该登录会话', { userId: current.userId, family: current.family });
+      return null;
+    }
+    current.usedAt = new Date(now).toISOString();
+    return { ...current };
+  });
+  if (!record) return null;
+
+  // 用户被整体撤销后，撤销前签发的刷新令牌也不能再使用
+  const { users } = await revocationStore.read();
+  const notBefore = users[record.userId];
+  if (notBefore && new Date(record.issuedAt).getTime() < (notBefore + 1) * 1000) {
+    return null;
+  }
+
+  // 按用户库中的当前角色签发，用户已被删除时撤销整个登录会话
+  const user = await getUserById(record.userId);
+  if (!user) {
+    await refreshStore.update((data) => removeFamily(data, record.family));
+    logger.warn('刷新令牌的用户已不存在，已撤销该登录会话', { userId: record.userId, family: record.family });
+    return null;
+  }
+  return issueTokens({ userId: user.id, userType: user.userType }, record.family);
+}
+
+/**
+ * 撤销刷新令牌所属的整个登录会话
+ * @param {string} refreshToken - 刷新令牌
+ */
+async function revokeRefreshToken(refreshToken) {
+  const hash = hashRefreshToken(refreshToken);
+  await refreshStore.update((data) => {
+    const current = data.tokens[hash];
+    if (!current) return;
+    removeFamily(data, current.family);
+  });
+}
+
+/**
+ * 撤销单个访问令牌，直到它自然过期
+ * @param {object} payload - verifyToken 返回的载荷（需要 jti 和 exp）
+ */
+async function revokeToken(payload) {
+  if (!payload.jti) return;
+  await revocationStore.update((data) => {
+    pruneExpired(data, Date.now());
+    data.tokens[payload.jti] = payload.exp;
+  });
+}
+
+/**
+ * 撤销用户当前所有的访问令牌和刷新令牌（例如修改密码或账号被盗后）
+ * @param {string} userId - 用户ID
+ */
+async function revokeUserTokens(userId) {
+  userId = userId.toString();
+  await revocationStore.update((data) => {
+    data.users[userId] = Math.floor(Date.now() / 1000);
+  });
+  await refreshStore.update((data) => {
+    for (const [key, value] of Object.entries(data.tokens)) {
+      if (value.userId === userId) delete data.tokens[key];
+    }
+  });
+}
+
+/**
+ * 验证访问令牌：按 kid 选择密钥校验签名，再检查撤销列表
+ * @param {string} token - JWT
+ * @returns {Promise<object|false>} 载荷，无效时返回 false
+ */
+async function verifyToken(token) {
   try {
-    return jwt.verify(
+    const decoded = jwt.decode(token, { complete: true });
+    const kid = decoded?.header?.kid || 'default';
+    const key = keys.find((item) => item.kid === kid);
+    if (!key) {
+      throw new Error(`未知的密钥ID: ${kid}`);
+    }
+
+    const payload = jwt.verify(
       token,
-      config.SECRET_KEY,  // 密钥保持一致
+      key.secret,  // 密钥保持一致
       {
         issuer: 'auth0',  // 验证issuer
         algorithms: ['HS256']  // 显式指定允许的算法，增强安全性
       }
     );
+
+    const { tokens, users } = await revocationStore.read();
+    if (payload.jti && tokens[payload.jti]) {
+      throw new Error('令牌已被撤销');
+    }
+    // iat 只精确到秒，与撤销时间在同一秒内签发的令牌也视为已撤销
+    const notBefore = users[payload.userId];
+    if (notBefore && payload.iat <= notBefore) {
+      throw new Error('令牌已被撤销');
+    }
+    return payload;
   } catch (error) {
     logger.warn('验证Token失败', { error: error.message, token: token.substring(0, 20) + '...' });
     return false;
   }
 }
 
-module.exports = { createToken, verifyToken };
\ No newline at end of file
+module.exports = {
+  createToken,
+  verifyToken,
+  issueTokens,
+  refreshTokens,
+  revokeToken,
+  revokeRefreshToken,
+  revokeUserTokens,
+};
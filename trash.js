@@ -0,0 +1,204 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { logger } = require('./logger');
+const config = require('./config');
+const objectStore = require('./objectStore');
+const metadata = require('./metadata');
+
+// 上传根目录和回收站目录（回收站与上传目录在同一文件系统，删除只是一次 rename）
+const baseUploadDir = config.uploadDir;
+const trashDir = path.join(baseUploadDir, '.trash');
+
+// 回收站条目ID只允许十六进制字符，防止被拼接成任意路径
+const TRASH_ID_PATTERN = /^[a-f0-9]{16}$/;
+
+// 回收站条目数据相对于上传目录的路径，文件元数据随数据一起移动
+function getEntryRelativePath(id) {
+  return `.trash/${id}`;
+}
+
+function getEntryPaths(id) {
+  return {
+    metaPath: path.join(trashDir, `${id}.json`),
+    dataPath: path.join(trashDir, id),
+  };
+}
+
+// 计算文件或目录（递归）的总大小
+async function getTotalSize(targetPath) {
+  const stats = await fs.lstat(targetPath);
+  if (!stats.isDirectory()) {
+    return stats.size;
+  }
+
+  let total = 0;
+  const items = await fs.readdir(targetPath);
+  for (const item of items) {
+    total += await getTotalSize(path.join(targetPath, item));
+  }
+  return total;
+}
+
+/**
+ * 把文件或目录移入回收站
+ * @param {string} targetPath - 要删除的绝对路径（位于上传目录中）
+ * @param {object} info - 附加信息（deletedBy）
+ * @returns {Promise<object>} 回收站条目
+ */
+async function moveToTrash(targetPath, info = {}) {
+  await fs.mkdir(trashDir, { recursive: true });
+
+  const stats = await fs.stat(targetPath);
+  const id = crypto.randomBytes(8).toString('hex');
+  const { metaPath, dataPath } = getEntryPaths(id);
+  const entry = {
+    id,
+    name: path.basename(targetPath),
+    // 统一使用 / 分隔，便于在接口中返回和恢复
+    originalPath: path.relative(baseUploadDir, targetPath).split(path.sep).join('/'),
+    type: stats.isDirectory() ? 'directory' : 'file',
+    size: await getTotalSize(targetPath),
+    deletedAt: new Date().toISOString(),
+    deletedBy: info.deletedBy || null,
+  };
+
+  // 先写描述文件，避免数据移入后因描述缺失而无法恢复
+  await fs.writeFile(metaPath, JSON.stringify(entry));
+  try {
+    await fs.rename(targetPath, dataPath);
+  } catch (err) {
+    await fs.rm(metaPath, { force: true });
+    throw err;
+  }
+  await metadata.moveFileMetadata(entry.originalPath, getEntryRelativePath(id));
+  return entry;
+}
+
+/**
+ * 读取回收站条目
+ * @param {string} id - 条目ID
+ * @returns {Promise<object|null>} 条目，不存在时返回 null
+ */
+async function getTrashEntry(id) {
+  if (!TRASH_ID_PATTERN.test(id || '')) {
+    return null;
+  }
+
+  try {
+    const { metaPath } = getEntryPaths(id);
+    return JSON.parse(await fs.readFile(metaPath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * 列出回收站中的所有条目，最近删除的在前
+ * @returns {Promise<object[]>} 条目列表
+ */
+async function listTrash() {
+  let files;
+  try {
+    files = await fs.readdir(trashDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+
+  const entries = [];
+  for (const file of files) {
+    if (path.extname(file) !== '.json') continue;
+    const entry = await getTrashEntry(path.basename(file, '.json'));
+    if (entry) entries.push(entry);
+  }
+  return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * 把回收站条目恢复到指定位置
+ * @param {string} id - 条目ID
+ * @param {string} destPath - 恢复到的绝对路径（调用方需保证不存在）
+ */
+async function restoreFromTrash(id, destPath) {
+  const { metaPath, dataPath } = getEntryPaths(id);
+  await fs.mkdir(path.dirname(destPath), { recursive: true });
+  await fs.rename(dataPath, destPath);
+  await fs.rm(metaPath, { force: true });
+  await metadata.moveFileMetadata(
+    getEntryRelativePath(id),
+    path.relative(baseUploadDir, destPath).split(path.sep).join('/')
+  );
+}
+
+// 逐个删除条目中的文件，按元数据中的哈希只检查这些文件的内容是否还有其他引用
+async function releaseEntryData(dataPath, relativePath) {
+  let stats;
+  try {
+    stats = await fs.lstat(dataPath);
+  } catch (err) {
+    if (err.code === 'ENOENT') return;
+    throw err;
+  }
+  if (!stats.isDirectory()) {
+    const record = await metadata.getFileMetadata(relativePath);
+    await objectStore.releaseFile(dataPath, record?.hash || null);
+    return;
+  }
+  for (const item of await fs.readdir(dataPath)) {
+    await releaseEntryData(path.join(dataPath, item), `${relativePath}/${item}`);
+  }
+  await fs.rmdir(dataPath);
+}
+
+/**
+ * 彻底删除回收站条目（数据和描述文件），释放不再被引用的文件内容
+ * @param {string} id - 条目ID
+ */
+async function purgeTrashEntry(id) {
+  const { metaPath, dataPath } = getEntryPaths(id);
+  await releaseEntryData(dataPath, getEntryRelativePath(id));
+  await fs.rm(metaPath, { force: true });
+  await metadata.removeFileMetadata(getEntryRelativePath(id));
+}
+
+/**
+ * 清空回收站
+ * @returns {Promise<number>} 删除的条目数量
+ */
+async function emptyTrash() {
+  const entries = await listTrash();
+  for (const entry of entries) {
+    await purgeTrashEntry(entry.id);
+  }
+  return entries.length;
+}
+
+/**
+ * 彻底删除回收站中超过保留时长的条目
+ * @param {number} maxAge - 保留时长（毫秒）
+ * @returns {Promise<number>} 删除的条目数量
+ */
+async function purgeExpiredTrash(maxAge) {
+  const now = Date.now();
+  let purged = 0;
+  for (const entry of await listTrash()) {
+    if (now - new Date(entry.deletedAt).getTime() > maxAge) {
+      await purgeTrashEntry(entry.id);
+      logger.info('已自动清理回收站条目', { id: entry.id, originalPath: entry.originalPath });
+      purged++;
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  moveToTrash,
+  getTrashEntry,
+  listTrash,
+  restoreFromTrash,
+  purgeTrashEntry,
+  emptyTrash,
+  purgeExpiredTrash,
+};
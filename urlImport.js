@@ -0,0 +1,196 @@
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { BlockedAddressError, createAllowlist, checkUrlHost, createSafeLookup } = require('./ssrfGuard');
+
+// 最多跟随的重定向次数，每一跳都重新检查目标地址
+const MAX_REDIRECTS = 5;
+// 连接或读取数据时超过该时间没有响应则放弃
+const REQUEST_TIMEOUT = 30 * 1000;
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * 不能从该地址导入文件（地址无效、不允许访问、源站出错、超时或超出大小限制）
+ */
+class UrlImportError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'UrlImportError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// 地址检查的错误转换为导入接口的错误
+function toBlockedError(err) {
+  return new UrlImportError('不允许从内网或本机地址导入文件', 403, { host: err.host, address: err.address });
+}
+
+/**
+ * 解析并检查源地址，只支持 http 和 https；主机是 IP 时不会经过 DNS 解析，直接检查
+ * @throws {UrlImportError} 地址格式无效或不允许访问
+ */
+function parseSourceUrl(sourceUrl, allowlist) {
+  let url;
+  try {
+    url = new URL(sourceUrl);
+  } catch {
+    throw new UrlImportError('文件地址格式无效', 400, { url: sourceUrl });
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new UrlImportError('只支持 http 和 https 地址', 400, { url: sourceUrl });
+  }
+  if (url.username || url.password) {
+    throw new UrlImportError('文件地址中不能包含用户名和密码', 400);
+  }
+  try {
+    checkUrlHost(url, allowlist);
+  } catch (err) {
+    throw err instanceof BlockedAddressError ? toBlockedError(err) : err;
+  }
+  return url;
+}
+
+function requestOnce(url, lookup, timeout) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup,
+      timeout,
+      headers: { 'User-Agent': 'admin-file-import', 'Accept-Encoding': 'identity' },
+    });
+    let response = null;
+    req.on('response', (res) => {
+      response = res;
+      resolve(res);
+    });
+    req.on('timeout', () => {
+      const err = new UrlImportError('源地址响应超时', 504, { timeout });
+      // 已经收到响应头时，读取数据的一方也以超时结束
+      if (response) response.destroy(err);
+      req.destroy(err);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 从 Content-Disposition 或 URL 路径中取文件名，都没有时为 download
+ */
+function getFileName(response, url) {
+  const disposition = response.headers['content-disposition'] || '';
+  let name = '';
+  const encoded = /filename\*\s*=\s*(?:UTF-8|utf-8)''([^;]+)/.exec(disposition);
+  const plain = /filename\s*=\s*"([^"]*)"|filename\s*=\s*([^;]+)/.exec(disposition);
+  try {
+    if (encoded) {
+      name = decodeURIComponent(encoded[1].trim());
+    } else if (plain) {
+      name = (plain[1] ?? plain[2]).trim();
+    } else {
+      name = decodeURIComponent(url.pathname.split('/').pop());
+    }
+  } catch {
+    name = url.pathname.split('/').pop();
+  }
+  // 只保留最后一段，防止文件名中带路径
+  name = path.posix.basename(name.replace(/\\/g, '/')).replace(/\0/g, '');
+  return name && name !== '.' && name !== '..' ? name : 'download';
+}
+
+/**
+ * 下载源地址的内容到本地文件，边写入边计算 SHA-256
+ * @param {string} sourceUrl - 源地址
+ * @param {string} destPath - 保存的文件路径，失败时会被删除
+ * @param {object} options - { maxSize: 最大字节数, allowedHosts: 允许访问的内网主机名、IP 或 CIDR 地址段, timeout: 无响应的超时时间（毫秒，默认30秒） }
+ * @returns {Promise<object>} { url: 最终地址, filename, mimetype, size, hash }
+ * @throws {UrlImportError} 地址无效或不允许访问、源站返回错误、超时或超出大小限制
+ */
+async function downloadToFile(sourceUrl, destPath, { maxSize, allowedHosts = [], timeout = REQUEST_TIMEOUT }) {
+  const allowlist = createAllowlist(allowedHosts);
+  const lookup = createSafeLookup(allowlist);
+  let url = parseSourceUrl(sourceUrl, allowlist);
+
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    try {
+      response = await requestOnce(url, lookup, timeout);
+    } catch (err) {
+      if (err instanceof UrlImportError) throw err;
+      if (err instanceof BlockedAddressError) throw toBlockedError(err);
+      throw new UrlImportError(`无法连接源地址: ${err.message}`, 502, { url: url.href });
+    }
+    if (!REDIRECT_STATUSES.has(response.statusCode) || !response.headers.location) break;
+    response.resume();
+    if (redirects >= MAX_REDIRECTS) {
+      throw new UrlImportError('源地址重定向次数过多', 502, { limit: MAX_REDIRECTS });
+    }
+    url = parseSourceUrl(new URL(response.headers.location, url).href, allowlist);
+  }
+
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    response.resume();
+    throw new UrlImportError(`源地址返回了错误状态码 ${response.statusCode}`, 502, {
+      url: url.href,
+      upstreamStatus: response.statusCode,
+    });
+  }
+  const declaredSize = Number(response.headers['content-length']);
+  if (declaredSize > maxSize) {
+    response.destroy();
+    throw new UrlImportError('文件大小超过限制', 413, { limit: maxSize });
+  }
+
+  // 不信任 Content-Length，按实际收到的字节数限制大小
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxSize) {
+        return callback(new UrlImportError('文件大小超过限制', 413, { limit: maxSize }));
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  const output = createWriteStream(destPath);
+  // pipeline 会用最先出现的错误销毁所有流，只有写入端最先出错时才是磁盘错误
+  let firstError = null;
+  let writeError = null;
+  response.on('error', (err) => {
+    firstError = firstError || err;
+  });
+  output.on('error', (err) => {
+    if (!firstError) writeError = err;
+    firstError = firstError || err;
+  });
+  try {
+    await pipeline(response, counter, output);
+  } catch (err) {
+    await fs.rm(destPath, { force: true });
+    // 写入磁盘出错原样抛出，其他错误来自源站连接
+    if (err instanceof UrlImportError || err === writeError) throw err;
+    throw new UrlImportError(`下载文件失败: ${err.message}`, 502, { url: url.href });
+  }
+
+  const contentType = response.headers['content-type'];
+  return {
+    url: url.href,
+    filename: getFileName(response, url),
+    mimetype: contentType ? contentType.split(';')[0].trim().toLowerCase() : null,
+    size,
+    hash: hash.digest('hex'),
+  };
+}
+
+module.exports = {
+  UrlImportError,
+  downloadToFile,
+};
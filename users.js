@@ -0,0 +1,135 @@
+const { createJsonStore } = require('./jsonStore');
+const { hashPassword, verifyPassword } = require('./password');
+
+// 用户名不存在时用来校验的哈希，使响应时间与密码错误时一致，不暴露用户名是否存在
+let dummyHash = null;
+
+// 本地用户库，键为用户名
+const store = createJsonStore('users.json', () => ({ nextId: 1, users: {} }));
+
+// 返回给接口的用户信息，不包含密码哈希
+function toPublicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return rest;
+}
+
+/**
+ * 创建用户
+ * @param {object} options - { username, password, userType }
+ * @returns {Promise<object>} 用户信息
+ * @throws 用户名已存在时抛出 code 为 USER_EXISTS 的错误
+ */
+async function createUser({ username, password, userType }) {
+  const passwordHash = await hashPassword(password);
+  return store.update((data) => {
+    if (data.users[username]) {
+      const err = new Error('用户名已存在');
+      err.code = 'USER_EXISTS';
+      throw err;
+    }
+    const user = {
+      id: String(data.nextId++),
+      username,
+      userType,
+      passwordHash,
+      createdAt: new Date().toISOString(),
+    };
+    data.users[username] = user;
+    return toPublicUser(user);
+  });
+}
+
+/**
+ * 校验用户名和密码
+ * @param {string} username - 用户名
+ * @param {string} password - 密码
+ * @returns {Promise<object|null>} 用户信息，校验失败时返回 null
+ */
+async function authenticateUser(username, password) {
+  const { users } = await store.read();
+  const user = Object.hasOwn(users, username) ? users[username] : null;
+  if (!user) {
+    dummyHash = dummyHash || hashPassword('dummy-password');
+    await verifyPassword(password, await dummyHash);
+    return null;
+  }
+  if (!(await verifyPassword(password, user.passwordHash))) {
+    return null;
+  }
+  return toPublicUser(user);
+}
+
+/**
+ * 按ID读取用户
+ * @param {string} id - 用户ID
+ * @returns {Promise<object|null>}
+ */
+async function getUserById(id) {
+  const { users } = await store.read();
+  const user = Object.values(users).find((item) => item.id === id);
+  return user ? toPublicUser(user) : null;
+}
+
+/**
+ * 修改用户角色
+ * @param {string} username - 用户名
+ * @param {string} userType - 新角色
+ * @returns {Promise<object|null>} 用户信息，用户不存在时返回 null
+ */
+async function setUserType(username, userType) {
+  return store.update((data) => {
+    if (!Object.hasOwn(data.users, username)) return null;
+    data.users[username].userType = userType;
+    return toPublicUser(data.users[username]);
+  });
+}
+
+/**
+ * 删除用户
+ * @param {string} username - 用户名
+ * @returns {Promise<object|null>} 被删除的用户，不存在时返回 null
+ */
+async function deleteUser(username) {
+  return store.update((data) => {
+    if (!Object.hasOwn(data.users, username)) return null;
+    const user = data.users[username];
+    delete data.users[username];
+    return toPublicUser(user);
+  });
+}
+
+module.exports = {
+  createUser,
+  authenticateUser,
+  getUserById,
+  setUserType,
+  deleteUser,
+};
+
+// 命令行管理用户：
+// node users.js add <用户名> <密码> <角色>
+// node users.js role <用户名> <角色>
+// node users.js remove <用户名>
+if (require.main === module) {
+  const [command, username, ...args] = process.argv.slice(2);
+  const usage = () => {
+    console.log('用法: node users.js add <用户名> <密码> <角色>');
+    console.log('      node users.js role <用户名> <角色>');
+    console.log('      node users.js remove <用户名>');
+    process.exit(1);
+  };
+  let task;
+  if (command === 'add' && username && args[0] && args[1]) {
+    task = createUser({ username, password: args[0], userType: args[1] }).then((user) => console.log('用户创建成功:', user));
+  } else if (command === 'role' && username && args[0]) {
+    task = setUserType(username, args[0]).then((user) => console.log(user ? '角色已修改:' : '用户不存在', user || username));
+  } else if (command === 'remove' && username) {
+    task = deleteUser(username).then((user) => console.log(user ? '用户已删除:' : '用户不存在', user || username));
+  } else {
+    usage();
+  }
+  task.catch((err) => {
+    console.error('操作失败:', err.message);
+    process.exit(1);
+  });
+}
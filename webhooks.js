@@ -0,0 +1,338 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const config = require('./config');
+const { logger } = require('./logger');
+const { createJsonStore } = require('./jsonStore');
+const { BlockedAddressError, createAllowlist, checkUrlHost, createSafeLookup, assertPublicUrl } = require('./ssrfGuard');
+
+// 支持订阅的事件，* 表示全部事件
+const WEBHOOK_EVENTS = ['file.uploaded', 'avatar.uploaded', 'file.deleted', 'directory.created', 'directory.deleted'];
+const WEBHOOK_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+// 投递失败后按 30秒、1分钟、2分钟、4分钟、8分钟 重试，共尝试6次
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_DELAY = 30 * 1000;
+// 单次投递等待响应的时间
+const DELIVERY_TIMEOUT = 10 * 1000;
+// 检查到期投递的间隔
+const POLL_INTERVAL = 10 * 1000;
+// 保留的已完成（成功或最终失败）投递记录数，待投递的记录总是保留
+const MAX_FINISHED_DELIVERIES = 1000;
+
+// 与从 URL 导入相同的内网地址检查，创建订阅和每次投递时都检查，避免接口被用来探测内网
+const allowlist = createAllowlist(config.webhookAllowedHosts);
+const lookup = createSafeLookup(allowlist);
+
+const subscriptionStore = createJsonStore('webhooks.json', () => ({ webhooks: {} }));
+// 投递队列和投递日志：待投递的记录在重启后继续投递
+const deliveryStore = createJsonStore('webhook-deliveries.json', () => ({ deliveries: [] }));
+
+// 返回给接口的订阅信息，不包含签名密钥
+function toPublicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+/**
+ * 计算投递的签名：HMAC-SHA256(密钥, "时间戳.请求体")，十六进制
+ * @param {string} secret - 订阅的签名密钥
+ * @param {number} timestamp - 秒级时间戳
+ * @param {string} body - 请求体
+ * @returns {string}
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function normalizeEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new Error('请提供要订阅的事件');
+  }
+  for (const event of events) {
+    if (event !== '*' && !WEBHOOK_EVENTS.includes(event)) {
+      throw new Error(`不支持的事件: ${event}，可选值为 * 或 ${WEBHOOK_EVENTS.join('、')}`);
+    }
+  }
+  return events.includes('*') ? ['*'] : [...new Set(events)];
+}
+
+// 地址只支持 http 和 https，不能指向内网或本机（WEBHOOK_ALLOWED_HOSTS 中的除外）
+async function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error('Webhook 地址格式无效');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Webhook 地址只支持 http 和 https');
+  }
+  if (parsed.username || parsed.password) {
+    throw new Error('Webhook 地址中不能包含用户名和密码');
+  }
+  try {
+    await assertPublicUrl(parsed, allowlist);
+  } catch (err) {
+    if (err instanceof BlockedAddressError) {
+      throw new Error('Webhook 地址不能是内网或本机地址');
+    }
+    throw new Error(`无法解析 Webhook 地址的主机名: ${parsed.hostname}`);
+  }
+  return parsed.href;
+}
+
+/**
+ * 创建 Webhook 订阅，签名密钥只在创建时返回一次
+ * @param {object} options - { url, events, description, createdBy }
+ * @returns {Promise<{secret: string, webhook: object}>}
+ * @throws 地址或事件不合法时抛出错误
+ */
+async function createWebhook({ url, events, description, createdBy }) {
+  const webhook = {
+    id: crypto.randomBytes(8).toString('hex'),
+    url: await normalizeUrl(url),
+    events: normalizeEvents(events),
+    description: description || null,
+    secret: `whsec_${crypto.randomBytes(32).toString('base64url')}`,
+    createdBy: createdBy || null,
+    createdAt: new Date().toISOString(),
+  };
+  await subscriptionStore.update((data) => {
+    data.webhooks[webhook.id] = webhook;
+  });
+  return { secret: webhook.secret, webhook: toPublicWebhook(webhook) };
+}
+
+/**
+ * 列出所有 Webhook 订阅，最近创建的在前
+ * @returns {Promise<object[]>}
+ */
+async function listWebhooks() {
+  const { webhooks } = await subscriptionStore.read();
+  return Object.values(webhooks)
+    .map(toPublicWebhook)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * 删除 Webhook 订阅，尚未完成的投递不再重试
+ * @param {string} id - 订阅ID
+ * @returns {Promise<object|null>} 被删除的订阅，不存在时返回 null
+ */
+async function deleteWebhook(id) {
+  if (!WEBHOOK_ID_PATTERN.test(id || '')) return null;
+  return subscriptionStore.update((data) => {
+    const webhook = data.webhooks[id];
+    if (!webhook) return null;
+    delete data.webhooks[id];
+    return toPublicWebhook(webhook);
+  });
+}
+
+/**
+ * 为订阅了该事件的 Webhook 创建投递并加入队列，投递在后台进行
+ * @param {string} event - 事件名称
+ * @param {object} details - 事件数据（文件地址、分类、命名空间、操作用户等）
+ * @returns {Promise<number>} 创建的投递数
+ */
+async function dispatch(event, details) {
+  const { webhooks } = await subscriptionStore.read();
+  const targets = Object.values(webhooks).filter(
+    (webhook) => webhook.events.includes('*') || webhook.events.includes(event)
+  );
+  if (targets.length === 0) return 0;
+
+  const now = new Date().toISOString();
+  await deliveryStore.update((data) => {
+    for (const webhook of targets) {
+      const id = crypto.randomBytes(8).toString('hex');
+      data.deliveries.push({
+        id,
+        webhookId: webhook.id,
+        event,
+        // 重试时投递ID不变，接收方可以据此去重
+        payload: { id, event, createdAt: now, data: details },
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: now,
+        createdAt: now,
+        deliveredAt: null,
+      });
+    }
+  });
+  processDueDeliveries();
+  return targets.length;
+}
+
+// 发送 POST 请求，返回状态码；连接前检查目标地址，不跟随重定向
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    checkUrlHost(target, allowlist);
+    const client = target.protocol === 'https:' ? https : http;
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup,
+    });
+    const timer = setTimeout(() => req.destroy(new Error('等待接收方响应超时')), DELIVERY_TIMEOUT);
+    req.on('response', (res) => {
+      clearTimeout(timer);
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+// 发送一次投递，返回本次尝试的记录
+async function sendDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const startedAt = Date.now();
+  const attempt = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: 0 };
+  try {
+    const statusCode = await post(
+      webhook.url,
+      {
+        'Content-Type': 'application/json',
+        'User-Agent': 'admin-file-webhook',
+        'X-Webhook-Id': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body
+    );
+    attempt.statusCode = statusCode;
+    // 3xx 也视为失败
+    if (statusCode < 200 || statusCode >= 300) {
+      attempt.error = `接收方返回了状态码 ${statusCode}`;
+    }
+  } catch (err) {
+    attempt.error = err.message;
+  }
+  attempt.durationMs = Date.now() - startedAt;
+  return attempt;
+}
+
+// 记录尝试结果：成功、安排下一次重试，或达到次数上限后标记为失败
+async function recordAttempt(id, attempt) {
+  await deliveryStore.update((data) => {
+    const delivery = data.deliveries.find((item) => item.id === id);
+    if (!delivery) return;
+    delivery.attempts.push(attempt);
+    if (!attempt.error) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = attempt.at;
+      delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+    } else {
+      const delay = RETRY_BASE_DELAY * 2 ** (delivery.attempts.length - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    }
+
+    // 只保留最近的已完成记录
+    let finished = data.deliveries.filter((item) => item.status !== 'pending').length;
+    if (finished > MAX_FINISHED_DELIVERIES) {
+      data.deliveries = data.deliveries.filter((item) => item.status === 'pending' || finished-- <= MAX_FINISHED_DELIVERIES);
+    }
+  });
+}
+
+async function runDueDeliveries() {
+  const { deliveries } = await deliveryStore.read();
+  const now = Date.now();
+  const due = deliveries
+    .filter((delivery) => delivery.status === 'pending' && new Date(delivery.nextAttemptAt).getTime() <= now)
+    .map((delivery) => ({ ...delivery }));
+
+  for (const delivery of due) {
+    const { webhooks } = await subscriptionStore.read();
+    const webhook = webhooks[delivery.webhookId];
+    if (!webhook) {
+      await deliveryStore.update((data) => {
+        const current = data.deliveries.find((item) => item.id === delivery.id);
+        if (!current) return;
+        current.status = 'failed';
+        current.nextAttemptAt = null;
+        current.attempts.push({ at: new Date().toISOString(), statusCode: null, error: 'Webhook 订阅已删除', durationMs: 0 });
+      });
+      continue;
+    }
+    const attempt = await sendDelivery(delivery, webhook);
+    if (attempt.error) {
+      logger.warn('Webhook 投递失败', { id: delivery.id, webhookId: webhook.id, event: delivery.event, attempt: delivery.attempts.length + 1, error: attempt.error });
+    }
+    await recordAttempt(delivery.id, attempt);
+  }
+}
+
+// 同一时间只有一轮投递在进行；进行中又有新的投递时，结束后再检查一轮
+let running = null;
+let rerun = false;
+
+/**
+ * 投递所有到期的记录（按创建顺序逐个发送）
+ * @returns {Promise<void>}
+ */
+function processDueDeliveries() {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+  running = (async () => {
+    do {
+      rerun = false;
+      await runDueDeliveries().catch((err) =>
+        logger.error('处理 Webhook 投递队列失败:', { error: err.message, stack: err.stack })
+      );
+    } while (rerun);
+    running = null;
+  })();
+  return running;
+}
+
+/**
+ * 启动后台投递：立即处理一次队列（包括重启前未完成的投递），之后定期检查到期的重试
+ */
+function startDeliveryWorker() {
+  processDueDeliveries();
+  setInterval(processDueDeliveries, POLL_INTERVAL).unref();
+}
+
+/**
+ * 查询投递日志，最近创建的在前
+ * @param {object} filters - { webhookId, status（pending、succeeded、failed）, event, limit }
+ * @returns {Promise<object[]>}
+ */
+async function listDeliveries({ webhookId, status, event, limit = 50 } = {}) {
+  const { deliveries } = await deliveryStore.read();
+  return deliveries
+    .filter(
+      (delivery) =>
+        (!webhookId || delivery.webhookId === webhookId) &&
+        (!status || delivery.status === status) &&
+        (!event || delivery.event === event)
+    )
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhook,
+  listWebhooks,
+  deleteWebhook,
+  dispatch,
+  processDueDeliveries,
+  startDeliveryWorker,
+  listDeliveries,
+};